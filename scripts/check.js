@@ -0,0 +1,20 @@
+/**
+ * Checks
+ *
+ * Runs every `scripts/checks/*.check.js` file with Node's built-in test
+ * runner (`npm run check`). The checks cover data-handling logic that has
+ * no UI of its own: schema migrations, retention planning, calendar files
+ * and server-side sync.
+ */
+
+import { register } from 'node:module'
+import { readdir } from 'node:fs/promises'
+
+// App modules import each other without file extensions
+register('./resolveHook.js', import.meta.url)
+
+const checksDir = new URL('./checks/', import.meta.url)
+const files = (await readdir(checksDir)).filter(file => file.endsWith('.check.js')).sort()
+for (const file of files) {
+  await import(new URL(file, checksDir))
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseIcsSchedule, buildScheduleIcs } from '../../src/utils/icalendar.js'
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n')
+
+// 2024-09-02 is a Monday
+const lesson = (subject, rrule) => [
+  `SUMMARY:${subject}`,
+  'DTSTART:20240902T090000',
+  'DTEND:20240902T094500',
+  ...(rrule ? [`RRULE:${rrule}`] : [])
+]
+
+test('weekly rules map BYDAY to period days', () => {
+  const { periods, skipped } = parseIcsSchedule(calendar(lesson('Math', 'FREQ=WEEKLY;BYDAY=MO,WE,FR')))
+  assert.deepEqual(periods, [{ start: '09:00', end: '09:45', subject: 'Math', days: [1, 3, 5] }])
+  assert.deepEqual(skipped, [])
+})
+
+test('a one-off event becomes a period on its weekday; daily rules cover every day', () => {
+  const { periods } = parseIcsSchedule(calendar(lesson('Art'), lesson('Reading', 'FREQ=DAILY')))
+  assert.deepEqual(periods, [
+    { start: '09:00', end: '09:45', subject: 'Art', days: [1] },
+    { start: '09:00', end: '09:45', subject: 'Reading' }
+  ])
+})
+
+test('events with the same subject and times merge into one period', () => {
+  const tuesday = ['SUMMARY:Math', 'DTSTART:20240903T090000', 'DTEND:20240903T094500']
+  const { periods } = parseIcsSchedule(calendar(lesson('Math'), tuesday))
+  assert.deepEqual(periods, [{ start: '09:00', end: '09:45', subject: 'Math', days: [1, 2] }])
+})
+
+test('fortnightly, monthly and foreign-timezone events are skipped with a reason', () => {
+  const deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  const foreignZone = deviceZone === 'Asia/Tokyo' ? 'Europe/Paris' : 'Asia/Tokyo'
+  const { periods, skipped } = parseIcsSchedule(calendar(
+    lesson('Swimming', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'),
+    lesson('Assembly', 'FREQ=MONTHLY'),
+    ['SUMMARY:Music', `DTSTART;TZID=${foreignZone}:20240902T090000`, `DTEND;TZID=${foreignZone}:20240902T094500`]
+  ))
+  assert.deepEqual(periods, [])
+  assert.deepEqual(skipped.map(event => event.subject), ['Swimming', 'Assembly', 'Music'])
+  assert.match(skipped[0].reason, /every 2 weeks/)
+})
+
+test('exports round-trip, with stable UIDs and lines of at most 75 octets', () => {
+  const schedule = [{ start: '10:00', end: '10:30', subject: 'Éducation musicale et arts plastiques — groupe B', days: [2, 4] }]
+  const first = buildScheduleIcs(schedule, { calendarName: 'Alex', now: Date.UTC(2024, 8, 2) })
+  const second = buildScheduleIcs(schedule, { calendarName: 'Alex', now: Date.UTC(2024, 8, 9) })
+  const uid = (ics) => ics.split('\r\n').find(line => line.startsWith('UID:'))
+  assert.equal(uid(first), uid(second))
+  assert.ok(first.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75))
+  assert.deepEqual(parseIcsSchedule(first).periods, schedule)
+})
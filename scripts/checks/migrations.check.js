@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { migrateStudents } from '../../src/storage/migrations.js'
+
+const JAN_2024 = Date.UTC(2024, 0, 15, 10, 30)
+
+const migrateLogs = (logs) => migrateStudents([{ id: 1, name: 'Alex', logs }], 1)[0].logs
+
+test('legacy timestamps resolve from numbers, date strings, then the creation-time ID', () => {
+  const [fromNumber, fromString, fromId] = migrateLogs([
+    { id: 1, type: 'feeling', value: 'Happy', timestamp: JAN_2024 },
+    { id: 2, type: 'feeling', value: 'Happy', timestamp: '2024-01-15T10:30:00Z' },
+    { id: JAN_2024, type: 'feeling', value: 'Happy', timestamp: '10:30 AM' }
+  ])
+  assert.equal(fromNumber.timestamp, JAN_2024)
+  assert.equal(fromString.timestamp, JAN_2024)
+  assert.equal(fromId.timestamp, JAN_2024)
+  assert.equal(fromId.needsReview, undefined)
+})
+
+test('unresolvable timestamps are kept as null and flagged, never dropped', () => {
+  const [log] = migrateLogs([{ id: 3, type: 'feeling', value: 'Sad', timestamp: 'Yesterday' }])
+  assert.equal(log.timestamp, null)
+  assert.equal(log.needsReview, true)
+  assert.deepEqual(log.migrationNotes, ['Could not parse timestamp "Yesterday"'])
+})
+
+test('a feeling log with a sensory string gets a separate sensory log', () => {
+  const logs = migrateLogs([
+    { id: 4, type: 'feeling', value: 'Anxious', timestamp: JAN_2024, sensory: 'Auditory - High', description: 'Fire drill' }
+  ])
+  assert.equal(logs.length, 2)
+  assert.deepEqual(logs[0], { id: 4, type: 'feeling', value: 'Anxious', timestamp: JAN_2024, notes: 'Fire drill' })
+  assert.deepEqual(logs[1], { id: '4-sensory', type: 'sensory', category: 'Auditory', intensity: 'High', timestamp: JAN_2024 })
+})
+
+test('a sensory companion of a log without a time is flagged too', () => {
+  const [, companion] = migrateLogs([{ id: 5, type: 'feeling', value: 'Calm', timestamp: 'Monday', sensory: 'Visual - Low' }])
+  assert.equal(companion.timestamp, null)
+  assert.equal(companion.needsReview, true)
+})
+
+test('an unparseable sensory string is kept in the notes', () => {
+  const [log, ...rest] = migrateLogs([{ id: 6, type: 'feeling', value: 'Calm', timestamp: JAN_2024, sensory: 'loud room' }])
+  assert.equal(rest.length, 0)
+  assert.equal(log.notes, 'Sensory: loud room')
+  assert.equal(log.needsReview, true)
+})
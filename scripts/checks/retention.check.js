@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { planRetention } from '../../src/utils/retention.js'
+
+const NOW = Date.UTC(2026, 5, 1)
+const DAY = 24 * 60 * 60 * 1000
+
+const student = {
+  id: 1,
+  name: 'Alex',
+  logs: [
+    { id: 'old', type: 'feeling', value: 'Sad', timestamp: NOW - 400 * DAY, notes: 'Old note' },
+    { id: 'recent', type: 'feeling', value: 'Happy', timestamp: NOW - 10 * DAY, notes: 'Recent note' },
+    { id: 'unknown', type: 'feeling', value: 'Calm', timestamp: null, needsReview: true, notes: 'Time unknown' }
+  ]
+}
+
+test('delete-logs removes only logs older than the cutoff', () => {
+  const { mutations, results } = planRetention([student], [{ id: 'r1', action: 'delete-logs', months: 12 }], NOW)
+  assert.deepEqual(mutations, [{ method: 'deleteLog', args: [1, 'old'] }])
+  assert.equal(results[0].count, 1)
+  assert.deepEqual(results[0].students, ['Alex'])
+})
+
+test('delete-notes scrubs old free text and marks the log', () => {
+  const { mutations } = planRetention([student], [{ id: 'r1', action: 'delete-notes', months: 12 }], NOW)
+  assert.equal(mutations.length, 1)
+  const [studentId, log] = mutations[0].args
+  assert.equal(studentId, 1)
+  assert.equal(log.id, 'old')
+  assert.equal(log.notes, undefined)
+  assert.equal(log.freeTextRemovedAt, NOW)
+})
+
+test('logs without a valid time are left alone by age rules', () => {
+  const rules = [{ id: 'r1', action: 'delete-logs', months: 1 }, { id: 'r2', action: 'delete-notes', months: 1 }]
+  const { mutations } = planRetention([student], rules, NOW)
+  assert.ok(mutations.every(mutation => mutation.args[1] !== 'unknown' && mutation.args[1].id !== 'unknown'))
+})
+
+test('anonymizing an archived student also scrubs their free text', () => {
+  const archived = { ...student, archivedAt: NOW - 800 * DAY }
+  const { mutations, results } = planRetention([archived], [{ id: 'r1', action: 'anonymize-archived', months: 24 }], NOW)
+  assert.equal(results[0].count, 1)
+  assert.equal(mutations.filter(mutation => mutation.method === 'addLog').length, 3)
+  assert.deepEqual(mutations.at(-1), {
+    method: 'updateStudent',
+    args: [1, { name: 'Anonymized student 1', savedInsight: null, anonymizedAt: NOW }]
+  })
+})
@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSyncStore } from '../../server/syncStore.js'
+
+const T0 = Date.UTC(2024, 0, 1)
+
+const createStore = () => {
+  const store = createSyncStore()
+  store.applyOperation({ opId: 'a', kind: 'student', action: 'create', id: 1, changes: { name: 'Alex' }, at: T0 })
+  store.applyOperation({ opId: 'b', kind: 'log', action: 'create', id: 'l1', studentId: 1, changes: { type: 'feeling', value: 'Happy', timestamp: T0 }, at: T0 })
+  return store
+}
+
+test('the later write of a field wins, whatever order it arrives in', () => {
+  const store = createStore()
+  store.applyOperation({ opId: 'c', kind: 'student', action: 'update', id: 1, changes: { name: 'Alexandra' }, at: T0 + 2000 })
+  store.applyOperation({ opId: 'd', kind: 'student', action: 'update', id: 1, changes: { name: 'Alex B' }, at: T0 + 1000 })
+  assert.equal(store.getStudents()[0].name, 'Alexandra')
+})
+
+test('concurrent edits of a field since the base revision are reported', () => {
+  const store = createStore()
+  const baseRev = store.getSeq()
+  store.applyOperation({ opId: 'c', kind: 'log', action: 'update', id: 'l1', studentId: 1, changes: { value: 'Sad' }, at: T0 + 2000, baseRev })
+  const conflicts = store.applyOperation({ opId: 'd', kind: 'log', action: 'update', id: 'l1', studentId: 1, changes: { value: 'Calm' }, at: T0 + 1000, baseRev })
+  assert.equal(conflicts.length, 1)
+  assert.equal(conflicts[0].field, 'value')
+  assert.equal(conflicts[0].winner, 'server')
+  assert.equal(store.getStudents()[0].logs[0].value, 'Sad')
+})
+
+test('replayed operations are applied once', () => {
+  const store = createStore()
+  const seq = store.getSeq()
+  store.applyOperation({ opId: 'b', kind: 'log', action: 'create', id: 'l1', studentId: 1, changes: { value: 'Sad' }, at: T0 + 5000 })
+  assert.equal(store.getSeq(), seq)
+  assert.equal(store.getStudents()[0].logs[0].value, 'Happy')
+})
+
+test('deletes leave tombstones that stale edits cannot resurrect', () => {
+  const store = createStore()
+  const since = store.getSeq()
+  store.applyOperation({ opId: 'c', kind: 'log', action: 'delete', id: 'l1', studentId: 1, at: T0 + 2000 })
+  assert.deepEqual(store.getChangesSince(since).map(change => [change.kind, change.action, change.id]), [['log', 'delete', 'l1']])
+
+  const conflicts = store.applyOperation({ opId: 'd', kind: 'log', action: 'update', id: 'l1', studentId: 1, changes: { value: 'Sad' }, at: T0 + 1000 })
+  assert.equal(conflicts[0].reason, 'deleted')
+  assert.deepEqual(store.getStudents()[0].logs, [])
+})
+
+test('a create made after the delete restores the record', () => {
+  const store = createStore()
+  store.applyOperation({ opId: 'c', kind: 'log', action: 'delete', id: 'l1', studentId: 1, at: T0 + 2000 })
+  store.applyOperation({ opId: 'd', kind: 'log', action: 'create', id: 'l1', studentId: 1, changes: { type: 'feeling', value: 'Happy', timestamp: T0 }, at: T0 + 3000 })
+  assert.equal(store.getStudents()[0].logs.length, 1)
+  assert.ok(store.toJSON().sync.tombstones.every(tombstone => tombstone.id !== 'l1'))
+})
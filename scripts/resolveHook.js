@@ -0,0 +1,14 @@
+/**
+ * Module resolve hook for the checks: lets Node resolve extensionless
+ * relative imports ('./studentUpdates') to `.js` files the way Vite does.
+ * Registered by `check.js`.
+ */
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw error
+    return nextResolve(`${specifier}.js`, context)
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Reference REST Server
+ *
+ * A small, dependency-free Node server implementing the API used by the REST
+ * storage adapter (src/storage/restAdapter.js). It lets several staff members
+ * share the same students by pointing their dashboards at one machine.
+ *
+ * Data is kept in a single JSON file using the same versioned envelope as the
+ * browser (`{ schemaVersion, students }`) and is migrated on startup.
+ *
+ * It also serves `POST /api/sync`, the endpoint offline-first devices replay
+ * their queued changes to (see src/storage/syncClient.js and ./syncStore.js).
+ * Plain REST writes go through the same sync store, so devices that sync pick
+ * up changes made by REST clients and vice versa.
+ *
+ * This is intended as a reference for self-hosting on a trusted network: it
+ * has no authentication, so put it behind your school's own access controls.
+ *
+ * Usage:
+ *   npm run server
+ *
+ * Environment:
+ *   PORT       - Port to listen on (default 3001)
+ *   DATA_FILE  - Path of the JSON data file (default server/data/students.json)
+ *   CORS_ORIGIN - Allowed browser origin (default *)
+ */
+
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { loadStoredStudents, serializeStudents } from '../src/storage/migrations.js'
+import { sameId } from '../src/utils/studentUpdates.js'
+import { createSyncStore } from './syncStore.js'
+
+const PORT = Number(process.env.PORT) || 3001
+const DATA_FILE = process.env.DATA_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'students.json')
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*'
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+
+// Errors carrying an HTTP status are reported to the client as-is
+const httpError = (status, message) => Object.assign(new Error(message), { status })
+
+let store = createSyncStore()
+
+const loadData = async () => {
+  try {
+    const json = await fs.readFile(DATA_FILE, 'utf8')
+    const { students, migratedFrom } = loadStoredStudents(json)
+    store = createSyncStore({ students, sync: JSON.parse(json).sync })
+    if (migratedFrom !== null) {
+      console.log(`Migrated data file from schema version ${migratedFrom}`)
+      await saveData()
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+// Writes are serialized and go through a temp file so a crash mid-write
+// never leaves a truncated data file behind
+let writeQueue = Promise.resolve()
+const saveData = () => {
+  writeQueue = writeQueue.then(async () => {
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true })
+    const tempFile = `${DATA_FILE}.tmp`
+    const { students, sync } = store.toJSON()
+    await fs.writeFile(tempFile, serializeStudents(students, { sync }))
+    await fs.rename(tempFile, DATA_FILE)
+  })
+  return writeQueue
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0
+  const chunks = []
+  req.on('data', chunk => {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      reject(httpError(413, 'Request body too large'))
+      req.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => {
+    if (chunks.length === 0) return resolve(undefined)
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+    } catch {
+      reject(httpError(400, 'Request body is not valid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': CORS_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  res.end(body === undefined ? undefined : JSON.stringify(body))
+}
+
+const findStudent = (studentId) => {
+  const student = store.getStudents().find(s => sameId(s.id, studentId))
+  if (!student) throw httpError(404, `Student ${studentId} not found`)
+  return student
+}
+
+const findLog = (student, logId) => {
+  const log = student.logs.find(l => sameId(l.id, logId))
+  if (!log) throw httpError(404, `Log ${logId} not found`)
+  return log
+}
+
+const requireObject = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Expected a JSON object')
+  }
+  return body
+}
+
+const requireArray = (body) => {
+  if (!Array.isArray(body)) throw httpError(400, 'Expected a JSON array')
+  return body
+}
+
+// Applies a write from the plain REST API through the sync store. REST
+// clients send no base revision, so these writes never report conflicts.
+const applyRestOperation = async (op) => {
+  store.applyOperation({ ...op, at: Date.now() })
+  await saveData()
+}
+
+// Route table: [method, pattern, handler(params, body) => [status, responseBody]]
+const routes = [
+  ['GET', /^\/api\/students$/, () => [200, store.getStudents()]],
+
+  ['PUT', /^\/api\/students$/, async (params, body) => {
+    store.replaceAll(requireArray(body))
+    await saveData()
+    return [204]
+  }],
+
+  ['POST', /^\/api\/students$/, async (params, body) => {
+    const student = requireObject(body)
+    if (student.id === undefined) throw httpError(400, 'Student id is required')
+    if (store.getStudents().some(s => sameId(s.id, student.id))) {
+      throw httpError(409, `Student ${student.id} already exists`)
+    }
+    const { logs = [], ...record } = student
+    await applyRestOperation({ kind: 'student', action: 'create', id: student.id, changes: record })
+    for (const log of logs) {
+      await applyRestOperation({ kind: 'log', action: 'create', id: log.id, studentId: student.id, changes: log })
+    }
+    return [201, student]
+  }],
+
+  ['PATCH', /^\/api\/students\/([^/]+)$/, async ([studentId], body) => {
+    const { id, logs, ...changes } = requireObject(body)
+    const student = findStudent(studentId)
+    await applyRestOperation({ kind: 'student', action: 'update', id: student.id, changes })
+    return [204]
+  }],
+
+  ['DELETE', /^\/api\/students\/([^/]+)$/, async ([studentId]) => {
+    const student = findStudent(studentId)
+    await applyRestOperation({ kind: 'student', action: 'delete', id: student.id })
+    return [204]
+  }],
+
+  ['POST', /^\/api\/students\/([^/]+)\/logs$/, async ([studentId], body) => {
+    const log = requireObject(body)
+    if (log.id === undefined) throw httpError(400, 'Log id is required')
+    const student = findStudent(studentId)
+    if (student.logs.some(l => sameId(l.id, log.id))) {
+      throw httpError(409, `Log ${log.id} already exists`)
+    }
+    await applyRestOperation({ kind: 'log', action: 'create', id: log.id, studentId: student.id, changes: log })
+    return [201, log]
+  }],
+
+  ['PATCH', /^\/api\/students\/([^/]+)\/logs\/([^/]+)$/, async ([studentId, logId], body) => {
+    const { id, ...changes } = requireObject(body)
+    const student = findStudent(studentId)
+    const log = findLog(student, logId)
+    await applyRestOperation({ kind: 'log', action: 'update', id: log.id, studentId: student.id, changes })
+    return [204]
+  }],
+
+  ['DELETE', /^\/api\/students\/([^/]+)\/logs\/([^/]+)$/, async ([studentId, logId]) => {
+    const student = findStudent(studentId)
+    const log = findLog(student, logId)
+    await applyRestOperation({ kind: 'log', action: 'delete', id: log.id, studentId: student.id })
+    return [204]
+  }],
+
+  ['PUT', /^\/api\/students\/([^/]+)\/schedule$/, async ([studentId], body) => {
+    const student = findStudent(studentId)
+    await applyRestOperation({ kind: 'student', action: 'update', id: student.id, changes: { schedule: requireArray(body) } })
+    return [204]
+  }],
+
+  // Offline-first sync: apply a device's queued operations in order, then
+  // return every change the device has not seen yet (including its own, now
+  // resolved) plus any conflicts for manual review.
+  ['POST', /^\/api\/sync$/, async (params, body) => {
+    const { since = 0, operations = [] } = requireObject(body)
+    const conflicts = requireArray(operations).flatMap(op => store.applyOperation(op))
+    if (operations.length > 0) await saveData()
+    return [200, { seq: store.getSeq(), changes: store.getChangesSince(Number(since) || 0), conflicts }]
+  }]
+]
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204)
+
+  try {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    for (const [method, pattern, handler] of routes) {
+      const match = pathname.match(pattern)
+      if (match && req.method === method) {
+        const params = match.slice(1).map(decodeURIComponent)
+        const body = ['POST', 'PUT', 'PATCH'].includes(method) ? await readBody(req) : undefined
+        const [status, responseBody] = await handler(params, body)
+        return send(res, status, responseBody)
+      }
+    }
+    throw httpError(404, `No route for ${req.method} ${pathname}`)
+  } catch (error) {
+    if (!error.status) console.error(error)
+    send(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' })
+  }
+})
+
+await loadData()
+server.listen(PORT, () => {
+  console.log(`Student data server listening on http://localhost:${PORT}/api (data: ${DATA_FILE})`)
+})
@@ -0,0 +1,286 @@
+/**
+ * Sync Store
+ *
+ * Server-side state and conflict resolution for offline-first sync. Devices
+ * queue operations while offline and replay them here when connectivity
+ * returns; this module decides how concurrent changes combine:
+ *
+ * - **Fields: last writer wins.** Every field of every student/log record is
+ *   stamped with the time it was changed (`at`) and the server revision it was
+ *   written in (`rev`). An incoming change only overwrites a field if it is
+ *   newer than the stored stamp.
+ * - **Logs: union.** Logs are independent records, so logs created on
+ *   different devices are all kept; there is no list-level conflict.
+ * - **Deletes: tombstones.** Deleting a record leaves a tombstone so the delete
+ *   reaches every device and stale edits cannot resurrect the record. Only a
+ *   create made after the delete (such as an undo) restores it.
+ *
+ * When a device changes a field that another device also changed since the
+ * revision the first device last saw (`baseRev`), the change is still resolved
+ * automatically, but a conflict is reported back so staff can review it.
+ *
+ * @module syncStore
+ */
+
+const METADATA_FIELDS = ['id', 'logs', '_sync']
+// Opaque operation IDs remembered to make replays after a lost response safe
+const MAX_REMEMBERED_OPS = 5000
+
+const sameId = (a, b) => String(a) === String(b)
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Strips server-only bookkeeping before a record leaves the server
+const cleanRecord = (record) => {
+  const { _sync, logs, ...clean } = record
+  return clean
+}
+
+/**
+ * Creates the sync store around previously persisted state.
+ *
+ * @param {Object} [initial]
+ * @param {Array<Object>} [initial.students] - Nested students (may carry `_sync` metadata)
+ * @param {Object} [initial.sync] - Persisted `{ seq, tombstones, appliedOps }`
+ * @returns {Object} Sync store API
+ */
+export const createSyncStore = ({ students = [], sync = {} } = {}) => {
+  let seq = sync.seq || 0
+  let tombstones = sync.tombstones || []
+  let appliedOps = sync.appliedOps || []
+  let data = students
+
+  // Ensures every record carries revision metadata (e.g. data written before
+  // sync existed, or data replaced wholesale through the REST API)
+  const stamp = (record, at, rev) => {
+    if (record._sync) return record
+    const fields = {}
+    Object.keys(record).filter(key => !METADATA_FIELDS.includes(key)).forEach(key => {
+      fields[key] = { at, rev }
+    })
+    return { ...record, _sync: { rev, fields } }
+  }
+
+  const stampAll = (list, at) => {
+    return list.map(student => {
+      const rev = student._sync ? student._sync.rev : ++seq
+      return {
+        ...stamp(student, at, rev),
+        logs: (student.logs || []).map(log => stamp(log, at, log._sync ? log._sync.rev : ++seq))
+      }
+    })
+  }
+
+  data = stampAll(data, Date.now())
+
+  const isTombstoned = (kind, id) => tombstones.some(t => t.kind === kind && sameId(t.id, id))
+
+  // A create made after the delete (e.g. undoing the delete) restores the
+  // record; edits and older creates must not resurrect it
+  const restoresDeleted = (op) => {
+    const tombstone = tombstones.find(t => t.kind === op.kind && sameId(t.id, op.id))
+    if (!tombstone || op.action !== 'create' || op.at <= tombstone.deletedAt) return false
+    tombstones = tombstones.filter(t => t !== tombstone)
+    return true
+  }
+  const findStudent = (studentId) => data.find(s => sameId(s.id, studentId))
+
+  const addTombstone = (kind, id, studentId, at) => {
+    tombstones = tombstones.filter(t => !(t.kind === kind && sameId(t.id, id)))
+    tombstones.push({ kind, id, studentId, deletedAt: at, rev: ++seq })
+  }
+
+  // Merges incoming field changes into an existing record using per-field
+  // last-writer-wins, collecting conflicts for concurrent edits
+  const mergeFields = (existing, changes, op, conflicts) => {
+    const rev = seq + 1
+    const merged = { ...existing, _sync: { ...existing._sync, fields: { ...existing._sync.fields } } }
+    let changed = false
+
+    Object.entries(changes).forEach(([field, value]) => {
+      if (METADATA_FIELDS.includes(field)) return
+      const meta = existing._sync.fields[field]
+      const serverValue = existing[field]
+      const concurrent = op.baseRev !== undefined && op.baseRev !== null && meta && meta.rev > op.baseRev
+      const clientWins = !meta || meta.at <= op.at
+
+      if (concurrent && !isEqual(value, serverValue)) {
+        conflicts.push({
+          opId: op.opId,
+          kind: op.kind,
+          id: op.id,
+          studentId: op.studentId,
+          field,
+          localValue: value,
+          serverValue,
+          winner: clientWins ? 'local' : 'server'
+        })
+      }
+
+      if (clientWins && !isEqual(value, serverValue)) {
+        merged[field] = value
+        merged._sync.fields[field] = { at: op.at, rev }
+        changed = true
+      }
+    })
+
+    if (!changed) return existing
+    seq = rev
+    merged._sync.rev = rev
+    return merged
+  }
+
+  const upsertStudent = (op, conflicts) => {
+    const existing = findStudent(op.id)
+    if (!existing) {
+      if (isTombstoned('student', op.id) && !restoresDeleted(op)) {
+        conflicts.push({ opId: op.opId, kind: 'student', id: op.id, reason: 'deleted', localValue: op.changes })
+        return
+      }
+      const { logs, ...record } = op.changes
+      data = [...data, { ...stamp({ ...record, id: op.id }, op.at, ++seq), logs: [] }]
+      return
+    }
+    const merged = mergeFields(existing, op.changes, op, conflicts)
+    data = data.map(s => s === existing ? merged : s)
+  }
+
+  const upsertLog = (op, conflicts) => {
+    const student = findStudent(op.studentId)
+    if (!student) {
+      conflicts.push({
+        opId: op.opId, kind: 'log', id: op.id, studentId: op.studentId,
+        reason: isTombstoned('student', op.studentId) ? 'student-deleted' : 'student-missing',
+        localValue: op.changes
+      })
+      return
+    }
+
+    const existing = student.logs.find(l => sameId(l.id, op.id))
+    let logs
+    if (!existing) {
+      if (isTombstoned('log', op.id) && !restoresDeleted(op)) {
+        conflicts.push({ opId: op.opId, kind: 'log', id: op.id, studentId: op.studentId, reason: 'deleted', localValue: op.changes })
+        return
+      }
+      logs = [stamp({ ...op.changes, id: op.id }, op.at, ++seq), ...student.logs]
+    } else {
+      const merged = mergeFields(existing, op.changes, op, conflicts)
+      logs = student.logs.map(l => l === existing ? merged : l)
+    }
+    data = data.map(s => s === student ? { ...student, logs } : s)
+  }
+
+  const deleteRecord = (op, conflicts) => {
+    if (op.kind === 'student') {
+      const existing = findStudent(op.id)
+      if (existing && op.baseRev !== undefined && op.baseRev !== null && existing._sync.rev > op.baseRev) {
+        conflicts.push({ opId: op.opId, kind: 'student', id: op.id, reason: 'deleted-while-edited', serverValue: cleanRecord(existing) })
+      }
+      data = data.filter(s => !sameId(s.id, op.id))
+      addTombstone('student', op.id, op.id, op.at)
+      return
+    }
+
+    // Full-dataset replacements may delete a log without naming its owner
+    const student = op.studentId !== undefined
+      ? findStudent(op.studentId)
+      : data.find(s => s.logs.some(l => sameId(l.id, op.id)))
+    const existing = student && student.logs.find(l => sameId(l.id, op.id))
+    if (existing && op.baseRev !== undefined && op.baseRev !== null && existing._sync.rev > op.baseRev) {
+      conflicts.push({ opId: op.opId, kind: 'log', id: op.id, studentId: op.studentId, reason: 'deleted-while-edited', serverValue: cleanRecord(existing) })
+    }
+    if (student) {
+      data = data.map(s => s === student ? { ...s, logs: s.logs.filter(l => l !== existing) } : s)
+    }
+    addTombstone('log', op.id, student ? student.id : op.studentId, op.at)
+  }
+
+  return {
+    /** Students without sync metadata, as served by the plain REST API. */
+    getStudents: () => data.map(student => ({
+      ...cleanRecord(student),
+      logs: student.logs.map(cleanRecord)
+    })),
+
+    /** Latest server revision. */
+    getSeq: () => seq,
+
+    /**
+     * Applies one queued operation from a device.
+     *
+     * @param {Object} op - `{ opId, kind, action, id, studentId, changes, at, baseRev }`
+     * @returns {Array<Object>} Conflicts detected while applying the operation
+     */
+    applyOperation: (op) => {
+      if (op.opId && appliedOps.includes(op.opId)) return []
+      const conflicts = []
+      const normalized = { ...op, at: Number(op.at) || Date.now() }
+
+      if (normalized.action === 'delete') {
+        deleteRecord(normalized, conflicts)
+      } else if (normalized.kind === 'student') {
+        upsertStudent(normalized, conflicts)
+      } else if (normalized.kind === 'log') {
+        upsertLog(normalized, conflicts)
+      } else {
+        throw new Error(`Unknown operation kind "${op.kind}"`)
+      }
+
+      if (op.opId) {
+        appliedOps = [...appliedOps, op.opId].slice(-MAX_REMEMBERED_OPS)
+      }
+      return conflicts
+    },
+
+    /**
+     * Lists every record change after a revision, oldest first.
+     *
+     * @param {number} since - Last revision the device has seen
+     * @returns {Array<Object>} `{ kind, action, id, studentId, record?, rev }` entries
+     */
+    getChangesSince: (since) => {
+      const changes = []
+      data.forEach(student => {
+        if (student._sync.rev > since) {
+          changes.push({ kind: 'student', action: 'upsert', id: student.id, record: cleanRecord(student), rev: student._sync.rev })
+        }
+        student.logs.forEach(log => {
+          if (log._sync.rev > since) {
+            changes.push({ kind: 'log', action: 'upsert', id: log.id, studentId: student.id, record: cleanRecord(log), rev: log._sync.rev })
+          }
+        })
+      })
+      tombstones.forEach(t => {
+        if (t.rev > since) {
+          changes.push({ kind: t.kind, action: 'delete', id: t.id, studentId: t.studentId, rev: t.rev })
+        }
+      })
+      return changes.sort((a, b) => a.rev - b.rev)
+    },
+
+    /**
+     * Replaces the whole dataset, tombstoning anything that was removed so
+     * syncing devices drop it too.
+     *
+     * @param {Array<Object>} students - New nested students
+     */
+    replaceAll: (students) => {
+      const at = Date.now()
+      const incomingStudentIds = new Set(students.map(s => String(s.id)))
+      const incomingLogIds = new Set(students.flatMap(s => (s.logs || []).map(l => String(l.id))))
+      data.forEach(student => {
+        if (!incomingStudentIds.has(String(student.id))) addTombstone('student', student.id, student.id, at)
+        student.logs.forEach(log => {
+          if (!incomingLogIds.has(String(log.id))) addTombstone('log', log.id, student.id, at)
+        })
+      })
+      data = stampAll(students.map(({ _sync, ...student }) => ({
+        ...student,
+        logs: (student.logs || []).map(({ _sync: logSync, ...log }) => log)
+      })), at)
+    },
+
+    /** Serializable state for persistence. */
+    toJSON: () => ({ students: data, sync: { seq, tombstones, appliedOps } })
+  }
+}
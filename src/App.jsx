@@ -1,9 +1,45 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react'
 import Sidebar from './components/Sidebar'
 import MainContent from './components/MainContent'
+import TrashView from './components/TrashView'
+import RestorePointsView from './components/RestorePointsView'
+import RetentionView from './components/RetentionView'
+import UnlockScreen from './components/UnlockScreen'
+import EncryptionSettingsModal from './components/EncryptionSettingsModal'
+import DataTransferModal from './components/DataTransferModal'
+import CsvImportWizard from './components/CsvImportWizard'
 import ScheduleSettings from './components/ScheduleSettings'
+import { migrateStudents } from './storage/migrations'
+import { createStorageAdapter } from './storage'
+import { applyRemoteChanges } from './storage/syncClient'
+import { ENCRYPTION_ERRORS } from './storage/crypto'
+import * as updates from './utils/studentUpdates'
+import { createCommandHistory } from './utils/commandHistory'
+import { withoutTrashed, getTrashedItems, getExpiredItems } from './utils/trash'
+import { loadSettings, saveSettings } from './utils/settings'
+import { applyLogEdit } from './utils/logRevisions'
+import { applyImport } from './utils/dataBundle'
+import { validateLog, validateLogTime } from './utils/logModel'
+import { withoutArchived, planRetention, applyRetentionRules, loadPurgeLog, appendPurgeLog } from './utils/retention'
 
-// Initial demo data
+// Persistence backend (browser-local by default, or a shared REST server)
+const storage = createStorageAdapter()
+
+// Undo/redo history for this tab (kept in sessionStorage across reloads)
+const history = createCommandHistory()
+
+// How long the undo toast stays visible after a destructive action
+const UNDO_TOAST_MS = 8000
+// How often to check whether an hourly/daily restore point is due
+const SNAPSHOT_CHECK_MS = 15 * 60 * 1000
+
+// Keyboard shortcuts are left to the browser while typing, so text fields
+// keep their own undo
+const isEditableTarget = (target) => {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
+
+// Initial demo data (schema version 1 shape; upgraded on load like stored data)
 const initialStudents = [
   {
     id: 1,
@@ -80,9 +116,9 @@ const initialStudents = [
  * Auditory, Tactile) with intensity levels and environmental context.
  * 
  * Key features:
- * - Persistent data storage using localStorage
+ * - Pluggable persistence: IndexedDB in the browser or a shared REST backend
  * - Real-time log creation and editing
- * - Student management (add, edit, delete)
+ * - Student management (add, edit, delete to a restorable Trash)
  * - Schedule management for each student
  * - Analytics and pattern detection for educational insights
  * 
@@ -94,81 +130,272 @@ const initialStudents = [
  * return <App />;
  */
 function App() {
-  // Initialize students from localStorage or fall back to demo data
-  // This ensures data persistence across browser sessions while providing
-  // sample data for new users to understand the system's capabilities
-  const [students, setStudents] = useState(() => {
-    const savedStudents = localStorage.getItem('kre-students')
-    if (savedStudents) {
-      try {
-        return JSON.parse(savedStudents)
-      } catch (error) {
-        console.error('Error loading saved data:', error)
-        return initialStudents
-      }
-    }
-    return initialStudents
-  })
+  // Students are loaded asynchronously from the storage adapter; null until loaded
+  const [students, setStudents] = useState(null)
+  // Surfaces load/save failures and rejected logs instead of silently losing data
+  const [storageError, setStorageError] = useState(null)
 
   // Track which student is currently selected for viewing/editing
   // Defaults to the first student (ID: 1) for immediate usability
   const [selectedStudentId, setSelectedStudentId] = useState(1)
 
-  // Persist data to localStorage whenever the students state changes
-  // This provides automatic data backup without requiring explicit save actions
+  const { past, future } = useSyncExternalStore(history.subscribe, history.getSnapshot)
+  // Label of the destructive command the undo toast offers to reverse
+  const [undoToast, setUndoToast] = useState(null)
+
+  // Device-wide preferences (see utils/settings.js)
+  const [settings, setSettings] = useState(loadSettings)
+  // 'student' shows the selected student, 'trash' the Trash view,
+  // 'restore' the Restore points view and 'retention' the Data retention view
+  const [activeView, setActiveView] = useState('student')
+  // Runs of the retention rules that changed data, newest first
+  const [purgeLog, setPurgeLog] = useState(loadPurgeLog)
+  // True while encrypted data waits for the passphrase
+  const [isLocked, setIsLocked] = useState(false)
+  const [isEncryptionModalOpen, setIsEncryptionModalOpen] = useState(false)
+  const [isDataTransferOpen, setIsDataTransferOpen] = useState(false)
+  const [isCsvImportOpen, setIsCsvImportOpen] = useState(false)
+
+  // The undo history is encrypted with the same key as the data
+  const getEncryptionKey = () => (storage.getEncryptionKey ? storage.getEncryptionKey() : null)
+
+  const handleChangePassphrase = async (currentPassphrase, newPassphrase) => {
+    await storage.changePassphrase(currentPassphrase, newPassphrase)
+    await history.setEncryptionKey(getEncryptionKey())
+  }
+
+  // Loads persisted data. First run imports any legacy localStorage data (or
+  // seeds demo data for new users), and older schemas are upgraded. Encrypted
+  // data is only loaded with the right passphrase and is never replaced by
+  // demo data.
+  const loadData = (passphrase) => {
+    return storage.load({ seedStudents: migrateStudents(initialStudents, 1), passphrase })
+      .then(async loadedStudents => {
+        // Restore the undo history before any change can be recorded in it
+        await history.setEncryptionKey(getEncryptionKey())
+        setIsLocked(false)
+        setStudents(loadedStudents)
+        const remainingStudents = purgeExpired(loadedStudents, settings.trashRetentionDays)
+        applyRetention(remainingStudents, settings.retentionRules, 'startup')
+      })
+  }
+
+  useEffect(() => {
+    loadData().catch(error => {
+      if (error.code === ENCRYPTION_ERRORS.LOCKED) {
+        setIsLocked(true)
+        return
+      }
+      console.error('Error loading saved data:', error)
+      setStorageError(`Could not load saved data: ${error.message}`)
+    })
+  }, [])
+
+  // Scheduled snapshots read the latest data through a ref so the interval
+  // does not restart on every change
+  const studentsRef = useRef(students)
+  studentsRef.current = students
+  const isLoaded = students !== null
+
+  useEffect(() => {
+    if (!storage.snapshots || !isLoaded) return
+    const snapshotIfDue = () => {
+      storage.snapshots.createDue(studentsRef.current)
+        .catch(error => console.error('Error creating restore point:', error))
+    }
+    snapshotIfDue()
+    const timer = setInterval(snapshotIfDue, SNAPSHOT_CHECK_MS)
+    return () => clearInterval(timer)
+  }, [isLoaded])
+
+  // Mirror writes made in other open tabs so no tab works from stale data
+  useEffect(() => {
+    return storage.onOtherTabChange(message => {
+      // This tab's key is outdated after a passphrase change elsewhere, so
+      // it reloads and asks for the passphrase again
+      if (message.method === 'changePassphrase') {
+        window.location.reload()
+        return
+      }
+      setStudents(prevStudents => prevStudents && updates.applyMutation(prevStudents, message))
+    })
+  }, [])
+
   useEffect(() => {
-    console.log("STATE UPDATED:", students);
-    localStorage.setItem('kre-students', JSON.stringify(students))
-  }, [students]);
+    return history.onSaveError(count => {
+      setStorageError(`The undo history is too large to keep for this tab; the ${count} oldest actions cannot be undone after a reload.`)
+    })
+  }, [])
+
+  // With offline sync enabled, changes made on other devices are written to
+  // local storage by the sync client and mirrored into state here
+  useEffect(() => {
+    if (!storage.sync) return
+    return storage.sync.onRemoteChanges(changes => {
+      setStudents(prevStudents => prevStudents && applyRemoteChanges(prevStudents, changes))
+    })
+  }, [])
+
+  // Each handler below updates React state and writes only the affected
+  // record, so saves stay fast no matter how large the dataset grows
+  const persist = (promise) => {
+    promise.catch(error => {
+      console.error('Error saving data:', error)
+      setStorageError(`Could not save changes: ${error.message}`)
+    })
+  }
+
+  // Applies mutations to React state and then writes them in order
+  const runMutations = (mutations) => {
+    setStudents(prevStudents => mutations.reduce(updates.applyMutation, prevStudents))
+    persist(mutations.reduce(
+      (previous, { method, args }) => previous.then(() => storage[method](...args)),
+      Promise.resolve()
+    ))
+  }
+
+  /**
+   * Performs an undoable command and records it in the history.
+   *
+   * @param {import('./utils/commandHistory').Command} command - Command to perform
+   */
+  const execute = (command) => {
+    runMutations(command.redo)
+    history.record(command)
+    setUndoToast(command.destructive ? command.label : null)
+  }
+
+  const handleUndo = () => {
+    const command = history.undo()
+    if (!command) return
+    runMutations(command.undo)
+    setUndoToast(null)
+  }
+
+  const updateSettings = (changes) => {
+    const nextSettings = { ...settings, ...changes }
+    setSettings(nextSettings)
+    saveSettings(nextSettings)
+  }
+
+  // Permanently removes trashed records past the retention period. Expiry is
+  // not an undoable action, so it bypasses the history. Returns the students
+  // that remain.
+  const purgeExpired = (currentStudents, retentionDays) => {
+    const expired = getExpiredItems(currentStudents, retentionDays)
+    const mutations = [
+      ...expired.students.map(student => ({ method: 'deleteStudent', args: [student.id] })),
+      ...expired.logs.map(({ student, log }) => ({ method: 'deleteLog', args: [student.id, log.id] }))
+    ]
+    if (mutations.length > 0) runMutations(mutations)
+    return mutations.reduce(updates.applyMutation, currentStudents)
+  }
+
+  // Applies the data retention rules and records the run in the purge log.
+  // Purged data must not come back through undo, so the history is cleared.
+  // Restore points get the same rules in the background, since every one of
+  // them has to be read, and are recorded in the purge log separately
+  const applyRetention = (currentStudents, rules, trigger) => {
+    const { mutations, results } = planRetention(currentStudents, rules)
+    if (mutations.length > 0) {
+      runMutations(mutations)
+      history.clear()
+      setPurgeLog(appendPurgeLog(results, trigger))
+    }
+    if (!storage.snapshots || rules.length === 0) return
+    storage.snapshots.rewriteAll(snapshotStudents => applyRetentionRules(snapshotStudents, rules))
+      .then(restorePoints => {
+        if (restorePoints > 0) setPurgeLog(appendPurgeLog([], trigger, { restorePoints }))
+      })
+      .catch(error => {
+        console.error('Error applying retention rules to restore points:', error)
+        setStorageError(`Could not apply retention rules to restore points: ${error.message}`)
+      })
+  }
+
+  const handleRedo = () => {
+    const command = history.redo()
+    if (!command) return
+    runMutations(command.redo)
+    setUndoToast(null)
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  useEffect(() => {
+    if (!undoToast) return
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS)
+    return () => clearTimeout(timer)
+  }, [undoToast])
+
+  // Trashed students and logs are hidden everywhere except the Trash view,
+  // and archived students everywhere except the Data retention view
+  const activeStudents = students ? withoutArchived(withoutTrashed(students)) : []
+  const trashedItems = students ? getTrashedItems(students) : { students: [], logs: [] }
+
+  // Get selected student object for passing to child components
+  // This derived state ensures components always have current student data
+  const selectedStudent = activeStudents.find(s => s.id === selectedStudentId)
 
   /**
    * Adds a new log entry to the currently selected student.
    * 
-   * This is the primary data entry point for the application. Logs are prepended
-   * to maintain chronological order with newest entries first, which aligns with
-   * the typical workflow of reviewing recent emotional/sensory events.
+   * This is the primary data entry point for the application. Logs are kept
+   * newest first, which aligns with the typical workflow of reviewing recent
+   * emotional/sensory events; backdated logs are placed by their time. Logs
+   * that do not match the log model (see utils/logModel.js) or lie in the
+   * future are rejected with a visible error.
    * 
    * @param {Object} newLog - The log entry to add
-   * @param {number} newLog.id - Unique identifier (typically timestamp)
+   * @param {string} newLog.id - Unique identifier (a UUID)
    * @param {string} newLog.type - Log type: 'feeling' or 'sensory'
    * @param {string} newLog.value - Emotion name or sensory description
-   * @param {number} newLog.timestamp - When the log was created
-   * @param {string} [newLog.description] - Optional additional context
+   * @param {number} newLog.timestamp - When it happened (now, or earlier if backdated)
+   * @param {string} [newLog.notes] - Optional additional context
    * @param {string} [newLog.environmentalFactors] - Optional environmental context
    */
   const handleAddLog = (newLog) => {
-    setStudents(prevStudents => {
-      return prevStudents.map(student => {
-        if (student.id === selectedStudentId) {
-          return {
-            ...student,
-            logs: [newLog, ...student.logs] // Prepend to show newest first
-          }
-        }
-        return student
-      })
+    const errors = [...validateLog(newLog), ...validateLogTime(newLog)]
+    if (errors.length > 0) {
+      setStorageError(`Could not add log: ${errors.join('; ')}`)
+      return
+    }
+    execute({
+      label: 'Added log',
+      redo: [{ method: 'addLog', args: [selectedStudentId, newLog] }],
+      undo: [{ method: 'deleteLog', args: [selectedStudentId, newLog.id] }]
     })
   }
 
   /**
-   * Removes a specific log entry from the currently selected student.
+   * Moves a log entry of the currently selected student to the Trash.
    * 
    * This allows correction of accidental entries or removal of test data.
-   * Uses immutable update patterns to ensure React re-renders properly.
+   * The log is only marked as trashed, so it can be restored until it expires.
    * 
    * @param {number} logId - Unique identifier of the log to delete
    */
   const handleDeleteLog = (logId) => {
-    setStudents(prevStudents => {
-      return prevStudents.map(student => {
-        if (student.id === selectedStudentId) {
-          return {
-            ...student,
-            logs: student.logs.filter(log => log.id !== logId)
-          }
-        }
-        return student
-      })
+    execute({
+      label: 'Log moved to Trash',
+      destructive: true,
+      redo: [{ method: 'updateLog', args: [selectedStudentId, logId, { trashedAt: Date.now() }] }],
+      undo: [{ method: 'updateLog', args: [selectedStudentId, logId, { trashedAt: null }] }]
     })
   }
 
@@ -176,32 +403,33 @@ function App() {
    * Updates an existing log entry with new information.
    * 
    * Enables post-creation editing of logs to add context, correct mistakes,
-   * or update environmental factors. Maintains log order by ID while allowing
-   * content modification.
+   * or update environmental factors. The previous values are kept in the log's
+   * revision history together with the editor's name. Undo restores the
+   * complete previous version of the log. A changed time moves the log to
+   * its place in the timeline, but cannot be in the future.
    * 
    * @param {number} logId - Unique identifier of the log to update  
    * @param {Object} updatedLog - Partial log object containing fields to update
+   * @param {string} editorName - Name of the staff member making the edit
    */
-  const handleEditLog = (logId, updatedLog) => {
-    setStudents(prevStudents => {
-      return prevStudents.map(student => {
-        if (student.id === selectedStudentId) {
-          return {
-            ...student,
-            logs: student.logs.map(log => 
-              log.id === logId ? { ...log, ...updatedLog } : log
-            )
-          }
-        }
-        return student
-      })
+  const handleEditLog = (logId, updatedLog, editorName) => {
+    const log = selectedStudent?.logs.find(l => l.id === logId)
+    if (!log) return
+    if (editorName !== settings.editorName) updateSettings({ editorName })
+    const editedLog = applyLogEdit(log, updatedLog, editorName)
+    if (editedLog === log) return
+    const errors = [...validateLog(editedLog), ...validateLogTime(editedLog)]
+    if (errors.length > 0) {
+      setStorageError(`Could not save the edit: ${errors.join('; ')}`)
+      return
+    }
+    execute({
+      label: 'Edited log',
+      redo: [{ method: 'addLog', args: [selectedStudentId, editedLog] }],
+      undo: [{ method: 'addLog', args: [selectedStudentId, log] }]
     })
   }
 
-  // Get selected student object for passing to child components
-  // This derived state ensures components always have current student data
-  const selectedStudent = students.find(s => s.id === selectedStudentId)
-
   /**
    * Creates a new student and adds them to the system.
    * 
@@ -216,11 +444,15 @@ function App() {
       name: name,
       logs: []
     }
-    setStudents([...students, newStudent])
+    execute({
+      label: 'Added student',
+      redo: [{ method: 'addStudent', args: [newStudent] }],
+      undo: [{ method: 'deleteStudent', args: [newStudent.id] }]
+    })
   }
 
   /**
-   * Removes a student and all their associated data from the system.
+   * Moves a student, together with all their logs, to the Trash.
    * 
    * Includes automatic selection handling: if the deleted student was currently
    * selected, switches to the first remaining student to maintain app usability.
@@ -228,32 +460,260 @@ function App() {
    * @param {number} studentId - Unique identifier of the student to delete
    */
   const handleDeleteStudent = (studentId) => {
-    setStudents(prevStudents => {
-      const updatedStudents = prevStudents.filter(student => student.id !== studentId);
-      // Auto-select first remaining student if deleted student was selected
-      // This prevents the app from entering an invalid state
-      if (selectedStudentId === studentId) {
-        setSelectedStudentId(updatedStudents[0]?.id || null);
-      }
-      return updatedStudents;
-    });
+    const student = activeStudents.find(s => s.id === studentId)
+    if (!student) return
+    execute({
+      label: `${student.name} moved to Trash`,
+      destructive: true,
+      redo: [{ method: 'updateStudent', args: [studentId, { trashedAt: Date.now() }] }],
+      undo: [{ method: 'updateStudent', args: [studentId, { trashedAt: null }] }]
+    })
+    // Auto-select first remaining student if deleted student was selected
+    // This prevents the app from entering an invalid state
+    if (selectedStudentId === studentId) {
+      setSelectedStudentId(activeStudents.find(s => s.id !== studentId)?.id || null)
+    }
+  }
+
+  /**
+   * Archives a student who has left, hiding them while keeping their data
+   * until a retention rule anonymizes it.
+   * 
+   * @param {number} studentId - Unique identifier of the student to archive
+   */
+  const handleArchiveStudent = (studentId) => {
+    const student = activeStudents.find(s => s.id === studentId)
+    if (!student) return
+    execute({
+      label: `${student.name} archived`,
+      destructive: true,
+      redo: [{ method: 'updateStudent', args: [studentId, { archivedAt: Date.now() }] }],
+      undo: [{ method: 'updateStudent', args: [studentId, { archivedAt: null }] }]
+    })
+    if (selectedStudentId === studentId) {
+      setSelectedStudentId(activeStudents.find(s => s.id !== studentId)?.id || null)
+    }
+  }
+
+  /**
+   * Returns an archived student to the student list.
+   * 
+   * @param {number} studentId - Unique identifier of the archived student
+   */
+  const handleUnarchiveStudent = (studentId) => {
+    const student = students.find(s => s.id === studentId)
+    if (!student) return
+    execute({
+      label: `Unarchived ${student.name}`,
+      redo: [{ method: 'updateStudent', args: [studentId, { archivedAt: null }] }],
+      undo: [{ method: 'updateStudent', args: [studentId, { archivedAt: student.archivedAt }] }]
+    })
+  }
+
+  /**
+   * Restores a trashed student along with their logs.
+   * 
+   * @param {number} studentId - Unique identifier of the trashed student
+   */
+  const handleRestoreStudent = (studentId) => {
+    const student = students.find(s => s.id === studentId)
+    if (!student) return
+    execute({
+      label: `Restored ${student.name}`,
+      redo: [{ method: 'updateStudent', args: [studentId, { trashedAt: null }] }],
+      undo: [{ method: 'updateStudent', args: [studentId, { trashedAt: student.trashedAt }] }]
+    })
+  }
+
+  /**
+   * Restores a trashed log.
+   * 
+   * @param {number} studentId - Owner of the log
+   * @param {number} logId - Unique identifier of the trashed log
+   */
+  const handleRestoreLog = (studentId, logId) => {
+    const log = students.find(s => s.id === studentId)?.logs.find(l => l.id === logId)
+    if (!log) return
+    execute({
+      label: 'Restored log',
+      redo: [{ method: 'updateLog', args: [studentId, logId, { trashedAt: null }] }],
+      undo: [{ method: 'updateLog', args: [studentId, logId, { trashedAt: log.trashedAt }] }]
+    })
+  }
+
+  /**
+   * Permanently deletes a trashed student and all their data.
+   * 
+   * The complete student is kept in the undo history, so even a purge can be
+   * reversed during this session.
+   * 
+   * @param {number} studentId - Unique identifier of the trashed student
+   */
+  const handlePurgeStudent = (studentId) => {
+    const student = students.find(s => s.id === studentId)
+    if (!student) return
+    // Logs and schedule are stored separately by some backends, so they are
+    // restored with their own mutations
+    const { logs, schedule, ...record } = student
+    execute({
+      label: `Permanently deleted ${student.name}`,
+      destructive: true,
+      redo: [{ method: 'deleteStudent', args: [studentId] }],
+      undo: [
+        { method: 'addStudent', args: [{ ...record, logs: [] }] },
+        ...logs.map(log => ({ method: 'addLog', args: [studentId, log] })),
+        ...(schedule ? [{ method: 'saveSchedule', args: [studentId, schedule] }] : [])
+      ]
+    })
+  }
+
+  /**
+   * Permanently deletes a trashed log.
+   * 
+   * @param {number} studentId - Owner of the log
+   * @param {number} logId - Unique identifier of the trashed log
+   */
+  const handlePurgeLog = (studentId, logId) => {
+    const log = students.find(s => s.id === studentId)?.logs.find(l => l.id === logId)
+    if (!log) return
+    execute({
+      label: 'Permanently deleted log',
+      destructive: true,
+      redo: [{ method: 'deleteLog', args: [studentId, logId] }],
+      undo: [{ method: 'addLog', args: [studentId, log] }]
+    })
+  }
+
+  /**
+   * Changes how many days trashed records are kept, purging anything that is
+   * now past the new limit.
+   * 
+   * @param {number} days - Retention period in days
+   */
+  const handleChangeRetention = (days) => {
+    updateSettings({ trashRetentionDays: days })
+    purgeExpired(students, days)
+  }
+
+  const handleChangeRetentionRules = (retentionRules) => {
+    updateSettings({ retentionRules })
+  }
+
+  /**
+   * Saves the retention rules and applies them right away.
+   * 
+   * @param {Array<Object>} retentionRules - Rules to save and apply
+   */
+  const handleApplyRetention = (retentionRules) => {
+    updateSettings({ retentionRules })
+    applyRetention(students, retentionRules, 'manual')
+  }
+
+  const handleCreateRestorePoint = () => storage.snapshots.create('manual', students)
+
+  /**
+   * Replaces all data with a snapshot's students. The replaced data is kept
+   * as a "Before restore" snapshot, and the restore can be undone.
+   * Also works when loading failed, so corrupted data can be rolled back.
+   *
+   * @param {Array<Object>} restoredStudents - Students from the snapshot
+   */
+  const handleRestoreSnapshot = async (restoredStudents) => {
+    // Data that failed to load is replaced directly; there is nothing to undo
+    if (!students) {
+      await storage.save(restoredStudents)
+      setStudents(restoredStudents)
+      setStorageError(null)
+      return
+    }
+    await storage.snapshots.create('pre-restore', students)
+    execute({
+      label: 'Restored data from a restore point',
+      destructive: true,
+      redo: [{ method: 'save', args: [restoredStudents] }],
+      undo: [{ method: 'save', args: [students] }]
+    })
+  }
+
+  /**
+   * Imports students from an export bundle, keeping the current data as a
+   * "Before import" restore point. The import can be undone.
+   *
+   * @param {Array<Object>} importedStudents - Validated students from the bundle
+   * @param {string} mode - One of `IMPORT_MODES` (replace or merge)
+   */
+  const handleImport = async (importedStudents, mode) => {
+    if (storage.snapshots) await storage.snapshots.create('pre-import', students)
+    execute({
+      label: 'Imported data',
+      destructive: true,
+      redo: [{ method: 'save', args: [applyImport(students, importedStudents, mode)] }],
+      undo: [{ method: 'save', args: [students] }]
+    })
+  }
+
+  /**
+   * Appends logs imported from a spreadsheet CSV to a student, as one
+   * undoable command.
+   *
+   * @param {number} studentId - Student receiving the logs
+   * @param {Array<Object>} logs - Validated logs from the import wizard
+   */
+  const handleImportLogs = (studentId, logs) => {
+    execute({
+      label: `Imported ${logs.length} log${logs.length === 1 ? '' : 's'}`,
+      redo: logs.map(log => ({ method: 'addLog', args: [studentId, log] })),
+      undo: logs.map(log => ({ method: 'deleteLog', args: [studentId, log.id] }))
+    })
+  }
+
+  /**
+   * Changes fields of an active student as one undoable command. Undo puts
+   * back the previous values (null for fields the student did not have).
+   *
+   * @param {number} studentId - Student to update
+   * @param {string|Function} label - History label, or a function of the
+   *   student returning it
+   * @param {Object|Function} patch - Fields to set, or a function of the
+   *   student returning them
+   */
+  const updateStudentUndoable = (studentId, label, patch) => {
+    const student = activeStudents.find(s => s.id === studentId)
+    if (!student) return
+    const changes = typeof patch === 'function' ? patch(student) : patch
+    const previous = Object.fromEntries(Object.keys(changes).map(key => [key, student[key] ?? null]))
+    execute({
+      label: typeof label === 'function' ? label(student) : label,
+      redo: [{ method: 'updateStudent', args: [studentId, changes] }],
+      undo: [{ method: 'updateStudent', args: [studentId, previous] }]
+    })
+  }
+
+  /**
+   * Keeps an AI insight on the selected student so it can be included in
+   * printed reports. Replaces any previously saved insight.
+   *
+   * @param {string} text - Insight text
+   */
+  const handleSaveInsight = (text) => {
+    updateStudentUndoable(selectedStudentId, 'Saved AI insight', { savedInsight: { text, savedAt: Date.now() } })
+  }
+
+  const handleSelectStudent = (studentId) => {
+    setSelectedStudentId(studentId)
+    setActiveView('student')
   }
 
   /**
    * Updates a student's name while preserving all their log data.
    * 
    * Useful for correcting spelling errors or handling name changes.
-   * Uses immutable update pattern to ensure proper React re-rendering.
    * 
    * @param {number} studentId - Unique identifier of the student to update
    * @param {string} newName - The updated name for the student
    */
   const handleEditStudent = (studentId, newName) => {
-    setStudents(prevStudents =>
-      prevStudents.map(student =>
-        student.id === studentId ? { ...student, name: newName } : student
-      )
-    )
+    updateStudentUndoable(studentId, 'Renamed student', { name: newName })
   }
 
   /**
@@ -265,36 +725,222 @@ function App() {
    * @param {Object} schedule - Schedule data structure containing time-based activities
    */
   const handleSaveSchedule = (schedule) => {
-    setStudents(prevStudents => {
-      return prevStudents.map(student => {
-        if (student.id === selectedStudentId) {
-          return {
-            ...student,
-            schedule: schedule
-          }
-        }
-        return student
-      })
-    })
+    setStudents(prevStudents => updates.setSchedule(prevStudents, selectedStudentId, schedule))
+    persist(storage.saveSchedule(selectedStudentId, schedule))
+  }
+
+  /**
+   * Gives the selected student their own emotion vocabulary, or removes it
+   * so the shared one applies again. Undoable.
+   * 
+   * @param {Array<Object>|null} emotions - Student's emotions, null for the shared set
+   */
+  const handleSaveStudentEmotions = (emotions) => {
+    updateStudentUndoable(
+      selectedStudentId,
+      student => (emotions ? `Saved emotions for ${student.name}` : `${student.name} uses the shared emotions`),
+      { emotions }
+    )
+  }
+
+  /**
+   * Sets which sensory systems are offered when logging for the selected
+   * student. Undoable.
+   * 
+   * @param {Array<string>} sensorySystems - Enabled system names
+   */
+  const handleSaveSensorySystems = (sensorySystems) => {
+    updateStudentUndoable(selectedStudentId, student => `Changed sensory systems for ${student.name}`, { sensorySystems })
+  }
+
+  /**
+   * Sets the intensity scale the selected student uses for a sensory
+   * system. Existing logs keep the scale they were recorded on. Undoable.
+   * 
+   * @param {string} system - Sensory system name
+   * @param {string} scale - `INTENSITY_SCALES` key
+   */
+  const handleSaveIntensityScale = (system, scale) => {
+    updateStudentUndoable(
+      selectedStudentId,
+      student => `Changed the ${system} intensity scale for ${student.name}`,
+      student => ({ intensityScales: { ...student.intensityScales, [system]: scale } })
+    )
+  }
+
+  /**
+   * Saves the selected student's intervention strategy library, or removes
+   * it so the defaults apply again. Undoable.
+   * 
+   * @param {Array<string>|null} strategies - Strategy names, null for the defaults
+   */
+  const handleSaveStrategies = (strategies) => {
+    updateStudentUndoable(selectedStudentId, student => `Saved intervention strategies for ${student.name}`, { strategies })
+  }
+
+  /**
+   * Saves the selected student's own quick-log presets. Undoable.
+   * 
+   * @param {Array<Object>|null} logPresets - Student's presets, null for none
+   */
+  const handleSaveStudentPresets = (logPresets) => {
+    updateStudentUndoable(selectedStudentId, student => `Saved quick-log presets for ${student.name}`, { logPresets })
+  }
+
+  if (isLocked) {
+    return <UnlockScreen onUnlock={loadData} />
+  }
+
+  // Data that failed to load can still be replaced from a restore point
+  if (!students && activeView === 'restore') {
+    return (
+      <div className="flex h-screen">
+        <RestorePointsView snapshots={storage.snapshots} onRestore={handleRestoreSnapshot} />
+      </div>
+    )
+  }
+
+  if (!students) {
+    return (
+      <div className="flex h-screen items-center justify-center p-10">
+        {storageError ? (
+          <div className="max-w-lg bg-red-900/20 border border-red-700 rounded-lg p-4 text-red-400">
+            <p className="font-semibold">Error</p>
+            <p className="text-sm mt-1">{storageError}</p>
+            {storage.snapshots && (
+              <button onClick={() => setActiveView('restore')} className="mt-3 text-sm font-semibold underline">
+                Roll back to a restore point
+              </button>
+            )}
+          </div>
+        ) : (
+          <p className="text-[var(--text-secondary)]">Loading student data...</p>
+        )}
+      </div>
+    )
   }
 
   return (
     <div className="flex h-screen">
+      {undoToast && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white shadow-2xl">
+          <span className="text-sm">{undoToast}</span>
+          <button onClick={handleUndo} className="text-sm font-semibold text-[var(--accent-gradient-start)] hover:underline">
+            Undo
+          </button>
+          <button onClick={() => setUndoToast(null)} className="text-gray-400 hover:text-white" aria-label="Dismiss">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+      {storageError && (
+        <div className="fixed bottom-4 right-4 z-50 max-w-sm bg-red-900/90 border border-red-700 rounded-lg p-4 text-red-200 shadow-2xl">
+          <p className="text-sm">{storageError}</p>
+          <button onClick={() => setStorageError(null)} className="mt-2 text-xs underline">
+            Dismiss
+          </button>
+        </div>
+      )}
       <Sidebar 
-        students={students}
-        selectedStudentId={selectedStudentId}
-        onSelectStudent={setSelectedStudentId}
+        students={activeStudents}
+        selectedStudentId={activeView === 'student' ? selectedStudentId : null}
+        onSelectStudent={handleSelectStudent}
         onAddStudent={handleAddStudent}
         onDeleteStudent={handleDeleteStudent}
         onEditStudent={handleEditStudent}
+        syncClient={storage.sync}
+        canUndo={past.length > 0}
+        canRedo={future.length > 0}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        trashCount={trashedItems.students.length + trashedItems.logs.length}
+        isTrashOpen={activeView === 'trash'}
+        onOpenTrash={() => setActiveView('trash')}
+        isRestorePointsOpen={activeView === 'restore'}
+        onOpenRestorePoints={storage.snapshots ? () => setActiveView('restore') : null}
+        isRetentionOpen={activeView === 'retention'}
+        onOpenRetention={() => setActiveView('retention')}
+        onArchiveStudent={handleArchiveStudent}
+        onOpenDataTransfer={() => setIsDataTransferOpen(true)}
+        onOpenEncryption={storage.changePassphrase ? () => setIsEncryptionModalOpen(true) : null}
+      />
+      {activeView === 'trash' ? (
+        <TrashView
+          trashedStudents={trashedItems.students}
+          trashedLogs={trashedItems.logs}
+          retentionDays={settings.trashRetentionDays}
+          onChangeRetention={handleChangeRetention}
+          onRestoreStudent={handleRestoreStudent}
+          onRestoreLog={handleRestoreLog}
+          onPurgeStudent={handlePurgeStudent}
+          onPurgeLog={handlePurgeLog}
+        />
+      ) : activeView === 'restore' ? (
+        <RestorePointsView
+          snapshots={storage.snapshots}
+          onCreate={handleCreateRestorePoint}
+          onRestore={handleRestoreSnapshot}
+        />
+      ) : activeView === 'retention' ? (
+        <RetentionView
+          students={students}
+          rules={settings.retentionRules}
+          onChangeRules={handleChangeRetentionRules}
+          onApply={handleApplyRetention}
+          purgeLog={purgeLog}
+          onUnarchiveStudent={handleUnarchiveStudent}
+        />
+      ) : (
+        <MainContent 
+          student={selectedStudent}
+          students={activeStudents}
+          onAddLog={handleAddLog}
+          onDeleteLog={handleDeleteLog}
+          onEditLog={handleEditLog}
+          onSaveSchedule={handleSaveSchedule}
+          onSaveInsight={handleSaveInsight}
+          editorName={settings.editorName}
+          timeZone={settings.timeZone}
+          onChangeTimeZone={(timeZone) => updateSettings({ timeZone })}
+          sharedEmotions={settings.emotions}
+          onSaveSharedEmotions={(emotions) => updateSettings({ emotions })}
+          onSaveStudentEmotions={handleSaveStudentEmotions}
+          onSaveSensorySystems={handleSaveSensorySystems}
+          onSaveIntensityScale={handleSaveIntensityScale}
+          onSaveStrategies={handleSaveStrategies}
+          sharedPresets={settings.logPresets}
+          onSaveSharedPresets={(logPresets) => updateSettings({ logPresets })}
+          onSaveStudentPresets={handleSaveStudentPresets}
+        />
+      )}
+      <DataTransferModal
+        isOpen={isDataTransferOpen}
+        onClose={() => setIsDataTransferOpen(false)}
+        students={students}
+        onImport={handleImport}
+        onOpenCsvImport={() => {
+          setIsDataTransferOpen(false)
+          setIsCsvImportOpen(true)
+        }}
       />
-      <MainContent 
-        student={selectedStudent}
-        onAddLog={handleAddLog}
-        onDeleteLog={handleDeleteLog}
-        onEditLog={handleEditLog}
-        onSaveSchedule={handleSaveSchedule}
+      <CsvImportWizard
+        isOpen={isCsvImportOpen}
+        onClose={() => setIsCsvImportOpen(false)}
+        students={activeStudents}
+        defaultStudentId={selectedStudentId}
+        onImport={handleImportLogs}
+        sharedEmotions={settings.emotions}
       />
+      {storage.changePassphrase && (
+        <EncryptionSettingsModal
+          isOpen={isEncryptionModalOpen}
+          onClose={() => setIsEncryptionModalOpen(false)}
+          isEncrypted={storage.isEncrypted}
+          onChangePassphrase={handleChangePassphrase}
+        />
+      )}
     </div>
   )
 }
@@ -4,8 +4,8 @@ import { Alert, AlertTitle, AlertDescription } from './ui/alert';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { AlertTriangle, Info } from 'lucide-react';
 
-const Alerts = ({ logs }) => {
-  const alerts = detectPatterns(logs);
+const Alerts = ({ logs, emotions }) => {
+  const alerts = detectPatterns(logs, emotions);
 
   if (alerts.length === 0) {
     return null;
@@ -6,30 +6,29 @@ import SensoryChart from './SensoryChart'
 import TimeOfDayChart from './TimeOfDayChart'
 import TimeStateCorrelation from './TimeStateCorrelation'
 import ScheduleAnalytics from './ScheduleAnalytics'
+import IncidentAnalysis from './IncidentAnalysis'
+import StrategyEffectiveness from './StrategyEffectiveness'
 import Alerts from './Alerts'
+import CsvExportModal from './CsvExportModal'
+import { getLogTimestamp } from '../utils/logModel'
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select'
 
-function Analytics({ logs, studentName, schedule }) {
+const TIME_RANGE_LABELS = {
+  7: 'Last 7 Days',
+  30: 'Last 30 Days',
+  90: 'Last 90 Days',
+  all: 'All Time'
+}
+
+function Analytics({ logs, studentName, schedule, emotions, students, timeZone, onChangeTimeZone }) {
   const [timeRange, setTimeRange] = useState(7);
+  const [isExportOpen, setIsExportOpen] = useState(false)
 
-  // Helper function to get timestamp from log (handles both old and new formats)
-  const getLogTimestamp = (log) => {
-    // If timestamp exists and is a number, use it
-    if (typeof log.timestamp === 'number') {
-      return log.timestamp;
-    }
-    // If timestamp exists and is a string, parse it
-    if (typeof log.timestamp === 'string') {
-      return new Date(log.timestamp).getTime();
-    }
-    // Fallback to id (for backward compatibility)
-    return typeof log.id === 'number' ? log.id : new Date(log.id).getTime();
-  }
+  const startDate = timeRange === 'all' ? null : startOfDay(subDays(new Date(), timeRange - 1))
 
   const filteredLogs = useMemo(() => {
-    if (timeRange === 'all') return logs;
-    const startDate = startOfDay(subDays(new Date(), timeRange - 1));
+    if (!startDate) return logs;
     return logs.filter(log => new Date(getLogTimestamp(log)) >= startDate);
   }, [logs, timeRange]);
 
@@ -55,7 +54,7 @@ function Analytics({ logs, studentName, schedule }) {
       <div className="flex justify-between items-center mb-6">
         <div>
           <h3 className="text-2xl font-bold text-foreground">Analytics for {studentName}</h3>
-          <p className="text-muted-foreground">A summary of logged feelings and sensory inputs.</p>
+          <p className="text-muted-foreground">A summary of logged feelings, sensory inputs, interventions and incidents.</p>
         </div>
         <div className="flex items-center gap-2">
             <label htmlFor="timeRange" className="text-sm font-medium text-muted-foreground">
@@ -66,12 +65,17 @@ function Analytics({ logs, studentName, schedule }) {
                 <SelectValue placeholder="Select time range" />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="7">Last 7 Days</SelectItem>
-                <SelectItem value="30">Last 30 Days</SelectItem>
-                <SelectItem value="90">Last 90 Days</SelectItem>
-                <SelectItem value="all">All Time</SelectItem>
+                {Object.entries(TIME_RANGE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
+            <button
+              onClick={() => setIsExportOpen(true)}
+              className="ml-2 px-3 py-2 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors"
+            >
+              Export CSV
+            </button>
           </div>
       </div>
       
@@ -81,7 +85,7 @@ function Analytics({ logs, studentName, schedule }) {
             <CardTitle className="text-lg">Feelings Breakdown</CardTitle>
           </CardHeader>
           <CardContent>
-            <FeelingsChart data={feelingsData} />
+            <FeelingsChart data={feelingsData} emotions={emotions} />
           </CardContent>
         </Card>
         
@@ -99,7 +103,7 @@ function Analytics({ logs, studentName, schedule }) {
             <CardTitle className="text-lg">Moods by Time of Day</CardTitle>
           </CardHeader>
           <CardContent>
-            <TimeOfDayChart data={filteredLogs.filter(log => log.type === 'feeling')} />
+            <TimeOfDayChart data={filteredLogs.filter(log => log.type === 'feeling')} emotions={emotions} />
           </CardContent>
         </Card>
 
@@ -108,7 +112,7 @@ function Analytics({ logs, studentName, schedule }) {
             <CardTitle className="text-lg">Time & State Correlation</CardTitle>
           </CardHeader>
           <CardContent>
-            <TimeStateCorrelation data={filteredLogs} />
+            <TimeStateCorrelation data={filteredLogs} emotions={emotions} />
           </CardContent>
         </Card>
 
@@ -117,11 +121,38 @@ function Analytics({ logs, studentName, schedule }) {
             <CardTitle className="text-lg">Moods by School Subject</CardTitle>
           </CardHeader>
           <CardContent>
-            <ScheduleAnalytics logs={filteredLogs} schedule={schedule} />
+            <ScheduleAnalytics logs={filteredLogs} schedule={schedule} emotions={emotions} />
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-lg">Intervention Effectiveness</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <StrategyEffectiveness logs={filteredLogs} emotions={emotions} />
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-lg">Incidents (ABC)</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <IncidentAnalysis logs={filteredLogs} />
           </CardContent>
         </Card>
       </div>
-      <Alerts logs={logs} />
+      <Alerts logs={logs} emotions={emotions} />
+      <CsvExportModal
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        student={{ name: studentName, logs }}
+        students={students}
+        analyticsRange={{ label: TIME_RANGE_LABELS[timeRange], days: timeRange === 'all' ? null : timeRange }}
+        timeZone={timeZone}
+        onChangeTimeZone={onChangeTimeZone}
+      />
     </div>
   )
 }
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+import {
+  CSV_COLUMNS,
+  DEFAULT_CSV_COLUMNS,
+  buildLogsCsv,
+  getDayRange,
+  getRecentDaysRange,
+  getDeviceTimeZone,
+  isValidTimeZone
+} from '../utils/csvExport'
+import { TIME_GRANULARITIES, FREE_TEXT_MODES, buildResearchCsv, getResearchSecret } from '../utils/researchExport'
+
+const inputClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+
+const downloadCsv = (csv, fileName) => {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Offered as suggestions; any IANA name the browser knows is accepted
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+
+/**
+ * Modal for downloading logs as CSV, for one student or all students, over
+ * the Analytics time range or a custom range of days. The research mode
+ * exports pseudonymized data plus a key file that stays with the school.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Object} props.student - Student shown in Analytics
+ * @param {Array} props.students - All (non-trashed) students
+ * @param {Object} props.analyticsRange - `{ label, days }` of the Analytics time range
+ *   (`days` is null for all time); the days are counted in the chosen timezone
+ * @param {string} props.timeZone - Saved school timezone ('' for the device's)
+ * @param {Function} props.onChangeTimeZone - Callback with a new timezone to remember
+ */
+function CsvExportModal({ isOpen, onClose, student, students, analyticsRange, timeZone, onChangeTimeZone }) {
+  const [mode, setMode] = useState('standard')
+  const [scope, setScope] = useState('student')
+  const [rangeMode, setRangeMode] = useState('analytics')
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [columns, setColumns] = useState(DEFAULT_CSV_COLUMNS)
+  const [granularity, setGranularity] = useState('day')
+  const [freeText, setFreeText] = useState(FREE_TEXT_MODES.STRIP)
+  const [timeZoneInput, setTimeZoneInput] = useState('')
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setTimeZoneInput(timeZone || getDeviceTimeZone())
+    setError(null)
+  }, [isOpen])
+
+  const toggleColumn = (key) => {
+    setColumns(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]))
+  }
+
+  const handleDownload = async () => {
+    const zone = timeZoneInput.trim()
+    if (!isValidTimeZone(zone)) {
+      setError(`"${zone}" is not a recognized timezone, e.g. America/New_York.`)
+      return
+    }
+    if (mode === 'standard' && columns.length === 0) {
+      setError('Select at least one column.')
+      return
+    }
+    if (rangeMode === 'custom' && fromDate && toDate && fromDate > toDate) {
+      setError('The start date is after the end date.')
+      return
+    }
+
+    const range = rangeMode === 'custom'
+      ? getDayRange(fromDate, toDate, zone)
+      : getRecentDaysRange(analyticsRange.days, zone)
+    const exported = scope === 'all' ? students : [student]
+    const date = format(new Date(), 'yyyy-MM-dd')
+
+    if (mode === 'research') {
+      try {
+        const { csv, keyCsv } = await buildResearchCsv(exported, {
+          range,
+          timeZone: zone,
+          granularity,
+          freeText,
+          secret: getResearchSecret()
+        })
+        downloadCsv(csv, `research-logs-${date}.csv`)
+        downloadCsv(keyCsv, `research-key-${date}.csv`)
+      } catch (err) {
+        setError(`Could not pseudonymize the export: ${err.message}`)
+        return
+      }
+    } else {
+      const { csv } = buildLogsCsv(exported, { columns, range, timeZone: zone })
+      downloadCsv(csv, `${scope === 'all' ? 'all-students' : student.name.replace(/[^\w-]+/g, '-')}-logs-${date}.csv`)
+    }
+
+    if (zone !== (timeZone || getDeviceTimeZone())) onChangeTimeZone(zone)
+    onClose()
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <div className="text-white space-y-5">
+        <h2 className="text-xl font-bold">Export CSV</h2>
+
+        <fieldset className="space-y-2 text-sm">
+          <legend className="text-[var(--text-secondary)] mb-1">Export</legend>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-mode" checked={mode === 'standard'} onChange={() => setMode('standard')} />
+            Standard
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-mode" checked={mode === 'research'} onChange={() => setMode('research')} />
+            Research (pseudonymized)
+          </label>
+        </fieldset>
+
+        <fieldset className="space-y-2 text-sm">
+          <legend className="text-[var(--text-secondary)] mb-1">Students</legend>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-scope" checked={scope === 'student'} onChange={() => setScope('student')} />
+            {student.name}
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-scope" checked={scope === 'all'} onChange={() => setScope('all')} />
+            All students ({students.length})
+          </label>
+        </fieldset>
+
+        <fieldset className="space-y-2 text-sm">
+          <legend className="text-[var(--text-secondary)] mb-1">Time range</legend>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-range" checked={rangeMode === 'analytics'} onChange={() => setRangeMode('analytics')} />
+            {analyticsRange.label} (as in Analytics)
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="csv-range" checked={rangeMode === 'custom'} onChange={() => setRangeMode('custom')} />
+            Custom
+          </label>
+          {rangeMode === 'custom' && (
+            <div className="flex items-center gap-2 pl-6">
+              <input type="date" aria-label="From" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+              <span className="text-[var(--text-secondary)]">to</span>
+              <input type="date" aria-label="To" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+            </div>
+          )}
+        </fieldset>
+
+        {mode === 'standard' ? (
+          <fieldset className="text-sm">
+            <legend className="text-[var(--text-secondary)] mb-1">Columns</legend>
+            <div className="grid grid-cols-2 gap-2">
+              {CSV_COLUMNS.map(column => (
+                <label key={column.key} className="flex items-center gap-2">
+                  <input type="checkbox" checked={columns.includes(column.key)} onChange={() => toggleColumn(column.key)} />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        ) : (
+          <>
+            <div className="text-sm">
+              <label htmlFor="csv-granularity" className="block text-[var(--text-secondary)] mb-1">Time precision</label>
+              <select id="csv-granularity" value={granularity} onChange={(e) => setGranularity(e.target.value)} className={inputClass}>
+                {Object.entries(TIME_GRANULARITIES).map(([key, { label, example }]) => (
+                  <option key={key} value={key}>{label} (e.g. {example})</option>
+                ))}
+              </select>
+            </div>
+            <fieldset className="space-y-2 text-sm">
+              <legend className="text-[var(--text-secondary)] mb-1">Notes and environmental factors</legend>
+              <label className="flex items-center gap-2">
+                <input type="radio" name="csv-free-text" checked={freeText === FREE_TEXT_MODES.STRIP} onChange={() => setFreeText(FREE_TEXT_MODES.STRIP)} />
+                Leave out
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" name="csv-free-text" checked={freeText === FREE_TEXT_MODES.HASH} onChange={() => setFreeText(FREE_TEXT_MODES.HASH)} />
+                Replace with hashes (identical texts get identical hashes)
+              </label>
+            </fieldset>
+            <p className="text-xs text-[var(--text-secondary)]">
+              Students get the same pseudonym in every research export from this device. A second file, the key,
+              maps pseudonyms to names: keep it at school and never send it with the data.
+            </p>
+          </>
+        )}
+
+        <div className="text-sm">
+          <label htmlFor="csv-timezone" className="block text-[var(--text-secondary)] mb-1">
+            School timezone (used for timestamps and custom dates)
+          </label>
+          <input
+            id="csv-timezone"
+            list="csv-timezones"
+            value={timeZoneInput}
+            onChange={(e) => setTimeZoneInput(e.target.value)}
+            className={`${inputClass} w-full`}
+          />
+          <datalist id="csv-timezones">
+            {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+          </datalist>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <div className="flex justify-end">
+          <button
+            onClick={handleDownload}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity"
+          >
+            {mode === 'research' ? 'Download data and key' : 'Download CSV'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default CsvExportModal
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react'
+import Modal from './Modal'
+import { IMPORT_FIELDS, parseCsv, guessColumnMapping, convertRows } from '../utils/csvImport'
+import { getEmotions } from '../utils/emotions'
+
+const selectClass = 'w-full bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+const primaryButtonClass = 'px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity disabled:opacity-50'
+const secondaryButtonClass = 'px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500 transition-colors'
+
+// Sample rows shown while mapping columns
+const PREVIEW_ROWS = 3
+
+/**
+ * Three-step wizard that imports logs from a spreadsheet CSV into one
+ * student: choose the file and student, map columns to log fields, then
+ * review the rejected and skipped rows before appending the valid ones.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the wizard is visible
+ * @param {Function} props.onClose - Callback to close the wizard
+ * @param {Array} props.students - Students logs can be imported into
+ * @param {number} props.defaultStudentId - Student selected initially
+ * @param {Function} props.onImport - Called with (studentId, logs)
+ * @param {Array|null} props.sharedEmotions - Shared emotion vocabulary; feelings are
+ *   checked against the chosen student's vocabulary
+ */
+function CsvImportWizard({ isOpen, onClose, students, defaultStudentId, onImport, sharedEmotions }) {
+  const [step, setStep] = useState('file')
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [studentId, setStudentId] = useState(defaultStudentId)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setStep('file')
+    setFileName('')
+    setHeaders([])
+    setRows([])
+    setResult(null)
+    setError(null)
+    setStudentId(students.some(s => s.id === defaultStudentId) ? defaultStudentId : students[0]?.id)
+  }, [isOpen])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setError(null)
+    const [headerRow, ...dataRows] = parseCsv(await file.text())
+    if (!headerRow || dataRows.length === 0) {
+      setError('The file needs a header row and at least one row of data.')
+      return
+    }
+    setFileName(file.name)
+    setHeaders(headerRow)
+    setRows(dataRows)
+    setMapping(guessColumnMapping(headerRow))
+  }
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }))
+  }
+
+  const handleReview = () => {
+    if (mapping.timestamp === null) {
+      setError('Choose the column that holds the time of each log.')
+      return
+    }
+    if (mapping.type === null && mapping.feeling === null && mapping.category === null) {
+      setError('Choose a column for the type, feeling or sensory category.')
+      return
+    }
+    setError(null)
+    const student = students.find(s => s.id === studentId)
+    const emotions = getEmotions(sharedEmotions, student)
+    setResult(convertRows(rows, mapping, {
+      feelings: emotions.map(emotion => emotion.label),
+      intensityScales: student?.intensityScales
+    }))
+    setStep('review')
+  }
+
+  const handleImport = () => {
+    onImport(studentId, result.logs)
+    onClose()
+  }
+
+  const studentName = students.find(s => s.id === studentId)?.name
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <div className="text-white space-y-4">
+        <h2 className="text-xl font-bold">Import Logs from CSV</h2>
+
+        {step === 'file' && (
+          <>
+            <p className="text-sm text-[var(--text-secondary)]">
+              Choose a spreadsheet saved as CSV with a header row, and the student the logs belong to.
+            </p>
+            <div>
+              <label htmlFor="csv-import-student" className="block text-sm text-[var(--text-secondary)] mb-1">Student</label>
+              <select
+                id="csv-import-student"
+                value={studentId ?? ''}
+                onChange={(e) => setStudentId(students.find(s => String(s.id) === e.target.value)?.id)}
+                className={selectClass}
+              >
+                {students.map(student => <option key={student.id} value={student.id}>{student.name}</option>)}
+              </select>
+            </div>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="block w-full text-sm text-[var(--text-secondary)] file:mr-3 file:px-3 file:py-1.5 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-gray-600 file:text-white hover:file:bg-gray-500"
+            />
+            {fileName && (
+              <p className="text-sm">
+                {fileName} <span className="text-[var(--text-secondary)]">· {rows.length} row{rows.length === 1 ? '' : 's'}</span>
+              </p>
+            )}
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <div className="flex justify-end">
+              <button onClick={() => setStep('mapping')} disabled={!fileName || studentId === undefined} className={primaryButtonClass}>
+                Next
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === 'mapping' && (
+          <>
+            <p className="text-sm text-[var(--text-secondary)]">
+              Match each log field to a column. Rows without a type become feeling and/or sensory logs
+              depending on which of those columns are filled in.
+            </p>
+            <div className="grid grid-cols-2 gap-3">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label htmlFor={`csv-map-${field.key}`} className="block text-xs text-[var(--text-secondary)] mb-1">{field.label}</label>
+                  <select
+                    id={`csv-map-${field.key}`}
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    className={selectClass}
+                  >
+                    <option value="">Not in file</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="bg-gray-800 rounded-lg p-3 text-xs space-y-1 overflow-x-auto">
+              <p className="text-[var(--text-secondary)]">First rows as mapped:</p>
+              {rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                <p key={index} className="whitespace-nowrap">
+                  {IMPORT_FIELDS.filter(field => mapping[field.key] !== null).map(field => (
+                    <span key={field.key} className="mr-3">
+                      <span className="text-[var(--text-secondary)]">{field.label}: </span>
+                      {row[mapping[field.key]] || '—'}
+                    </span>
+                  ))}
+                </p>
+              ))}
+            </div>
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <div className="flex justify-between">
+              <button onClick={() => setStep('file')} className={secondaryButtonClass}>Back</button>
+              <button onClick={handleReview} className={primaryButtonClass}>Review</button>
+            </div>
+          </>
+        )}
+
+        {step === 'review' && result && (
+          <>
+            <p className="text-sm">
+              <span className="text-green-400">{result.logs.length} log{result.logs.length === 1 ? '' : 's'}</span>
+              {' '}will be added to {studentName}.
+              {result.rejected.length > 0 && (
+                <span className="text-red-400"> {result.rejected.length} row{result.rejected.length === 1 ? ' was' : 's were'} rejected.</span>
+              )}
+              {result.skipped.length > 0 && (
+                <span className="text-yellow-400"> {result.skipped.length} row{result.skipped.length === 1 ? ' was' : 's were'} skipped.</span>
+              )}
+            </p>
+            {result.rejected.length > 0 && (
+              <ul className="bg-gray-800 rounded-lg p-3 text-sm space-y-1 max-h-60 overflow-y-auto">
+                {result.rejected.map(({ rowNumber, reasons }) => (
+                  <li key={rowNumber}>
+                    <span className="text-[var(--text-secondary)]">Row {rowNumber}: </span>
+                    {reasons.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {result.skipped.length > 0 && (
+              <ul className="bg-gray-800 rounded-lg p-3 text-sm space-y-1 max-h-40 overflow-y-auto">
+                {result.skipped.map(({ rowNumber, reason }) => (
+                  <li key={rowNumber}>
+                    <span className="text-[var(--text-secondary)]">Row {rowNumber}: </span>
+                    {reason}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex justify-between">
+              <button onClick={() => setStep('mapping')} className={secondaryButtonClass}>Back</button>
+              <button onClick={handleImport} disabled={result.logs.length === 0} className={primaryButtonClass}>
+                Import {result.logs.length} log{result.logs.length === 1 ? '' : 's'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  )
+}
+
+export default CsvImportWizard
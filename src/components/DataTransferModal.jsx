@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+import {
+  IMPORT_MODES,
+  createBundle,
+  getBundleFileName,
+  parseBundle,
+  getImportPreview
+} from '../utils/dataBundle'
+
+const MODE_OPTIONS = [
+  {
+    mode: IMPORT_MODES.MERGE,
+    label: 'Merge',
+    description: 'Add the imported records; imported versions win where IDs match.'
+  },
+  {
+    mode: IMPORT_MODES.REPLACE,
+    label: 'Replace',
+    description: 'Replace all current students, logs and schedules with the file.'
+  }
+]
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+const describeCounts = (counts, word) => {
+  const parts = [
+    counts.added && `${plural(counts.added, word)} added`,
+    counts.updated && `${counts.updated} updated`,
+    counts.removed && `${counts.removed} removed`,
+    counts.unchanged && `${counts.unchanged} unchanged`
+  ].filter(Boolean)
+  return parts.length > 0 ? parts.join(', ') : `No ${word}s`
+}
+
+/**
+ * Modal for exporting the whole dataset as a JSON bundle and importing one.
+ * Imports are validated and previewed before anything is changed.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Array} props.students - All students, including trashed ones
+ * @param {Function} props.onImport - Called with (importedStudents, mode);
+ *   resolves once the import is applied
+ * @param {Function} props.onOpenCsvImport - Opens the CSV import wizard
+ */
+function DataTransferModal({ isOpen, onClose, students, onImport, onOpenCsvImport }) {
+  // `{ fileName, students, exportedAt }` of a validated file
+  const [imported, setImported] = useState(null)
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE)
+  const [errors, setErrors] = useState([])
+  const [isImporting, setIsImporting] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setImported(null)
+    setMode(IMPORT_MODES.MERGE)
+    setErrors([])
+  }, [isOpen])
+
+  const handleExport = () => {
+    const exportedAt = Date.now()
+    const blob = new Blob([JSON.stringify(createBundle(students, exportedAt), null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getBundleFileName(exportedAt)
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setImported(null)
+    setErrors([])
+    try {
+      const bundle = parseBundle(await file.text())
+      setImported({ fileName: file.name, ...bundle })
+    } catch (err) {
+      setErrors(err.errors || [err.message])
+    }
+  }
+
+  const handleImport = async () => {
+    setIsImporting(true)
+    try {
+      await onImport(imported.students, mode)
+      onClose()
+    } catch (err) {
+      setErrors([`Could not import: ${err.message}`])
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const preview = imported && getImportPreview(students, imported.students, mode)
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <div className="text-white">
+        <h2 className="text-xl font-bold mb-4">Export / Import</h2>
+
+        <section className="mb-6">
+          <p className="text-sm text-[var(--text-secondary)] mb-3">
+            Download every student, log and schedule (including the Trash) as a JSON file.
+          </p>
+          <button
+            onClick={handleExport}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity"
+          >
+            Export data
+          </button>
+        </section>
+
+        <section className="border-t border-gray-700 pt-4">
+          <label className="block text-sm text-[var(--text-secondary)] mb-3" htmlFor="import-file">
+            Import a file exported from this dashboard
+          </label>
+          <input
+            id="import-file"
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-[var(--text-secondary)] file:mr-3 file:px-3 file:py-1.5 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-gray-600 file:text-white hover:file:bg-gray-500"
+          />
+
+          {errors.length > 0 && (
+            <ul className="mt-3 text-sm text-red-400 list-disc list-inside space-y-1">
+              {errors.map((error, index) => <li key={index}>{error}</li>)}
+            </ul>
+          )}
+
+          {imported && (
+            <div className="mt-4 space-y-3">
+              <p className="text-sm">
+                <span className="font-medium">{imported.fileName}</span>
+                <span className="text-[var(--text-secondary)]">
+                  {' · '}{plural(imported.students.length, 'student')}
+                  {imported.exportedAt && ` · exported ${format(new Date(imported.exportedAt), 'MMM d, yyyy h:mm a')}`}
+                </span>
+              </p>
+              <div className="space-y-2">
+                {MODE_OPTIONS.map(option => (
+                  <label key={option.mode} className="flex items-start gap-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      value={option.mode}
+                      checked={mode === option.mode}
+                      onChange={() => setMode(option.mode)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{option.label}</span>
+                      <span className="block text-xs text-[var(--text-secondary)]">{option.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div className="bg-gray-800 rounded-lg p-3 text-sm">
+                <p className="text-xs text-[var(--text-secondary)] mb-1">This import will change:</p>
+                <p>Students: {describeCounts(preview.students, 'student')}</p>
+                <p>Logs: {describeCounts(preview.logs, 'log')}</p>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  onClick={handleImport}
+                  disabled={isImporting}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity disabled:opacity-50"
+                >
+                  {isImporting ? 'Importing...' : 'Import'}
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className="border-t border-gray-700 pt-4 mt-6">
+          <p className="text-sm text-[var(--text-secondary)] mb-3">
+            Logs kept in a spreadsheet can be added to a student from a CSV file.
+          </p>
+          <button onClick={onOpenCsvImport} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500 transition-colors">
+            Import logs from CSV
+          </button>
+        </section>
+      </div>
+    </Modal>
+  )
+}
+
+export default DataTransferModal
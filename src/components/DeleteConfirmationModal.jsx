@@ -5,10 +5,10 @@ function DeleteConfirmationModal({ isOpen, onClose, onConfirm, studentName }) {
   return (
     <Modal isOpen={isOpen} onClose={onClose}>
       <div className="text-white">
-        <h2 className="text-xl font-bold mb-4">Confirm Deletion</h2>
+        <h2 className="text-xl font-bold mb-4">Move to Trash</h2>
         <p className="text-[var(--text-secondary)] mb-6">
-          Are you sure you want to delete <span className="font-semibold text-white">{studentName}</span>? 
-          This will remove all their logs permanently. This action cannot be undone.
+          Are you sure you want to move <span className="font-semibold text-white">{studentName}</span> to the Trash?
+          Their logs go with them. You can restore them from the Trash until they are permanently deleted.
         </p>
         <div className="flex justify-end gap-4">
           <button
@@ -21,7 +21,7 @@ function DeleteConfirmationModal({ isOpen, onClose, onConfirm, studentName }) {
             onClick={onConfirm}
             className="px-4 py-2 rounded-md text-sm font-medium bg-red-600 hover:bg-red-500 transition-colors"
           >
-            Delete
+            Move to Trash
           </button>
         </div>
       </div>
@@ -0,0 +1,27 @@
+import React from 'react'
+import { EMOTION_ICONS } from '../utils/emotions'
+
+/**
+ * Face icon of an emotion, drawn in the emotion's color unless a class sets it.
+ * @param {Object} props - Component props
+ * @param {Object} [props.emotion] - Emotion from the vocabulary; nothing is drawn without one
+ * @param {string} [props.className] - Size and color classes
+ * @param {boolean} [props.colored=true] - Whether to use the emotion's color
+ */
+function EmotionIcon({ emotion, className = 'w-5 h-5', colored = true }) {
+  if (!emotion) return null
+  return (
+    <svg
+      className={className}
+      style={colored ? { color: emotion.color } : undefined}
+      fill="currentColor"
+      viewBox="0 0 20 20"
+      xmlns="http://www.w3.org/2000/svg"
+      aria-hidden="true"
+    >
+      <path clipRule="evenodd" d={EMOTION_ICONS[emotion.icon] || EMOTION_ICONS.neutral} fillRule="evenodd"></path>
+    </svg>
+  )
+}
+
+export default EmotionIcon
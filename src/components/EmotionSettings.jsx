@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react'
+import EmotionIcon from './EmotionIcon'
+import { EMOTION_ICONS, DEFAULT_EMOTIONS, VALENCES, getEmotions, validateEmotions } from '../utils/emotions'
+
+const SCOPES = {
+  SHARED: 'shared',
+  STUDENT: 'student'
+}
+
+const inputClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+
+/**
+ * Editor for the emotion vocabulary: the shared set used by every student, or
+ * a set of the student's own that replaces it. Each emotion has a label, an
+ * icon, a chart color and a valence.
+ * @param {Object} props - Component props
+ * @param {Array|null} props.sharedEmotions - Saved shared set (null for the defaults)
+ * @param {Array} [props.studentEmotions] - Student's own set, if any
+ * @param {string} props.studentName - Name of the student being viewed
+ * @param {Function} props.onSaveShared - Callback with the shared set to save
+ * @param {Function} props.onSaveStudent - Callback with the student's set to save (null to use the shared set)
+ */
+function EmotionSettings({ sharedEmotions, studentEmotions, studentName, onSaveShared, onSaveStudent }) {
+  const [scope, setScope] = useState(studentEmotions ? SCOPES.STUDENT : SCOPES.SHARED)
+  // A student without a set of their own starts from a copy of the shared set
+  const savedEmotions = scope === SCOPES.STUDENT ? studentEmotions || getEmotions(sharedEmotions) : getEmotions(sharedEmotions)
+  const [draft, setDraft] = useState(savedEmotions)
+
+  useEffect(() => {
+    setDraft(savedEmotions)
+  }, [scope, sharedEmotions, studentEmotions])
+
+  const trimmed = draft.map(emotion => ({ ...emotion, label: emotion.label.trim() }))
+  const errors = validateEmotions(trimmed)
+  const isDirty = JSON.stringify(trimmed) !== JSON.stringify(savedEmotions) || (scope === SCOPES.STUDENT && !studentEmotions)
+
+  const handleChange = (index, changes) => {
+    setDraft(draft.map((emotion, i) => i === index ? { ...emotion, ...changes } : emotion))
+  }
+
+  const handleAdd = () => {
+    setDraft([...draft, { label: '', icon: 'neutral', color: '#6b7280', valence: VALENCES.POSITIVE }])
+  }
+
+  const handleRemove = (index) => {
+    setDraft(draft.filter((emotion, i) => i !== index))
+  }
+
+  const handleSave = () => {
+    if (scope === SCOPES.STUDENT) onSaveStudent(trimmed)
+    else onSaveShared(trimmed)
+  }
+
+  const handleUseShared = () => {
+    if (!window.confirm(`Remove ${studentName}'s own emotions and use the shared set?`)) return
+    onSaveStudent(null)
+    setScope(SCOPES.SHARED)
+  }
+
+  return (
+    <div className="bg-[var(--card-background)] rounded-2xl p-6 shadow-2xl border border-gray-700/50 mt-8">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h3 className="text-xl font-semibold text-white">Emotions</h3>
+        <div className="flex gap-4 text-sm text-white">
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={scope === SCOPES.SHARED} onChange={() => setScope(SCOPES.SHARED)} />
+            Shared by all students
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={scope === SCOPES.STUDENT} onChange={() => setScope(SCOPES.STUDENT)} />
+            Only for {studentName}
+          </label>
+        </div>
+      </div>
+      <p className="text-sm text-[var(--text-secondary)] mb-4">
+        {scope === SCOPES.STUDENT
+          ? `${studentName} uses ${studentEmotions ? 'their own emotions' : 'the shared emotions; saving gives them their own set'}.`
+          : `Used by every student without emotions of their own${studentEmotions ? ` (${studentName} has their own)` : ''}.`}
+        {' '}Negative emotions count towards pattern alerts. Renaming or removing an emotion does not change logs already recorded.
+      </p>
+      <div className="space-y-3">
+        {draft.map((emotion, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-3 p-4 bg-gray-900/70 rounded-lg">
+            <EmotionIcon emotion={emotion} className="w-8 h-8 shrink-0" />
+            <input
+              type="text"
+              placeholder="Label"
+              value={emotion.label}
+              onChange={(e) => handleChange(index, { label: e.target.value })}
+              className={`flex-1 min-w-[8rem] placeholder-gray-400 ${inputClass}`}
+              aria-label="Label"
+            />
+            <select
+              value={emotion.icon}
+              onChange={(e) => handleChange(index, { icon: e.target.value })}
+              className={inputClass}
+              aria-label="Icon"
+            >
+              {Object.keys(EMOTION_ICONS).map(icon => (
+                <option key={icon} value={icon}>{icon[0].toUpperCase() + icon.slice(1)} face</option>
+              ))}
+            </select>
+            <input
+              type="color"
+              value={emotion.color}
+              onChange={(e) => handleChange(index, { color: e.target.value })}
+              className="w-10 h-9 bg-transparent cursor-pointer"
+              aria-label="Color"
+            />
+            <select
+              value={emotion.valence}
+              onChange={(e) => handleChange(index, { valence: e.target.value })}
+              className={inputClass}
+              aria-label="Valence"
+            >
+              <option value={VALENCES.POSITIVE}>Positive</option>
+              <option value={VALENCES.NEGATIVE}>Negative</option>
+            </select>
+            <button onClick={() => handleRemove(index)} className="text-red-500 hover:text-red-400">
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      {errors.length > 0 && <p className="text-sm text-red-400 mt-3">{errors.join(' ')}</p>}
+      <div className="mt-6 flex flex-wrap justify-between gap-2">
+        <div className="flex gap-2">
+          <button
+            onClick={handleAdd}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+          >
+            Add Emotion
+          </button>
+          {scope === SCOPES.SHARED ? (
+            <button
+              onClick={() => setDraft(DEFAULT_EMOTIONS)}
+              className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+            >
+              Reset to Defaults
+            </button>
+          ) : studentEmotions && (
+            <button
+              onClick={handleUseShared}
+              className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+            >
+              Use Shared Set
+            </button>
+          )}
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || errors.length > 0}
+          className="px-4 py-2 text-sm font-medium rounded-md bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90 disabled:opacity-50"
+        >
+          Save Emotions
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default EmotionSettings
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react'
+import Modal from './Modal'
+import { ENCRYPTION_ERRORS } from '../storage/crypto'
+
+const MIN_PASSPHRASE_LENGTH = 8
+
+const inputClass = 'w-full bg-[var(--input-background)] border-none rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-inset focus:ring-[var(--accent-gradient-start)]'
+
+/**
+ * Modal for turning passphrase encryption on or off and changing the
+ * passphrase. Every change re-encrypts all stored data.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.isEncrypted - Resolves to whether data is encrypted
+ * @param {Function} props.onChangePassphrase - Called with (current, next);
+ *   `next` is null to turn encryption off
+ */
+function EncryptionSettingsModal({ isOpen, onClose, isEncrypted, onChangePassphrase }) {
+  const [encrypted, setEncrypted] = useState(null)
+  const [currentPassphrase, setCurrentPassphrase] = useState('')
+  const [newPassphrase, setNewPassphrase] = useState('')
+  const [confirmPassphrase, setConfirmPassphrase] = useState('')
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+    setCurrentPassphrase('')
+    setNewPassphrase('')
+    setConfirmPassphrase('')
+    setError(null)
+    setMessage(null)
+    isEncrypted().then(setEncrypted).catch(err => setError(err.message))
+  }, [isOpen])
+
+  const run = async (next, successMessage) => {
+    setIsSaving(true)
+    setError(null)
+    setMessage(null)
+    try {
+      await onChangePassphrase(encrypted ? currentPassphrase : null, next)
+      setEncrypted(Boolean(next))
+      setCurrentPassphrase('')
+      setNewPassphrase('')
+      setConfirmPassphrase('')
+      setMessage(successMessage)
+    } catch (err) {
+      setError(err.code === ENCRYPTION_ERRORS.WRONG_PASSPHRASE
+        ? 'The current passphrase is incorrect.'
+        : `Could not update encryption: ${err.message}`)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`)
+      return
+    }
+    if (newPassphrase !== confirmPassphrase) {
+      setError('The passphrases do not match.')
+      return
+    }
+    run(newPassphrase, encrypted ? 'Passphrase changed.' : 'Encryption turned on.')
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <div className="text-white">
+        <h2 className="text-xl font-bold mb-2">Data Encryption</h2>
+        <p className="text-sm text-[var(--text-secondary)] mb-4">
+          {encrypted === null
+            ? 'Checking encryption status...'
+            : encrypted
+              ? 'Student data on this device is encrypted. The passphrase is needed every time the dashboard opens.'
+              : 'Student data on this device is stored unencrypted. Set a passphrase to encrypt it.'}
+        </p>
+        <p className="text-xs text-yellow-400 mb-4">
+          The passphrase cannot be recovered. If it is lost, the encrypted data is lost too.
+        </p>
+        <p className="text-xs text-[var(--text-secondary)] mb-4">
+          Dashboard settings stay unencrypted so they can load before unlocking. This
+          includes the shared quick-log presets and your editor name, so keep student
+          details out of them. Changes passed between open tabs of this browser are not
+          encrypted either, but they are never written to disk.
+        </p>
+
+        {encrypted !== null && (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            {encrypted && (
+              <input
+                type="password"
+                placeholder="Current passphrase"
+                autoComplete="current-password"
+                value={currentPassphrase}
+                onChange={(e) => setCurrentPassphrase(e.target.value)}
+                className={inputClass}
+              />
+            )}
+            <input
+              type="password"
+              placeholder={encrypted ? 'New passphrase' : 'Passphrase'}
+              autoComplete="new-password"
+              value={newPassphrase}
+              onChange={(e) => setNewPassphrase(e.target.value)}
+              className={inputClass}
+            />
+            <input
+              type="password"
+              placeholder="Confirm passphrase"
+              autoComplete="new-password"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              className={inputClass}
+            />
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            {message && <p className="text-sm text-green-400">{message}</p>}
+            <div className="flex justify-end gap-4 pt-2">
+              {encrypted && (
+                <button
+                  type="button"
+                  disabled={isSaving || !currentPassphrase}
+                  onClick={() => run(null, 'Encryption turned off.')}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500 transition-colors disabled:opacity-50"
+                >
+                  Turn off encryption
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={isSaving || (encrypted && !currentPassphrase)}
+                className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity disabled:opacity-50"
+              >
+                {isSaving ? 'Encrypting...' : encrypted ? 'Change passphrase' : 'Encrypt data'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </Modal>
+  )
+}
+
+export default EncryptionSettingsModal
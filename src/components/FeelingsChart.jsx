@@ -13,7 +13,7 @@ const CustomTooltip = ({ active, payload }) => {
   return null
 }
 
-function FeelingsChart({ data }) {
+function FeelingsChart({ data, emotions }) {
   if (!data || data.length === 0) {
     return <div className="text-center text-gray-400 p-4">No feeling data to display.</div>
   }
@@ -32,7 +32,7 @@ function FeelingsChart({ data }) {
           nameKey="name"
         >
           {data.map((entry, index) => (
-            <Cell key={`cell-${index}`} fill={getMoodColor(entry.name)} />
+            <Cell key={`cell-${index}`} fill={getMoodColor(entry.name, emotions)} />
           ))}
         </Pie>
         <Tooltip content={<CustomTooltip />} />
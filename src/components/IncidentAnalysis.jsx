@@ -0,0 +1,58 @@
+import React from 'react'
+import { getTopAntecedents, getDeescalatingConsequences } from '../utils/analyticsHelpers'
+
+/**
+ * Summary of the student's ABC incidents: the antecedents that most often
+ * came before an incident, and the consequences that de-escalated them.
+ * Antecedents and consequences are compared ignoring case and spacing.
+ * @param {Object} props - Component props
+ * @param {Array} props.logs - Logs to analyze; only incidents are used
+ */
+function IncidentAnalysis({ logs }) {
+  const incidentCount = logs.filter(log => log.type === 'incident').length
+  const antecedents = getTopAntecedents(logs)
+  const consequences = getDeescalatingConsequences(logs)
+
+  if (incidentCount === 0) {
+    return <p className="text-center text-[var(--text-secondary)]">No incidents logged in this period.</p>
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div>
+        <h4 className="text-sm font-semibold text-foreground mb-2">Most frequent antecedents</h4>
+        {antecedents.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No antecedents recorded.</p>
+        ) : (
+          <ol className="space-y-2">
+            {antecedents.map(({ label, count }) => (
+              <li key={label} className="flex justify-between gap-4 text-sm">
+                <span className="text-foreground break-words">{label}</span>
+                <span className="text-muted-foreground whitespace-nowrap">
+                  {count} of {incidentCount} incident{incidentCount === 1 ? '' : 's'}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+      <div>
+        <h4 className="text-sm font-semibold text-foreground mb-2">What de-escalated incidents</h4>
+        {consequences.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No de-escalating outcomes recorded yet.</p>
+        ) : (
+          <ol className="space-y-2">
+            {consequences.map(({ label, deescalated, recorded }) => (
+              <li key={label} className="flex justify-between gap-4 text-sm">
+                <span className="text-foreground break-words">{label}</span>
+                <span className="text-muted-foreground whitespace-nowrap">worked {deescalated} of {recorded}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default IncidentAnalysis
@@ -0,0 +1,186 @@
+import React, { useState } from 'react'
+import { createIncidentLog } from '../utils/logModel'
+import { INCIDENT_SEVERITIES, parseStaffList, parseDuration } from '../utils/incidents'
+
+const EMPTY_INCIDENT = {
+  antecedent: '',
+  behavior: '',
+  consequence: '',
+  severity: null,
+  durationMinutes: '',
+  staffInvolved: '',
+  deescalated: '',
+  notes: ''
+}
+
+const inputClass = 'w-full bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+const labelClass = 'block text-sm font-medium text-[var(--text-secondary)] mb-1'
+
+/**
+ * Form for documenting a behavioral incident in the Antecedent–Behavior–
+ * Consequence format. Collapsed until opened so it does not get in the way
+ * of quick logging; the behavior and a severity are required.
+ * @param {Object} props - Component props
+ * @param {Function} props.onAddLog - Callback function to add the incident log
+ * @param {number|null} props.timestamp - Backdated time, or null for now
+ * @param {boolean} props.disabled - Whether logging is blocked (e.g. a time in the future)
+ */
+function IncidentForm({ onAddLog, timestamp, disabled }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [incident, setIncident] = useState(EMPTY_INCIDENT)
+  const canSubmit = incident.behavior.trim() !== '' && incident.severity !== null && !disabled
+
+  const setField = (field, value) => setIncident({ ...incident, [field]: value })
+
+  const handleCancel = () => {
+    setIncident(EMPTY_INCIDENT)
+    setIsOpen(false)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!canSubmit) return
+    onAddLog(createIncidentLog({
+      antecedent: incident.antecedent,
+      behavior: incident.behavior,
+      consequence: incident.consequence,
+      severity: incident.severity,
+      durationMinutes: parseDuration(incident.durationMinutes),
+      staffInvolved: parseStaffList(incident.staffInvolved),
+      deescalated: incident.deescalated === '' ? null : incident.deescalated === 'yes',
+      notes: incident.notes,
+      timestamp
+    }))
+    setIncident(EMPTY_INCIDENT)
+    setIsOpen(false)
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="w-full px-4 py-3 text-sm font-medium rounded-lg bg-gray-900/70 text-white hover:bg-gray-800 border border-dashed border-gray-600"
+      >
+        Document an incident (ABC)
+      </button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-gray-900/70 rounded-lg space-y-4">
+      <div>
+        <label htmlFor="incidentAntecedent" className={labelClass}>Antecedent: what happened right before?</label>
+        <textarea
+          id="incidentAntecedent"
+          value={incident.antecedent}
+          onChange={(e) => setField('antecedent', e.target.value)}
+          placeholder="e.g., asked to stop a preferred activity"
+          className={`${inputClass} resize-none`}
+          rows="2"
+        />
+      </div>
+      <div>
+        <label htmlFor="incidentBehavior" className={labelClass}>Behavior: what did the student do? (required)</label>
+        <textarea
+          id="incidentBehavior"
+          value={incident.behavior}
+          onChange={(e) => setField('behavior', e.target.value)}
+          placeholder="Describe what was observed"
+          className={`${inputClass} resize-none`}
+          rows="2"
+        />
+      </div>
+      <div>
+        <label htmlFor="incidentConsequence" className={labelClass}>Consequence: what happened or was done afterwards?</label>
+        <textarea
+          id="incidentConsequence"
+          value={incident.consequence}
+          onChange={(e) => setField('consequence', e.target.value)}
+          placeholder="e.g., offered a break in the quiet corner"
+          className={`${inputClass} resize-none`}
+          rows="2"
+        />
+      </div>
+      <div>
+        <span className={labelClass}>Severity (required)</span>
+        <div className="flex gap-4">
+          {INCIDENT_SEVERITIES.map(severity => (
+            <button
+              key={severity}
+              type="button"
+              onClick={() => setField('severity', severity)}
+              className={`intensity-btn ${incident.severity === severity ? 'selected' : ''}`}
+            >
+              {severity}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="incidentDuration" className={labelClass}>Duration (minutes)</label>
+          <input
+            id="incidentDuration"
+            type="number"
+            min="1"
+            value={incident.durationMinutes}
+            onChange={(e) => setField('durationMinutes', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="incidentStaff" className={labelClass}>Staff involved</label>
+          <input
+            id="incidentStaff"
+            type="text"
+            value={incident.staffInvolved}
+            onChange={(e) => setField('staffInvolved', e.target.value)}
+            placeholder="Names, separated by commas"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="incidentDeescalated" className={labelClass}>Did the consequence de-escalate it?</label>
+          <select
+            id="incidentDeescalated"
+            value={incident.deescalated}
+            onChange={(e) => setField('deescalated', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Not recorded</option>
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        </div>
+      </div>
+      <div>
+        <label htmlFor="incidentNotes" className={labelClass}>Notes</label>
+        <input
+          id="incidentNotes"
+          type="text"
+          value={incident.notes}
+          onChange={(e) => setField('notes', e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
+        >
+          Log incident
+        </button>
+        <button
+          type="button"
+          onClick={handleCancel}
+          className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default IncidentForm
@@ -1,6 +1,6 @@
 import React from 'react'
 
-function InsightsModal({ isOpen, isLoading, response, error, onClose }) {
+function InsightsModal({ isOpen, isLoading, response, error, onClose, onSave, isSaved }) {
   if (!isOpen) return null
 
   return (
@@ -47,6 +47,19 @@ function InsightsModal({ isOpen, isLoading, response, error, onClose }) {
             <div className="text-gray-200 whitespace-pre-wrap">{response}</div>
           </div>
         )}
+
+        {/* Saved insights can be included in the printed report */}
+        {response && !isLoading && !error && onSave && (
+          <div className="flex justify-end mt-6">
+            <button
+              onClick={() => onSave(response)}
+              disabled={isSaved}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors disabled:opacity-50"
+            >
+              {isSaved ? 'Saved for reports' : 'Save for reports'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
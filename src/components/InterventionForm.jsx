@@ -0,0 +1,116 @@
+import React, { useState } from 'react'
+import { format } from 'date-fns'
+import { createInterventionLog, describeLog, getLogTimestamp } from '../utils/logModel'
+import { INTERVENTION_OUTCOMES } from '../utils/interventions'
+
+// How many recent logs are offered as the one that prompted an intervention
+const PROMPT_CHOICES = 10
+
+const selectClass = 'w-full bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+const labelClass = 'block text-sm font-medium text-[var(--text-secondary)] mb-1'
+
+/**
+ * Form for logging an intervention: a strategy from the student's library,
+ * optionally the recent log that prompted it, and whether it helped (which
+ * can also be rated later from the timeline).
+ * @param {Object} props - Component props
+ * @param {Function} props.onAddLog - Callback function to add the intervention log
+ * @param {Array<string>} props.strategies - Student's strategy library
+ * @param {Array} props.logs - Student's logs, newest first, offered as prompts
+ * @param {number|null} props.timestamp - Backdated time, or null for now
+ * @param {boolean} props.disabled - Whether logging is blocked (e.g. a time in the future)
+ */
+function InterventionForm({ onAddLog, strategies, logs, timestamp, disabled }) {
+  const [strategy, setStrategy] = useState('')
+  const [promptedBy, setPromptedBy] = useState('')
+  const [outcome, setOutcome] = useState('')
+  const [notes, setNotes] = useState('')
+  // Interventions are prompted by what was observed, not by other interventions
+  const promptChoices = logs.filter(log => log.type !== 'intervention').slice(0, PROMPT_CHOICES)
+  const canSubmit = strategies.includes(strategy) && !disabled
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!canSubmit) return
+    // Select values are strings; legacy log IDs are numbers
+    const prompt = promptChoices.find(log => String(log.id) === promptedBy)
+    onAddLog(createInterventionLog({
+      strategy,
+      promptedBy: prompt ? prompt.id : null,
+      outcome: outcome || null,
+      notes,
+      timestamp
+    }))
+    setStrategy('')
+    setPromptedBy('')
+    setOutcome('')
+    setNotes('')
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-gray-900/70 rounded-lg space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="interventionStrategy" className={labelClass}>Strategy</label>
+          <select
+            id="interventionStrategy"
+            value={strategy}
+            onChange={(e) => setStrategy(e.target.value)}
+            className={selectClass}
+          >
+            <option value="">Choose a strategy…</option>
+            {strategies.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="interventionPrompt" className={labelClass}>Prompted by</label>
+          <select
+            id="interventionPrompt"
+            value={promptedBy}
+            onChange={(e) => setPromptedBy(e.target.value)}
+            className={selectClass}
+          >
+            <option value="">No linked log</option>
+            {promptChoices.map(log => (
+              <option key={log.id} value={String(log.id)}>
+                {describeLog(log)}
+                {Number.isFinite(getLogTimestamp(log)) ? ` (${format(new Date(getLogTimestamp(log)), 'MMM d, h:mm a')})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="interventionOutcome" className={labelClass}>Did it help?</label>
+          <select
+            id="interventionOutcome"
+            value={outcome}
+            onChange={(e) => setOutcome(e.target.value)}
+            className={selectClass}
+          >
+            <option value="">Rate later</option>
+            {INTERVENTION_OUTCOMES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="flex items-center gap-4">
+        <input
+          className="flex-1 bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]"
+          placeholder="Brief description..."
+          type="text"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          aria-label="Intervention notes"
+        />
+        <button
+          type="submit"
+          disabled={!canSubmit}
+          className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
+        >
+          Log
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default InterventionForm
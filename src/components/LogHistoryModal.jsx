@@ -0,0 +1,83 @@
+import React from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+import { getOriginalLog } from '../utils/logRevisions'
+
+const FIELD_LABELS = {
+  value: 'Value',
+  category: 'Category',
+  intensity: 'Intensity',
+  intensityMax: 'Intensity scale',
+  antecedent: 'Antecedent',
+  behavior: 'Behavior',
+  consequence: 'Consequence',
+  severity: 'Severity',
+  durationMinutes: 'Duration (minutes)',
+  staffInvolved: 'Staff involved',
+  deescalated: 'De-escalated',
+  strategy: 'Strategy',
+  outcome: 'Outcome',
+  promptedBy: 'Prompted by log',
+  notes: 'Notes',
+  environmentalFactors: 'Environment',
+  timestamp: 'Time'
+}
+
+const formatFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '(empty)'
+  if (field === 'timestamp' && typeof value === 'number') return format(new Date(value), 'MMM d, yyyy h:mm a')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Modal showing the edit history of a log as a list of diffs, newest first,
+ * followed by the log as originally recorded.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.log - Log whose history is shown (closed when null)
+ * @param {Function} props.onClose - Callback to close the modal
+ */
+function LogHistoryModal({ log, onClose }) {
+  const revisions = log?.revisions || []
+  const original = log ? getOriginalLog(log) : null
+
+  return (
+    <Modal isOpen={Boolean(log)} onClose={onClose}>
+      {log && (
+        <div className="text-white">
+          <h2 className="text-xl font-bold mb-4">Edit History</h2>
+          <div className="space-y-4 max-h-96 overflow-y-auto pr-1">
+            {[...revisions].reverse().map((revision, index) => (
+              <div key={`${revision.editedAt}-${index}`} className="bg-gray-800 rounded-lg p-3">
+                <p className="text-xs text-[var(--text-secondary)] mb-2">
+                  Edited by <span className="text-white font-medium">{revision.editor || 'Unknown'}</span>
+                  {' · '}{format(new Date(revision.editedAt), 'MMM d, yyyy h:mm a')}
+                </p>
+                <div className="space-y-2">
+                  {Object.entries(revision.changes).map(([field, { from, to }]) => (
+                    <div key={field} className="text-sm">
+                      <p className="text-xs text-[var(--text-secondary)]">{FIELD_LABELS[field] || field}</p>
+                      <p className="text-red-400 line-through break-words">{formatFieldValue(field, from)}</p>
+                      <p className="text-green-400 break-words">{formatFieldValue(field, to)}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            <div className="bg-gray-800/50 border border-gray-700 rounded-lg p-3">
+              <p className="text-xs text-[var(--text-secondary)] mb-2">Originally recorded</p>
+              {Object.keys(FIELD_LABELS).filter(field => original[field] !== undefined).map(field => (
+                <p key={field} className="text-sm break-words">
+                  <span className="text-[var(--text-secondary)]">{FIELD_LABELS[field]}: </span>
+                  {formatFieldValue(field, original[field])}
+                </p>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </Modal>
+  )
+}
+
+export default LogHistoryModal
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react'
+import { PRESET_SCOPES, suggestPresetLabel } from '../utils/logPresets'
+
+/**
+ * Quick-log presets shown as one-tap chips, with the controls to save a new
+ * preset from the logger and to remove presets. While "Save as preset" is on,
+ * the logger hands what would have been logged to this component as a
+ * `draft`, which is saved under a label, for all students or only this one.
+ * @param {Object} props - Component props
+ * @param {Array} props.presets - Presets for the student, each with its `scope`
+ * @param {Object|null} props.draft - Fields of a preset being saved
+ * @param {boolean} props.isPresetMode - Whether the logger saves presets instead of logging
+ * @param {boolean} props.disabled - Whether logging is blocked (e.g. a time in the future)
+ * @param {string} props.studentName - Name of the student being viewed
+ * @param {Function} props.onLog - Callback with the preset to log
+ * @param {Function} props.onSave - Callback with (fields including `label`, scope)
+ * @param {Function} props.onRemove - Callback with the preset to remove
+ * @param {Function} props.onTogglePresetMode - Turns "Save as preset" on or off
+ * @param {Function} props.onCancelDraft - Callback to discard the draft
+ */
+function LogPresets({ presets, draft, isPresetMode, disabled, studentName, onLog, onSave, onRemove, onTogglePresetMode, onCancelDraft }) {
+  const [isManaging, setIsManaging] = useState(false)
+  const [label, setLabel] = useState('')
+  const [scope, setScope] = useState(PRESET_SCOPES.STUDENT)
+
+  useEffect(() => {
+    if (draft) setLabel(suggestPresetLabel(draft))
+  }, [draft])
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!label.trim()) return
+    onSave({ ...draft, label }, scope)
+  }
+
+  return (
+    <div className="p-4 bg-gray-900/70 rounded-lg space-y-3">
+      {presets.length === 0 ? (
+        <p className="text-sm text-[var(--text-secondary)]">
+          No presets yet. Turn on "Save as preset", then tap a feeling or fill in a sensory input to save it for one-tap logging.
+        </p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {presets.map(preset => (
+            <span key={preset.id} className="inline-flex items-center rounded-full bg-gray-700 text-sm text-white">
+              <button
+                onClick={() => onLog(preset)}
+                disabled={disabled || isManaging}
+                className="px-3 py-1.5 rounded-full hover:bg-gray-600 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                title={preset.scope === PRESET_SCOPES.SHARED ? 'Shared by all students' : `Only for ${studentName}`}
+              >
+                {preset.label}
+                {preset.scope === PRESET_SCOPES.STUDENT && <span className="ml-1 text-xs text-[var(--text-secondary)]">•</span>}
+              </button>
+              {isManaging && (
+                <button
+                  onClick={() => onRemove(preset)}
+                  className="pr-3 pl-1 text-red-400 hover:text-red-300"
+                  aria-label={`Remove preset ${preset.label}`}
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={onTogglePresetMode}
+          className={`px-3 py-1.5 rounded-md font-medium ${isPresetMode ? 'bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white' : 'bg-gray-700 text-white hover:bg-gray-600'}`}
+        >
+          {isPresetMode ? 'Saving as preset…' : 'Save as preset'}
+        </button>
+        {presets.length > 0 && (
+          <button
+            onClick={() => setIsManaging(!isManaging)}
+            className="px-3 py-1.5 rounded-md font-medium bg-gray-700 text-white hover:bg-gray-600"
+          >
+            {isManaging ? 'Done' : 'Manage'}
+          </button>
+        )}
+        {presets.some(preset => preset.scope === PRESET_SCOPES.STUDENT) && (
+          <span className="text-xs text-[var(--text-secondary)]">• only for {studentName}</span>
+        )}
+      </div>
+      {isPresetMode && !draft && (
+        <p className="text-sm text-yellow-400">
+          Tap a feeling, or fill in a sensory input and press Save, to save it as a preset instead of logging it.
+        </p>
+      )}
+      {draft && (
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3 pt-2 border-t border-gray-700">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            className="flex-1 min-w-[12rem] bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]"
+            aria-label="Preset name"
+          />
+          <label className="flex items-center gap-2 text-sm text-white">
+            <input type="radio" checked={scope === PRESET_SCOPES.STUDENT} onChange={() => setScope(PRESET_SCOPES.STUDENT)} />
+            Only for {studentName}
+          </label>
+          <label className="flex items-center gap-2 text-sm text-white">
+            <input type="radio" checked={scope === PRESET_SCOPES.SHARED} onChange={() => setScope(PRESET_SCOPES.SHARED)} />
+            All students
+          </label>
+          <button
+            type="submit"
+            disabled={!label.trim()}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90 disabled:opacity-50"
+          >
+            Save Preset
+          </button>
+          <button
+            type="button"
+            onClick={onCancelDraft}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default LogPresets
@@ -1,4 +1,20 @@
 import React, { useState } from 'react'
+import LogHistoryModal from './LogHistoryModal'
+import { INTENSITIES, LOG_TYPES, getLogTimestamp, describeLog } from '../utils/logModel'
+import { INTENSITY_SCALES, mapLevelToScale } from '../utils/intensityScales'
+import { toDateTimeInput, fromDateTimeInput } from '../utils/dateTimeInput'
+import {
+  INCIDENT_SEVERITIES,
+  getSeverityColor,
+  parseStaffList,
+  formatStaffList,
+  parseDuration,
+  formatDuration,
+  formatDeescalated
+} from '../utils/incidents'
+import { INTERVENTION_OUTCOMES } from '../utils/interventions'
+import { findEmotion } from '../utils/emotions'
+import EmotionIcon from './EmotionIcon'
 
 /**
  * Component for displaying and managing the timeline of student logs.
@@ -6,27 +22,35 @@ import React, { useState } from 'react'
  * @param {Object} props - Component props
  * @param {Array} props.logs - Array of log objects
  * @param {Function} props.onDeleteLog - Callback to delete a log
- * @param {Function} props.onEditLog - Callback to edit a log
+ * @param {Function} props.onEditLog - Callback to edit a log (logId, changes, editorName)
+ * @param {string} props.editorName - Name last used to sign edits on this device
+ * @param {Array} props.emotions - Student's emotion vocabulary
+ * @param {Object<string, string>} props.intensityScales - `INTENSITY_SCALES` key per sensory system
+ * @param {Array<string>} props.strategies - Student's intervention strategy library
  */
-function LogTimeline({ logs, onDeleteLog, onEditLog }) {
+function LogTimeline({ logs, onDeleteLog, onEditLog, editorName, emotions, intensityScales, strategies }) {
   // State for tracking which log is being edited
   const [editingLogId, setEditingLogId] = useState(null)
   // State for edit form data
   const [editFormData, setEditFormData] = useState({})
-
-  // Helper function to get timestamp from log (handles both old and new formats)
-  const getLogTimestamp = (log) => {
-    // If timestamp exists and is a number, use it
-    if (typeof log.timestamp === 'number') {
-      return log.timestamp;
-    }
-    // If timestamp exists and is a string, parse it
-    if (typeof log.timestamp === 'string') {
-      return new Date(log.timestamp).getTime();
-    }
-    // Fallback to id (for backward compatibility)
-    return typeof log.id === 'number' ? log.id : new Date(log.id).getTime();
-  }
+  // Every edit is signed so the revision history shows who changed what
+  const [editor, setEditor] = useState('')
+  // Log whose edit history is open
+  const [historyLog, setHistoryLog] = useState(null)
+  // Edited time as a datetime-local value
+  const [editTime, setEditTime] = useState('')
+  const editTimestamp = fromDateTimeInput(editTime)
+  // A log that has a time must keep one, and it cannot move into the future
+  const editingLog = logs.find(log => log.id === editingLogId)
+  const isEditTimeInvalid = Boolean(editingLog) && (
+    (editTimestamp === null && Number.isFinite(editingLog.timestamp)) ||
+    (editTimestamp !== null && editTimestamp > Date.now())
+  )
+  // An incident cannot lose its behavior description (unless a retention rule
+  // removed it), nor an intervention its strategy
+  const isEditIncomplete = (editingLog?.type === 'incident' && !editFormData.behavior?.trim() && !editingLog.freeTextRemovedAt) ||
+    (editingLog?.type === 'intervention' && !editFormData.strategy)
+  const canSave = Boolean(editor.trim()) && !isEditTimeInvalid && !isEditIncomplete
 
   // Function to format timestamp relative to now
   const formatTimestamp = (log) => {
@@ -57,67 +81,108 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
     }
   }
 
+  // Intensity fields for the edit form. A Low/Medium/High log of a system
+  // that now uses a numeric scale is mapped onto that scale.
+  const getIntensityFormData = (log) => {
+    if (typeof log.intensity === 'number') return { intensity: log.intensity, intensityMax: log.intensityMax }
+    const max = INTENSITY_SCALES[intensityScales[log.category]]?.max
+    const mapped = max && mapLevelToScale(log.intensity, max)
+    return mapped ? { intensity: mapped, intensityMax: max } : { intensity: log.intensity || '' }
+  }
+
+  // Incident fields for the edit form, as input values
+  const getIncidentFormData = (log) => ({
+    antecedent: log.antecedent || '',
+    behavior: log.behavior || '',
+    consequence: log.consequence || '',
+    severity: log.severity,
+    durationMinutes: log.durationMinutes ?? '',
+    staffInvolved: formatStaffList(log.staffInvolved),
+    deescalated: formatDeescalated(log).toLowerCase()
+  })
+
+  // Input values of the incident fields converted back to log fields
+  const toIncidentChanges = (formData) => ({
+    ...formData,
+    durationMinutes: parseDuration(formData.durationMinutes),
+    staffInvolved: parseStaffList(formData.staffInvolved),
+    deescalated: formData.deescalated === '' ? null : formData.deescalated === 'yes'
+  })
+
+  // Input values of the edit form converted back to log fields
+  const toLogChanges = (log, formData) => {
+    if (log.type === 'incident') return toIncidentChanges(formData)
+    if (log.type === 'intervention') return { ...formData, outcome: formData.outcome || null }
+    return formData
+  }
+
   // Handler to start editing a log
   const handleEditClick = (log) => {
     setEditingLogId(log.id)
+    setEditTime(toDateTimeInput(log.timestamp))
     setEditFormData({
       value: log.value,
-      notes: log.notes || log.description || '',
+      notes: log.notes || '',
       category: log.category || '',
-      intensity: log.intensity || ''
+      ...(log.type === 'sensory' ? getIntensityFormData(log) : { intensity: '' }),
+      ...(log.type === 'incident' && getIncidentFormData(log)),
+      ...(log.type === 'intervention' && { strategy: log.strategy, outcome: log.outcome || '' })
     })
+    setEditor(editorName)
   }
 
-  // Handler to save edited log
-  const handleSaveEdit = (logId) => {
-    onEditLog(logId, editFormData)
+  // Handler to save edited log. The time input only has minutes, so the
+  // timestamp is only changed if the time was edited.
+  const handleSaveEdit = (log) => {
+    if (!canSave) return
+    const timeChanged = editTime !== toDateTimeInput(log.timestamp)
+    const changes = toLogChanges(log, editFormData)
+    onEditLog(log.id, timeChanged ? { ...changes, timestamp: fromDateTimeInput(editTime) } : changes, editor.trim())
     setEditingLogId(null)
     setEditFormData({})
   }
 
+  // Rates whether an intervention helped. Edits are signed, so without a
+  // remembered name the edit form opens with the rating filled in.
+  const handleRateOutcome = (log, outcome) => {
+    if (editorName) {
+      onEditLog(log.id, { outcome }, editorName)
+    } else {
+      handleEditClick(log)
+      setEditFormData(formData => ({ ...formData, outcome }))
+    }
+  }
+
+  // The log an intervention was prompted by, if it is still in the timeline
+  const getPromptingLog = (log) => logs.find(other => other.id === log.promptedBy)
+
   // Handler to cancel editing
   const handleCancelEdit = () => {
     setEditingLogId(null)
     setEditFormData({})
   }
 
-  // Handler to delete a log with confirmation
+  // Deletes immediately; the app offers an undo toast instead of a confirmation
   const handleDelete = (logId) => {
-    if (window.confirm('Are you sure you want to delete this log?')) {
-      onDeleteLog(logId)
-    }
+    onDeleteLog(logId)
   }
 
   const getIcon = (log) => {
     if (log.type === 'feeling') {
-      switch (log.value) {
-        case 'Happy':
-          return (
-            <svg className="w-5 h-5 text-green-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-              <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-.464 5.535a.5.5 0 01.707 0 6 6 0 01-7.071 0 .5.5 0 01.707-.707 5 5 0 005.657 0 .5.5 0 01.707.707z" fillRule="evenodd"></path>
-            </svg>
-          )
-        case 'Sad':
-          return (
-            <svg className="w-5 h-5 text-purple-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-              <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-7.843 6.472a.5.5 0 00.638.76 6.002 6.002 0 006.41 0 .5.5 0 00.638-.761 5.002 5.002 0 01-7.686 0z" fillRule="evenodd"></path>
-            </svg>
-          )
-        case 'Angry':
-          return (
-            <svg className="w-5 h-5 text-red-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-              <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM5.5 8a1.5 1.5 0 113 0 1.5 1.5 0 01-3 0zm9 0a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM10 14a4 4 0 00-4 4h8a4 4 0 00-4-4z" fillRule="evenodd"></path>
-            </svg>
-          )
-        case 'Anxious':
-          return (
-            <svg className="w-5 h-5 text-yellow-400" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-              <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-5 4a1 1 0 011-1h2a1 1 0 110 2H10a1 1 0 01-1-1z" fillRule="evenodd"></path>
-            </svg>
-          )
-        default:
-          return null
-      }
+      // Feelings no longer in the vocabulary have no icon
+      return <EmotionIcon emotion={findEmotion(emotions, log.value)} />
+    } else if (log.type === 'intervention') {
+      return (
+        <svg className="w-5 h-5 shrink-0 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2"></path>
+        </svg>
+      )
+    } else if (log.type === 'incident') {
+      return (
+        <svg className="w-5 h-5 shrink-0" style={{ color: getSeverityColor(log.severity) }} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2"></path>
+        </svg>
+      )
     } else {
       return (
         <svg className="w-5 h-5 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -142,7 +207,7 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
                   <div className="flex items-center gap-2">
                     {getIcon(log)}
                     <span className="text-sm text-gray-400">
-                      {log.type === 'feeling' ? 'Feeling' : 'Sensory'}
+                      {LOG_TYPES[log.type]?.label || log.type}
                     </span>
                   </div>
                   {log.type === 'feeling' ? (
@@ -151,11 +216,88 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
                       onChange={(e) => setEditFormData({...editFormData, value: e.target.value})}
                       className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
                     >
-                      <option value="Happy">Happy</option>
-                      <option value="Sad">Sad</option>
-                      <option value="Angry">Angry</option>
-                      <option value="Anxious">Anxious</option>
+                      {/* Keep a feeling that was renamed or removed selectable so saving does not change it */}
+                      {!findEmotion(emotions, log.value) && <option value={log.value}>{log.value}</option>}
+                      {emotions.map(emotion => (
+                        <option key={emotion.label} value={emotion.label}>{emotion.label}</option>
+                      ))}
                     </select>
+                  ) : log.type === 'intervention' ? (
+                    <>
+                      <select
+                        value={editFormData.strategy}
+                        onChange={(e) => setEditFormData({...editFormData, strategy: e.target.value})}
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                        aria-label="Strategy"
+                      >
+                        {/* Keep a strategy that was renamed or removed from the library selectable */}
+                        {!strategies.includes(log.strategy) && <option value={log.strategy}>{log.strategy}</option>}
+                        {strategies.map(strategy => <option key={strategy} value={strategy}>{strategy}</option>)}
+                      </select>
+                      <select
+                        value={editFormData.outcome}
+                        onChange={(e) => setEditFormData({...editFormData, outcome: e.target.value})}
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                        aria-label="Outcome"
+                      >
+                        <option value="">Not rated yet</option>
+                        {INTERVENTION_OUTCOMES.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+                      </select>
+                    </>
+                  ) : log.type === 'incident' ? (
+                    <>
+                      {[
+                        ['antecedent', 'Antecedent'],
+                        ['behavior', 'Behavior (required)'],
+                        ['consequence', 'Consequence']
+                      ].map(([field, placeholder]) => (
+                        <textarea
+                          key={field}
+                          value={editFormData[field]}
+                          onChange={(e) => setEditFormData({...editFormData, [field]: e.target.value})}
+                          placeholder={placeholder}
+                          aria-label={placeholder}
+                          className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm resize-none"
+                          rows="2"
+                        />
+                      ))}
+                      <div className="grid grid-cols-2 gap-2">
+                        <select
+                          value={editFormData.severity}
+                          onChange={(e) => setEditFormData({...editFormData, severity: e.target.value})}
+                          className="bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                          aria-label="Severity"
+                        >
+                          {INCIDENT_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={editFormData.durationMinutes}
+                          onChange={(e) => setEditFormData({...editFormData, durationMinutes: e.target.value})}
+                          placeholder="Minutes"
+                          className="bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                          aria-label="Duration in minutes"
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        value={editFormData.staffInvolved}
+                        onChange={(e) => setEditFormData({...editFormData, staffInvolved: e.target.value})}
+                        placeholder="Staff involved, separated by commas"
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                      />
+                      <select
+                        value={editFormData.deescalated}
+                        onChange={(e) => setEditFormData({...editFormData, deescalated: e.target.value})}
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                        aria-label="De-escalated"
+                      >
+                        <option value="">De-escalated: not recorded</option>
+                        <option value="yes">De-escalated: yes</option>
+                        <option value="no">De-escalated: no</option>
+                      </select>
+                    </>
                   ) : (
                     <>
                       <input 
@@ -165,15 +307,43 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
                         placeholder="Category"
                         className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
                       />
-                      <input 
-                        type="text"
+                      <select
                         value={editFormData.intensity}
-                        onChange={(e) => setEditFormData({...editFormData, intensity: e.target.value})}
-                        placeholder="Intensity"
+                        onChange={(e) => setEditFormData({
+                          ...editFormData,
+                          intensity: editFormData.intensityMax ? Number(e.target.value) : e.target.value
+                        })}
                         className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
-                      />
+                        aria-label="Intensity"
+                      >
+                        {editFormData.intensityMax ? (
+                          Array.from({ length: editFormData.intensityMax }, (_, index) => (
+                            <option key={index} value={index + 1}>{index + 1} of {editFormData.intensityMax}</option>
+                          ))
+                        ) : (
+                          <>
+                            {!editFormData.intensity && <option value="">No intensity</option>}
+                            {INTENSITIES.map(level => <option key={level} value={level}>{level}</option>)}
+                          </>
+                        )}
+                      </select>
                     </>
                   )}
+                  <label className="block text-xs text-gray-400">
+                    When it happened
+                    <input
+                      type="datetime-local"
+                      value={editTime}
+                      max={toDateTimeInput(Date.now())}
+                      onChange={(e) => setEditTime(e.target.value)}
+                      className="mt-1 w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                    />
+                  </label>
+                  {isEditTimeInvalid && (
+                    <p className="text-xs text-red-400">
+                      {editTimestamp === null ? 'Enter a date and time.' : 'The time cannot be in the future.'}
+                    </p>
+                  )}
                   <textarea
                     value={editFormData.notes}
                     onChange={(e) => setEditFormData({...editFormData, notes: e.target.value})}
@@ -181,10 +351,18 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
                     className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm resize-none"
                     rows="2"
                   />
+                  <input
+                    type="text"
+                    value={editor}
+                    onChange={(e) => setEditor(e.target.value)}
+                    placeholder="Your name (required)"
+                    className="w-full bg-gray-700 text-white rounded px-3 py-2 text-sm"
+                  />
                   <div className="flex gap-2">
                     <button
-                      onClick={() => handleSaveEdit(log.id)}
-                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm transition-colors"
+                      onClick={() => handleSaveEdit(log)}
+                      disabled={!canSave}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm transition-colors disabled:opacity-50 disabled:hover:bg-green-600"
                     >
                       Save
                     </button>
@@ -203,15 +381,66 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
                     {getIcon(log)}
                     <div className="flex-1">
                       <p className="text-sm text-white font-medium">
-                        {log.type === 'feeling' 
-                          ? `Feeling: ${log.value}` 
-                          : `Sensory: ${log.category || log.value}${log.intensity ? ` - ${log.intensity}` : ''}`}
+                        {describeLog(log)}
                       </p>
-                      {(log.notes || log.description) && (
+                      {log.type === 'intervention' && getPromptingLog(log) && (
+                        <p className="text-xs text-[var(--text-secondary)] mt-1">
+                          Prompted by: {describeLog(getPromptingLog(log))} ({formatTimestamp(getPromptingLog(log))})
+                        </p>
+                      )}
+                      {log.type === 'intervention' && !log.outcome && (
+                        <div className="flex flex-wrap items-center gap-1 mt-1 text-xs">
+                          <span className="text-[var(--text-secondary)]">Did it help?</span>
+                          {INTERVENTION_OUTCOMES.map(outcome => (
+                            <button
+                              key={outcome}
+                              onClick={() => handleRateOutcome(log, outcome)}
+                              className="px-2 py-0.5 rounded bg-gray-700 text-white hover:bg-gray-600"
+                            >
+                              {outcome}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {log.type === 'incident' && (
+                        <dl className="text-xs text-[var(--text-secondary)] mt-1 space-y-0.5">
+                          {[
+                            ['Antecedent', log.antecedent],
+                            ['Consequence', log.consequence],
+                            ['De-escalated', formatDeescalated(log)],
+                            ['Duration', formatDuration(log.durationMinutes)],
+                            ['Staff', formatStaffList(log.staffInvolved)]
+                          ].filter(([, value]) => value).map(([label, value]) => (
+                            <div key={label}>
+                              <dt className="inline font-medium text-gray-400">{label}: </dt>
+                              <dd className="inline">{value}</dd>
+                            </div>
+                          ))}
+                        </dl>
+                      )}
+                      {log.notes && (
                         <p className="text-xs text-[var(--text-secondary)] mt-1">
-                          {log.notes || log.description}
+                          {log.notes}
                         </p>
                       )}
+                      {/* Flagged by the storage migration when a legacy record could not be fully parsed */}
+                      {log.needsReview && (
+                        <span
+                          className="inline-block mt-1 px-2 py-0.5 text-xs rounded bg-yellow-900/40 text-yellow-400"
+                          title={(log.migrationNotes || []).join('\n')}
+                        >
+                          Needs review
+                        </span>
+                      )}
+                      {log.revisions?.length > 0 && (
+                        <button
+                          onClick={() => setHistoryLog(log)}
+                          className="inline-block mt-1 ml-1 px-2 py-0.5 text-xs rounded bg-blue-900/40 text-blue-300 hover:bg-blue-900/60"
+                          title="View edit history"
+                        >
+                          Edited{log.revisions.length > 1 ? ` ×${log.revisions.length}` : ''}
+                        </button>
+                      )}
                     </div>
                     <div className="flex items-center gap-2">
                       <span className="text-xs text-[var(--text-secondary)] whitespace-nowrap">
@@ -245,6 +474,7 @@ function LogTimeline({ logs, onDeleteLog, onEditLog }) {
           ))
         )}
       </div>
+      <LogHistoryModal log={historyLog} onClose={() => setHistoryLog(null)} />
     </div>
   )
 }
@@ -5,9 +5,23 @@ import RecentActivity from './RecentActivity'
 import InsightsModal from './InsightsModal'
 import Analytics from './Analytics'
 import ScheduleSettings from './ScheduleSettings'
+import StudentReport from './StudentReport'
+import EmotionSettings from './EmotionSettings'
+import SensorySystemSettings from './SensorySystemSettings'
+import StrategySettings from './StrategySettings'
+import { getEmotions } from '../utils/emotions'
+import { getSensorySystems } from '../utils/sensorySystems'
+import { getIntensityScale, formatIntensity } from '../utils/intensityScales'
+import { formatDeescalated } from '../utils/incidents'
+import { getStrategies } from '../utils/interventions'
 import { Button } from './ui/button'
 
-function MainContent({ student, onAddLog, onDeleteLog, onEditLog, onSaveSchedule }) {
+function MainContent({ student, students, onAddLog, onDeleteLog, onEditLog, onSaveSchedule, onSaveInsight, editorName, timeZone, onChangeTimeZone, sharedEmotions, onSaveSharedEmotions, onSaveStudentEmotions, onSaveSensorySystems, onSaveIntensityScale, onSaveStrategies, sharedPresets, onSaveSharedPresets, onSaveStudentPresets }) {
+  const emotions = getEmotions(sharedEmotions, student)
+  const sensorySystems = getSensorySystems(student)
+  const intensityScales = Object.fromEntries(sensorySystems.map(system => [system, getIntensityScale(student, system)]))
+  const strategies = getStrategies(student)
+
   // State management for AI Insights Modal
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
@@ -16,6 +30,7 @@ function MainContent({ student, onAddLog, onDeleteLog, onEditLog, onSaveSchedule
   
   // Tab state for switching between logging and analytics
   const [activeTab, setActiveTab] = useState('logging')
+  const [isReportOpen, setIsReportOpen] = useState(false)
 
   // Handler function for AI insights
   const handleGetInsights = async () => {
@@ -32,9 +47,13 @@ Student: ${student.name}
 Log Data:
 ${student.logs.map(log => {
   if (log.type === 'feeling') {
-    return `- ${log.timestamp}: Feeling - ${log.value}${log.notes ? `, Notes: ${log.notes}` : ''}${log.description ? `, Description: ${log.description}` : ''}`
+    return `- ${log.timestamp}: Feeling - ${log.value}${log.notes ? `, Notes: ${log.notes}` : ''}`
   } else if (log.type === 'sensory') {
-    return `- ${log.timestamp}: Sensory - ${log.category || log.value}${log.intensity ? ` (Intensity: ${log.intensity})` : ''}${log.notes ? `, Notes: ${log.notes}` : ''}${log.description ? `, Description: ${log.description}` : ''}`
+    return `- ${log.timestamp}: Sensory - ${log.category || log.value}${log.intensity ? ` (Intensity: ${formatIntensity(log)})` : ''}${log.notes ? `, Notes: ${log.notes}` : ''}`
+  } else if (log.type === 'intervention') {
+    return `- ${log.timestamp}: Intervention - ${log.strategy}${log.outcome ? ` (Outcome: ${log.outcome})` : ''}${log.notes ? `, Notes: ${log.notes}` : ''}`
+  } else if (log.type === 'incident') {
+    return `- ${log.timestamp}: Incident (${log.severity}) - Antecedent: ${log.antecedent || 'unknown'}; Behavior: ${log.behavior || 'removed'}; Consequence: ${log.consequence || 'unknown'}${log.deescalated !== undefined && log.deescalated !== null ? `; De-escalated: ${formatDeescalated(log)}` : ''}${log.notes ? `, Notes: ${log.notes}` : ''}`
   }
   return `- ${log.timestamp}: ${log.type} - ${log.value}`
 }).join('\n')}
@@ -114,11 +133,22 @@ Keep your response concise and practical for a busy teacher.`
 
   return (
     <main className="flex-1 p-10 overflow-y-auto">
-      <header className="mb-10">
-        <h2 className="text-4xl font-bold text-white">{student.name}'s Well-being</h2>
-        <p className="text-lg text-[var(--text-secondary)] mt-1">
-          A real-time overview of student wellness and emotional state.
-        </p>
+      <header className="mb-10 flex justify-between items-start gap-6">
+        <div>
+          <h2 className="text-4xl font-bold text-white">{student.name}'s Well-being</h2>
+          <p className="text-lg text-[var(--text-secondary)] mt-1">
+            A real-time overview of student wellness and emotional state.
+          </p>
+        </div>
+        <button
+          onClick={() => setIsReportOpen(true)}
+          className="shrink-0 flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z" />
+          </svg>
+          Print report
+        </button>
       </header>
       
       {/* Tab Navigation */}
@@ -176,18 +206,34 @@ Keep your response concise and practical for a busy teacher.`
         <>
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             <div className="lg:col-span-2">
-              <StudentLoggingView onAddLog={onAddLog} />
+              <StudentLoggingView
+                onAddLog={onAddLog}
+                emotions={emotions}
+                sensorySystems={sensorySystems}
+                intensityScales={intensityScales}
+                strategies={strategies}
+                logs={student.logs}
+                sharedPresets={sharedPresets}
+                studentPresets={student.logPresets}
+                studentName={student.name}
+                onSaveSharedPresets={onSaveSharedPresets}
+                onSaveStudentPresets={onSaveStudentPresets}
+              />
             </div>
             <div>
               <LogTimeline
                 logs={student.logs}
                 onDeleteLog={onDeleteLog}
                 onEditLog={onEditLog}
+                editorName={editorName}
+                emotions={emotions}
+                intensityScales={intensityScales}
+                strategies={strategies}
               />
             </div>
           </div>
           
-          <RecentActivity logs={student.logs} />
+          <RecentActivity logs={student.logs} emotions={emotions} />
           
           <div className="mt-8">
             <Button
@@ -199,8 +245,43 @@ Keep your response concise and practical for a busy teacher.`
           </div>
         </>
       )}
-      {activeTab === 'analytics' && <Analytics logs={student.logs} studentName={student.name} schedule={student.schedule} />}
-      {activeTab === 'settings' && <ScheduleSettings schedule={student.schedule} onSave={onSaveSchedule} />}
+      {activeTab === 'analytics' && (
+        <Analytics
+          logs={student.logs}
+          studentName={student.name}
+          schedule={student.schedule}
+          emotions={emotions}
+          students={students}
+          timeZone={timeZone}
+          onChangeTimeZone={onChangeTimeZone}
+        />
+      )}
+      {activeTab === 'settings' && (
+        <>
+          <ScheduleSettings schedule={student.schedule} onSave={onSaveSchedule} studentName={student.name} />
+          <EmotionSettings
+            key={student.id}
+            sharedEmotions={sharedEmotions}
+            studentEmotions={student.emotions}
+            studentName={student.name}
+            onSaveShared={onSaveSharedEmotions}
+            onSaveStudent={onSaveStudentEmotions}
+          />
+          <SensorySystemSettings
+            systems={sensorySystems}
+            scales={intensityScales}
+            studentName={student.name}
+            onChange={onSaveSensorySystems}
+            onChangeScale={onSaveIntensityScale}
+          />
+          <StrategySettings
+            key={`strategies-${student.id}`}
+            strategies={student.strategies}
+            studentName={student.name}
+            onSave={onSaveStrategies}
+          />
+        </>
+      )}
 
       {/* AI Insights Modal */}
       <InsightsModal
@@ -213,7 +294,10 @@ Keep your response concise and practical for a busy teacher.`
           setError(null)
           setAiResponse('')
         }}
+        onSave={onSaveInsight}
+        isSaved={Boolean(aiResponse) && student.savedInsight?.text === aiResponse}
       />
+      {isReportOpen && <StudentReport student={student} emotions={emotions} onClose={() => setIsReportOpen(false)} />}
     </main>
   )
 }
@@ -1,28 +1,21 @@
 import React from 'react'
+import { format } from 'date-fns'
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { getEmotionColor } from '../utils/emotions'
+import { formatIntensity } from '../utils/intensityScales'
+import { describeLog } from '../utils/logModel'
 
 /**
  * Component to display the most recent student activity logs.
  * Shows up to 3 recent logs with colored feelings.
  * @param {Object} props - Component props
  * @param {Array} props.logs - Array of log objects
+ * @param {Array} props.emotions - Student's emotion vocabulary, for feeling colors
  */
-function RecentActivity({ logs }) {
+function RecentActivity({ logs, emotions }) {
   // Select the first 3 logs for display
   const recentLogs = logs.slice(0, 3)
 
-  // Get color class based on feeling value
-  const getColorClass = (value) => {
-    switch (value) {
-      case 'Happy': return 'text-green-400'
-      case 'Sad': return 'text-purple-400'
-      case 'Angry': return 'text-red-400'
-      case 'Anxious': return 'text-yellow-400'
-      case 'Calm': return 'text-blue-400'
-      default: return 'text-gray-400'
-    }
-  }
-
   return (
     <Card className="mt-8">
       <CardHeader>
@@ -39,19 +32,23 @@ function RecentActivity({ logs }) {
                 <p className="font-medium text-white">
                   {log.type === 'feeling' ? (
                     <>
-                      Logged Feeling: <span className={`${getColorClass(log.value)} font-semibold`}>{log.value}</span>
+                      Logged Feeling: <span className="font-semibold" style={{ color: getEmotionColor(log.value, emotions) }}>{log.value}</span>
                     </>
+                  ) : log.type === 'sensory' ? (
+                    `Sensory Input: ${log.category}${log.intensity ? ` - ${formatIntensity(log)}` : ''}`
                   ) : (
-                    `Sensory Input: ${log.value}`
+                    describeLog(log)
                   )}
                 </p>
-                {(log.description || log.sensory) && (
+                {log.notes && (
                   <p className="text-sm text-[var(--text-secondary)] mt-1">
-                    {log.sensory || log.description}
+                    {log.notes}
                   </p>
                 )}
               </div>
-              <p className="text-sm text-[var(--text-secondary)]">{log.timestamp}</p>
+              <p className="text-sm text-[var(--text-secondary)]">
+                {log.timestamp ? format(new Date(log.timestamp), 'MMM d, h:mm a') : 'Unknown time'}
+              </p>
             </div>
           ))
         )}
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react'
+import { format, formatDistanceToNow } from 'date-fns'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { SNAPSHOT_REASONS } from '../storage/snapshots'
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+/**
+ * Restore points view listing the stored snapshots of the dataset.
+ * A snapshot can be previewed and then restored, which replaces all current
+ * data (a "Before restore" snapshot of it is kept first).
+ * @param {Object} props - Component props
+ * @param {Object} props.snapshots - Snapshot API from the storage adapter
+ * @param {Function} [props.onCreate] - Creates a manual restore point; resolves
+ *   when stored (omitted while no data is loaded)
+ * @param {Function} props.onRestore - Called with the snapshot's students; resolves when restored
+ */
+function RestorePointsView({ snapshots, onCreate, onRestore }) {
+  const [restorePoints, setRestorePoints] = useState(null)
+  // `{ id, students }` of the snapshot being previewed
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+
+  const refresh = () => {
+    return snapshots.list()
+      .then(setRestorePoints)
+      .catch(err => setError(`Could not read restore points: ${err.message}`))
+  }
+
+  useEffect(() => {
+    refresh()
+  }, [])
+
+  const run = async (action, successMessage) => {
+    setIsBusy(true)
+    setError(null)
+    setMessage(null)
+    try {
+      await action()
+      setMessage(successMessage)
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handlePreview = (id) => {
+    if (preview?.id === id) {
+      setPreview(null)
+      return
+    }
+    run(async () => {
+      setPreview({ id, students: await snapshots.getStudents(id) })
+    }, null)
+  }
+
+  const handleRestore = (restorePoint) => {
+    const when = format(new Date(restorePoint.createdAt), 'MMM d, yyyy h:mm a')
+    if (!window.confirm(`Replace all current data with the restore point from ${when}?`)) return
+    run(async () => {
+      await onRestore(await snapshots.getStudents(restorePoint.id))
+      setPreview(null)
+    }, `Restored the data from ${when}.`)
+  }
+
+  return (
+    <main className="flex-1 p-10 overflow-y-auto">
+      <header className="mb-10 flex justify-between items-start gap-6">
+        <div>
+          <h2 className="text-4xl font-bold text-white">Restore Points</h2>
+          <p className="text-lg text-[var(--text-secondary)] mt-1">
+            Copies of all data on this device are kept hourly, daily and before each upgrade.
+            Restoring one replaces the current data.
+          </p>
+        </div>
+        {onCreate && (
+          <button
+            onClick={() => run(onCreate, 'Restore point created.')}
+            disabled={isBusy}
+            className="shrink-0 px-4 py-2 rounded-md text-sm font-medium text-white bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity disabled:opacity-50"
+          >
+            Create restore point
+          </button>
+        )}
+      </header>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+      {message && <p className="text-sm text-green-400 mb-4">{message}</p>}
+
+      {restorePoints === null ? (
+        <p className="text-center text-gray-500 py-20">Loading restore points...</p>
+      ) : restorePoints.length === 0 ? (
+        <p className="text-center text-gray-500 py-20">No restore points yet</p>
+      ) : (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Snapshots</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-3">
+              {restorePoints.map(restorePoint => (
+                <div key={restorePoint.id} className="p-4 bg-gray-800 rounded-lg">
+                  <div className="flex justify-between items-center gap-4">
+                    <div>
+                      <p className="font-medium text-white">
+                        {format(new Date(restorePoint.createdAt), 'MMM d, yyyy h:mm a')}
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-700 text-[var(--text-secondary)]">
+                          {SNAPSHOT_REASONS[restorePoint.reason]?.label || restorePoint.reason}
+                        </span>
+                      </p>
+                      <p className="text-sm text-[var(--text-secondary)]">
+                        {plural(restorePoint.studentCount, 'student')} · {plural(restorePoint.logCount, 'log')}
+                        {' · '}{formatDistanceToNow(new Date(restorePoint.createdAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      <button
+                        onClick={() => handlePreview(restorePoint.id)}
+                        disabled={isBusy}
+                        className="px-3 py-1.5 rounded-md text-xs font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors disabled:opacity-50"
+                      >
+                        {preview?.id === restorePoint.id ? 'Hide' : 'Preview'}
+                      </button>
+                      <button
+                        onClick={() => handleRestore(restorePoint)}
+                        disabled={isBusy}
+                        className="px-3 py-1.5 rounded-md text-xs font-medium text-white bg-red-600 hover:bg-red-500 transition-colors disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                    </div>
+                  </div>
+                  {preview?.id === restorePoint.id && (
+                    <ul className="mt-3 pt-3 border-t border-gray-700 space-y-1 text-sm">
+                      {preview.students.length === 0 && (
+                        <li className="text-[var(--text-secondary)]">No students</li>
+                      )}
+                      {preview.students.map(student => (
+                        <li key={student.id} className="flex justify-between text-white">
+                          <span>
+                            {student.name}
+                            {student.trashedAt && <span className="text-[var(--text-secondary)]"> (in Trash)</span>}
+                          </span>
+                          <span className="text-[var(--text-secondary)]">{plural(student.logs.length, 'log')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </main>
+  )
+}
+
+export default RestorePointsView
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { RETENTION_ACTIONS, isArchived, describeRule, planRetention } from '../utils/retention'
+
+const MIN_MONTHS = 1
+const MAX_MONTHS = 120
+const DEFAULT_MONTHS = 12
+
+const TRIGGER_LABELS = {
+  startup: 'On app start',
+  manual: 'Applied manually'
+}
+
+const inputClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+/**
+ * Data retention view: edit the retention rules, preview what they would
+ * change (a dry run), apply them now, and review the purge log and the
+ * archived students. Saved rules also run every time the app starts.
+ * @param {Object} props - Component props
+ * @param {Array} props.students - All students, including trashed and archived ones
+ * @param {Array} props.rules - Saved retention rules
+ * @param {Function} props.onChangeRules - Callback with the rules to save
+ * @param {Function} props.onApply - Callback with rules to save and apply now
+ * @param {Array} props.purgeLog - Past runs that changed data, newest first
+ * @param {Function} props.onUnarchiveStudent - Callback to unarchive a student by ID
+ */
+function RetentionView({ students, rules, onChangeRules, onApply, purgeLog, onUnarchiveStudent }) {
+  // Rules being edited; months are kept as text so the field can be cleared while typing
+  const [draftRules, setDraftRules] = useState(rules)
+
+  useEffect(() => {
+    setDraftRules(rules)
+  }, [rules])
+
+  const validRules = draftRules
+    .filter(rule => Number.isInteger(Number(rule.months)) && Number(rule.months) >= MIN_MONTHS)
+    .map(rule => ({ ...rule, months: Math.min(MAX_MONTHS, Number(rule.months)) }))
+  const hasInvalidRule = validRules.length !== draftRules.length
+  const isDirty = JSON.stringify(draftRules) !== JSON.stringify(rules)
+  const { mutations, results } = planRetention(students, validRules)
+  const archivedStudents = students.filter(isArchived).sort((a, b) => b.archivedAt - a.archivedAt)
+
+  const handleAddRule = () => {
+    setDraftRules([...draftRules, { id: `rule-${Date.now()}`, action: 'delete-notes', months: DEFAULT_MONTHS }])
+  }
+
+  const handleChangeRule = (id, changes) => {
+    setDraftRules(draftRules.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+  }
+
+  const handleRemoveRule = (id) => {
+    setDraftRules(draftRules.filter(rule => rule.id !== id))
+  }
+
+  const handleApply = () => {
+    const total = results.reduce((sum, result) => sum + result.count, 0)
+    if (!window.confirm(`Permanently change ${plural(total, 'record')}? This cannot be undone.`)) return
+    onApply(validRules)
+  }
+
+  return (
+    <main className="flex-1 p-10 overflow-y-auto">
+      <header className="mb-10">
+        <h2 className="text-4xl font-bold text-white">Data Retention</h2>
+        <p className="text-lg text-[var(--text-secondary)] mt-1">
+          Rules that delete or anonymize old well-being data. Saved rules are applied every time the dashboard starts.
+        </p>
+      </header>
+
+      <div className="space-y-8">
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Rules</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-3">
+              {draftRules.length === 0 && (
+                <p className="text-sm text-[var(--text-secondary)]">No rules: all data is kept until it is deleted by hand.</p>
+              )}
+              {draftRules.map(rule => (
+                <div key={rule.id} className="flex flex-wrap items-center gap-3 p-4 bg-gray-800 rounded-lg text-sm text-white">
+                  <select
+                    value={rule.action}
+                    onChange={(e) => handleChangeRule(rule.id, { action: e.target.value })}
+                    className={inputClass}
+                    aria-label="Action"
+                  >
+                    {Object.entries(RETENTION_ACTIONS).map(([action, { label }]) => (
+                      <option key={action} value={action}>{label}</option>
+                    ))}
+                  </select>
+                  <span className="text-[var(--text-secondary)]">
+                    {rule.action === 'anonymize-archived' ? 'archived more than' : 'older than'}
+                  </span>
+                  <input
+                    type="number"
+                    min={MIN_MONTHS}
+                    max={MAX_MONTHS}
+                    value={rule.months}
+                    onChange={(e) => handleChangeRule(rule.id, { months: e.target.value })}
+                    className={`w-20 ${inputClass}`}
+                    aria-label="Months"
+                  />
+                  <span className="text-[var(--text-secondary)]">months</span>
+                  <button onClick={() => handleRemoveRule(rule.id)} className="ml-auto text-red-500 hover:text-red-400">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            {hasInvalidRule && (
+              <p className="text-sm text-red-400 mt-3">Enter a whole number of months for every rule.</p>
+            )}
+            <div className="mt-4 flex justify-between">
+              <button onClick={handleAddRule} className="px-4 py-2 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors">
+                Add rule
+              </button>
+              <button
+                onClick={() => onChangeRules(validRules)}
+                disabled={!isDirty || hasInvalidRule}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity disabled:opacity-50"
+              >
+                Save rules
+              </button>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Preview</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {mutations.length === 0 ? (
+              <p className="text-sm text-[var(--text-secondary)]">These rules would not change anything right now.</p>
+            ) : (
+              <>
+                <p className="text-sm text-[var(--text-secondary)] mb-3">If applied now, these rules would:</p>
+                <ul className="space-y-2 text-sm">
+                  {results.filter(result => result.count > 0).map(result => (
+                    <li key={result.rule.id} className="p-3 bg-gray-800 rounded-lg text-white">
+                      <p>{describeRule(result.rule)}: <span className="font-semibold">{plural(result.count, 'record')}</span></p>
+                      <p className="text-xs text-[var(--text-secondary)] mt-1">{result.students.join(', ')}</p>
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs text-[var(--text-secondary)] mt-3">
+                  The rules are applied to restore points as well.
+                </p>
+                <div className="mt-4 flex justify-end">
+                  <button
+                    onClick={handleApply}
+                    disabled={hasInvalidRule}
+                    className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-500 transition-colors disabled:opacity-50"
+                  >
+                    {isDirty ? 'Save and apply now' : 'Apply now'}
+                  </button>
+                </div>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Archived Students</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {archivedStudents.length === 0 ? (
+              <p className="text-sm text-[var(--text-secondary)]">
+                No archived students. Archive students who have left from the student list.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {archivedStudents.map(student => (
+                  <div key={student.id} className="flex justify-between items-center gap-4 p-4 bg-gray-800 rounded-lg">
+                    <div>
+                      <p className="font-medium text-white">{student.name}</p>
+                      <p className="text-xs text-[var(--text-secondary)] mt-1">
+                        Archived {format(new Date(student.archivedAt), 'MMM d, yyyy')}
+                        {student.anonymizedAt && ` · anonymized ${format(new Date(student.anonymizedAt), 'MMM d, yyyy')}`}
+                        {' · '}{plural(student.logs.length, 'log')}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => onUnarchiveStudent(student.id)}
+                      className="shrink-0 px-3 py-1.5 rounded-md text-xs font-medium text-white bg-gray-600 hover:bg-gray-500 transition-colors"
+                    >
+                      Unarchive
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl">Purge Log</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {purgeLog.length === 0 ? (
+              <p className="text-sm text-[var(--text-secondary)]">No data has been purged by the retention rules yet.</p>
+            ) : (
+              <ul className="space-y-3 text-sm">
+                {purgeLog.map(entry => (
+                  <li key={entry.ranAt} className="p-3 bg-gray-800 rounded-lg">
+                    <p className="font-medium text-white">
+                      {format(new Date(entry.ranAt), 'MMM d, yyyy h:mm a')}
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-700 text-[var(--text-secondary)]">
+                        {TRIGGER_LABELS[entry.trigger] || entry.trigger}
+                      </span>
+                    </p>
+                    <ul className="mt-1 text-[var(--text-secondary)]">
+                      {entry.results.map((result, index) => (
+                        <li key={index}>{result.rule}: {plural(result.count, 'record')}</li>
+                      ))}
+                      {entry.restorePoints > 0 && <li>Restore points updated: {entry.restorePoints}</li>}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </main>
+  )
+}
+
+export default RetentionView
@@ -2,7 +2,7 @@ import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { getMoodColor } from '../utils/analyticsHelpers';
 
-const ScheduleAnalytics = ({ logs, schedule }) => {
+const ScheduleAnalytics = ({ logs, schedule, emotions }) => {
   if (!schedule || schedule.length === 0) {
     return <p className="text-center text-[var(--text-secondary)]">No schedule set. Please add a schedule in the settings.</p>;
   }
@@ -16,6 +16,9 @@ const ScheduleAnalytics = ({ logs, schedule }) => {
     const logTotalMinutes = logHour * 60 + logMinute;
 
     schedule.forEach(period => {
+      // Periods without `days` happen every day
+      if (period.days && !period.days.includes(logTime.getDay())) return;
+
       const [startHour, startMinute] = period.start.split(':').map(Number);
       const [endHour, endMinute] = period.end.split(':').map(Number);
       const startTotalMinutes = startHour * 60 + startMinute;
@@ -56,7 +59,7 @@ const ScheduleAnalytics = ({ logs, schedule }) => {
         />
         <Legend />
         {moods.map(mood => (
-          <Bar key={mood} dataKey={mood} stackId="a" fill={getMoodColor(mood)} />
+          <Bar key={mood} dataKey={mood} stackId="a" fill={getMoodColor(mood, emotions)} />
         ))}
       </BarChart>
     </ResponsiveContainer>
@@ -1,7 +1,21 @@
 import React, { useState } from 'react';
+import { parseIcsSchedule, buildScheduleIcs } from '../utils/icalendar';
 
-const ScheduleSettings = ({ schedule, onSave }) => {
+// Weekday toggles in school-week order; values are Date#getDay() numbers
+const WEEKDAYS = [
+  { day: 1, label: 'M', name: 'Monday' },
+  { day: 2, label: 'T', name: 'Tuesday' },
+  { day: 3, label: 'W', name: 'Wednesday' },
+  { day: 4, label: 'T', name: 'Thursday' },
+  { day: 5, label: 'F', name: 'Friday' },
+  { day: 6, label: 'S', name: 'Saturday' },
+  { day: 0, label: 'S', name: 'Sunday' }
+];
+
+const ScheduleSettings = ({ schedule, onSave, studentName }) => {
   const [localSchedule, setLocalSchedule] = useState(schedule || []);
+  const [importMessage, setImportMessage] = useState(null);
+  const [importError, setImportError] = useState(null);
 
   const handleAddPeriod = () => {
     setLocalSchedule([...localSchedule, { start: '09:00', end: '10:00', subject: '' }]);
@@ -15,16 +29,95 @@ const ScheduleSettings = ({ schedule, onSave }) => {
 
   const handleChange = (index, field, value) => {
     const newSchedule = [...localSchedule];
-    newSchedule[index][field] = value;
+    newSchedule[index] = { ...newSchedule[index], [field]: value };
+    setLocalSchedule(newSchedule);
+  };
+
+  // A period without `days` happens every day; toggling a day off lists the rest
+  const handleToggleDay = (index, day) => {
+    const period = localSchedule[index];
+    const days = period.days || WEEKDAYS.map(weekday => weekday.day);
+    const nextDays = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b);
+    if (nextDays.length === 0) return;
+    const newSchedule = [...localSchedule];
+    if (nextDays.length === WEEKDAYS.length) {
+      const { days: omitted, ...everyDay } = period;
+      newSchedule[index] = everyDay;
+    } else {
+      newSchedule[index] = { ...period, days: nextDays };
+    }
     setLocalSchedule(newSchedule);
   };
 
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setImportMessage(null);
+    setImportError(null);
+    try {
+      const { periods, skipped } = parseIcsSchedule(await file.text());
+      if (periods.length === 0) {
+        setImportError('No timed events were found in the calendar file.');
+        return;
+      }
+      if (localSchedule.length > 0 && !window.confirm(`Replace the ${localSchedule.length} current period(s) with ${periods.length} from the calendar?`)) {
+        return;
+      }
+      setLocalSchedule(periods);
+      setImportMessage({
+        text: `Imported ${periods.length} period${periods.length === 1 ? '' : 's'}. Review them and save the schedule.`,
+        skipped
+      });
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  const handleExport = () => {
+    const ics = buildScheduleIcs(localSchedule, { calendarName: `${studentName} schedule` });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${studentName.replace(/[^\w-]+/g, '-')}-schedule.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   return (
     <div className="bg-[var(--card-background)] rounded-2xl p-6 shadow-2xl border border-gray-700/50">
-      <h3 className="text-xl font-semibold mb-4 text-white">School Schedule</h3>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-white">School Schedule</h3>
+        <div className="flex gap-2">
+          <label className="px-3 py-1.5 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600 cursor-pointer">
+            Import .ics
+            <input type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={localSchedule.length === 0}
+            className="px-3 py-1.5 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-50"
+          >
+            Export .ics
+          </button>
+        </div>
+      </div>
+      {importError && <p className="text-sm text-red-400 mb-4">{importError}</p>}
+      {importMessage && (
+        <div className="text-sm mb-4">
+          <p className="text-green-400">{importMessage.text}</p>
+          {importMessage.skipped.length > 0 && (
+            <ul className="mt-1 text-[var(--text-secondary)] list-disc list-inside">
+              {importMessage.skipped.map((event, index) => (
+                <li key={index}>Skipped "{event.subject}": {event.reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
       <div className="space-y-4">
         {localSchedule.map((period, index) => (
-          <div key={index} className="flex items-center gap-4 p-4 bg-gray-900/70 rounded-lg">
+          <div key={index} className="flex flex-wrap items-center gap-4 p-4 bg-gray-900/70 rounded-lg">
             <input
               type="time"
               value={period.start}
@@ -45,6 +138,23 @@ const ScheduleSettings = ({ schedule, onSave }) => {
               onChange={(e) => handleChange(index, 'subject', e.target.value)}
               className="flex-1 bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400"
             />
+            <div className="flex gap-1" role="group" aria-label="Days">
+              {WEEKDAYS.map(({ day, label, name }) => {
+                const isOn = !period.days || period.days.includes(day);
+                return (
+                  <button
+                    key={day}
+                    type="button"
+                    title={name}
+                    aria-pressed={isOn}
+                    onClick={() => handleToggleDay(index, day)}
+                    className={`w-7 h-7 rounded-full text-xs font-medium ${isOn ? 'bg-[var(--accent-gradient-start)] text-white' : 'bg-gray-700 text-gray-400'}`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
             <button onClick={() => handleRemovePeriod(index)} className="text-red-500 hover:text-red-400">
               Remove
             </button>
@@ -61,6 +61,10 @@ const CustomTooltip = ({ active, payload, label }) => {
  * @param {number} props.data[].Medium - Count of medium-intensity experiences
  * @param {number} props.data[].High - Count of high-intensity experiences
  * 
+ * Logs on numeric scales (1–5, 1–10) are counted in the third of their scale
+ * they fall in (see utils/intensityScales.js), so "High" means the top third
+ * of whatever scale a log was recorded on.
+ * 
  * @returns {JSX.Element} Responsive stacked bar chart or empty state message
  * 
  * @example
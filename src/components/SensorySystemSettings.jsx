@@ -0,0 +1,76 @@
+import React from 'react'
+import { SENSORY_SYSTEMS } from '../utils/sensorySystems'
+import { INTENSITY_SCALES } from '../utils/intensityScales'
+
+/**
+ * Chooses which sensory systems the logging panel offers for a student and
+ * the intensity scale of each. Changes are saved right away (and can be
+ * undone); at least one system stays enabled. Logs of a system that is
+ * turned off, or recorded on an earlier scale, are kept.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.systems - Enabled system names
+ * @param {Object<string, string>} props.scales - `INTENSITY_SCALES` key per enabled system
+ * @param {string} props.studentName - Name of the student being viewed
+ * @param {Function} props.onChange - Callback with the new list of enabled systems
+ * @param {Function} props.onChangeScale - Callback with (system, scale key)
+ */
+function SensorySystemSettings({ systems, scales, studentName, onChange, onChangeScale }) {
+  const handleToggle = (name) => {
+    if (systems.includes(name)) {
+      if (systems.length === 1) return
+      onChange(systems.filter(system => system !== name))
+    } else {
+      onChange(SENSORY_SYSTEMS.map(system => system.name).filter(system => system === name || systems.includes(system)))
+    }
+  }
+
+  return (
+    <div className="bg-[var(--card-background)] rounded-2xl p-6 shadow-2xl border border-gray-700/50 mt-8">
+      <h3 className="text-xl font-semibold text-white mb-1">Sensory Systems</h3>
+      <p className="text-sm text-[var(--text-secondary)] mb-4">
+        Systems offered when logging sensory input for {studentName}, and the intensity scale used for each.
+        Turning one off keeps its existing logs in the analytics; on any scale, the top third counts as high intensity.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {SENSORY_SYSTEMS.map(({ name, description, color }) => {
+          const isOn = systems.includes(name)
+          return (
+            <div
+              key={name}
+              className={`flex flex-wrap items-start gap-3 p-4 bg-gray-900/70 rounded-lg border-l-4 ${isOn ? '' : 'opacity-60'}`}
+              style={{ borderLeftColor: color }}
+            >
+              <label className="flex flex-1 items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isOn}
+                  disabled={isOn && systems.length === 1}
+                  onChange={() => handleToggle(name)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block font-medium text-white">{name}</span>
+                  <span className="block text-xs text-[var(--text-secondary)]">{description}</span>
+                </span>
+              </label>
+              {isOn && (
+                <select
+                  value={scales[name]}
+                  onChange={(e) => onChangeScale(name, e.target.value)}
+                  className="bg-[var(--input-background)] border border-gray-600 rounded-md px-2 py-1 text-xs text-white"
+                  aria-label={`${name} intensity scale`}
+                >
+                  {Object.entries(INTENSITY_SCALES).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default SensorySystemSettings
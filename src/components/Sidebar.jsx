@@ -1,5 +1,6 @@
 import React, { useState } from 'react'
 import DeleteConfirmationModal from './DeleteConfirmationModal'
+import SyncStatus from './SyncStatus'
 
 /**
  * Sidebar component for student selection and addition.
@@ -9,8 +10,25 @@ import DeleteConfirmationModal from './DeleteConfirmationModal'
  * @param {number} props.selectedStudentId - ID of currently selected student
  * @param {Function} props.onSelectStudent - Callback to select a student
  * @param {Function} props.onAddStudent - Callback to add a new student
+ * @param {Object} [props.syncClient] - Sync client, when offline sync is enabled
+ * @param {boolean} props.canUndo - Whether there is a change to undo
+ * @param {boolean} props.canRedo - Whether there is an undone change to redo
+ * @param {Function} props.onUndo - Callback to undo the last change
+ * @param {Function} props.onRedo - Callback to redo the last undone change
+ * @param {number} props.trashCount - Number of items in the Trash
+ * @param {boolean} props.isTrashOpen - Whether the Trash view is shown
+ * @param {Function} props.onOpenTrash - Callback to show the Trash view
+ * @param {boolean} props.isRestorePointsOpen - Whether the Restore points view is shown
+ * @param {Function} [props.onOpenRestorePoints] - Callback to show the Restore
+ *   points view (omitted when the storage backend keeps no snapshots)
+ * @param {boolean} props.isRetentionOpen - Whether the Data retention view is shown
+ * @param {Function} props.onOpenRetention - Callback to show the Data retention view
+ * @param {Function} props.onArchiveStudent - Callback to archive a student by ID
+ * @param {Function} props.onOpenDataTransfer - Callback to open export/import
+ * @param {Function} [props.onOpenEncryption] - Callback to open encryption
+ *   settings (omitted when the storage backend does not support encryption)
  */
-function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, onDeleteStudent, onEditStudent }) {
+function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, onDeleteStudent, onEditStudent, syncClient, canUndo, canRedo, onUndo, onRedo, trashCount, isTrashOpen, onOpenTrash, isRestorePointsOpen, onOpenRestorePoints, isRetentionOpen, onOpenRetention, onArchiveStudent, onOpenDataTransfer, onOpenEncryption }) {
   // State for new student name input
   const [newStudentName, setNewStudentName] = useState('')
   // State for editing student
@@ -75,7 +93,31 @@ function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, o
     <>
       <aside className="w-64 bg-[var(--sidebar-background)] p-6 flex flex-col justify-between">
         <div>
-          <h1 className="text-2xl font-bold mb-10 text-white">Dashboard</h1>
+          <div className="flex items-center justify-between mb-10">
+            <h1 className="text-2xl font-bold text-white">Dashboard</h1>
+            <div className="flex gap-1">
+              <button
+                onClick={onUndo}
+                disabled={!canUndo}
+                className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+                title="Undo (Ctrl+Z)"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h10a5 5 0 015 5v2M3 10l5-5M3 10l5 5" />
+                </svg>
+              </button>
+              <button
+                onClick={onRedo}
+                disabled={!canRedo}
+                className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 10H11a5 5 0 00-5 5v2M21 10l-5-5M21 10l-5 5" />
+                </svg>
+              </button>
+            </div>
+          </div>
           <nav className="space-y-2">
             {students.map(student => (
               <div key={student.id} className="group relative">
@@ -139,6 +181,18 @@ function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, o
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
                         </svg>
                       </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onArchiveStudent(student.id)
+                        }}
+                        className="p-1.5 text-gray-400 hover:text-white hover:bg-gray-700 rounded"
+                        title="Archive student"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                        </svg>
+                      </button>
                       <button
                         onClick={(e) => {
                           e.stopPropagation()
@@ -159,6 +213,70 @@ function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, o
           </nav>
         </div>
         <div className="space-y-4">
+          <button
+            onClick={onOpenTrash}
+            className={`w-full flex items-center gap-3 px-4 py-2.5 rounded-lg transition-colors duration-200 ${
+              isTrashOpen
+                ? 'bg-gray-700 text-white'
+                : 'hover:bg-gray-700/50 text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+            }`}
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+            <span className="font-medium">Trash</span>
+            {trashCount > 0 && (
+              <span className="ml-auto text-xs bg-gray-600 text-white rounded-full px-2 py-0.5">{trashCount}</span>
+            )}
+          </button>
+          {onOpenRestorePoints && (
+            <button
+              onClick={onOpenRestorePoints}
+              className={`w-full flex items-center gap-3 px-4 py-2.5 rounded-lg transition-colors duration-200 ${
+                isRestorePointsOpen
+                  ? 'bg-gray-700 text-white'
+                  : 'hover:bg-gray-700/50 text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+              }`}
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span className="font-medium">Restore points</span>
+            </button>
+          )}
+          <button
+            onClick={onOpenRetention}
+            className={`w-full flex items-center gap-3 px-4 py-2.5 rounded-lg transition-colors duration-200 ${
+              isRetentionOpen
+                ? 'bg-gray-700 text-white'
+                : 'hover:bg-gray-700/50 text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+            }`}
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+            </svg>
+            <span className="font-medium">Data retention</span>
+          </button>
+          <button
+            onClick={onOpenDataTransfer}
+            className="w-full flex items-center gap-3 px-4 py-2.5 rounded-lg transition-colors duration-200 hover:bg-gray-700/50 text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16l-4-4m0 0l4-4m-4 4h18M17 8l4 4m0 0l-4 4" />
+            </svg>
+            <span className="font-medium">Export / Import</span>
+          </button>
+          {onOpenEncryption && (
+            <button
+              onClick={onOpenEncryption}
+              className="w-full flex items-center gap-3 px-4 py-2.5 rounded-lg transition-colors duration-200 hover:bg-gray-700/50 text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+            >
+              <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+              </svg>
+              <span className="font-medium">Encryption</span>
+            </button>
+          )}
           <form className="space-y-3" onSubmit={handleSubmit}>
             <label className="block text-sm font-medium text-[var(--text-secondary)]" htmlFor="student-name">
               Student Name
@@ -179,6 +297,7 @@ function Sidebar({ students, selectedStudentId, onSelectStudent, onAddStudent, o
               Add Student
             </button>
           </form>
+          {syncClient && <SyncStatus client={syncClient} students={students} />}
         </div>
       </aside>
       <DeleteConfirmationModal
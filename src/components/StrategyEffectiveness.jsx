@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { getStrategyEffectiveness } from '../utils/analyticsHelpers'
+import { MOOD_WINDOWS, DEFAULT_MOOD_WINDOW } from '../utils/interventions'
+
+const RANKINGS = {
+  success: 'Success rate',
+  mood: 'Mood that followed'
+}
+
+const formatRate = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`)
+
+const formatWindow = (minutes) => (minutes < 60 ? `${minutes} min` : `${minutes / 60} h`)
+
+/**
+ * Ranks the intervention strategies used with a student, either by the
+ * share of rated uses that helped or by the share of uses followed by a
+ * positive feeling within a chosen window.
+ * @param {Object} props - Component props
+ * @param {Array} props.logs - Logs to analyze
+ * @param {Array} props.emotions - Student's emotion vocabulary, for the mood valence
+ */
+function StrategyEffectiveness({ logs, emotions }) {
+  const [rankBy, setRankBy] = useState('success')
+  const [windowMinutes, setWindowMinutes] = useState(DEFAULT_MOOD_WINDOW)
+  const strategies = getStrategyEffectiveness(logs, { windowMinutes, emotions, rankBy })
+
+  if (strategies.length === 0) {
+    return <p className="text-center text-[var(--text-secondary)]">No interventions logged in this period.</p>
+  }
+
+  const selectClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-2 py-1 text-sm text-white'
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-muted-foreground">
+        <label className="flex items-center gap-2">
+          Rank by
+          <select value={rankBy} onChange={(e) => setRankBy(e.target.value)} className={selectClass}>
+            {Object.entries(RANKINGS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Mood within
+          <select value={windowMinutes} onChange={(e) => setWindowMinutes(Number(e.target.value))} className={selectClass}>
+            {MOOD_WINDOWS.map(minutes => <option key={minutes} value={minutes}>{formatWindow(minutes)}</option>)}
+          </select>
+          after
+        </label>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-muted-foreground border-b border-gray-700">
+            <th className="py-2 pr-4 font-medium">Strategy</th>
+            <th className="py-2 pr-4 font-medium text-right">Uses</th>
+            <th className="py-2 pr-4 font-medium text-right">Helped</th>
+            <th className="py-2 pr-4 font-medium text-right">Positive mood after</th>
+            <th className="py-2 font-medium">Most common mood after</th>
+          </tr>
+        </thead>
+        <tbody>
+          {strategies.map(entry => (
+            <tr key={entry.strategy} className="border-b border-gray-800 text-foreground">
+              <td className="py-2 pr-4">{entry.strategy}</td>
+              <td className="py-2 pr-4 text-right">{entry.uses}</td>
+              <td className="py-2 pr-4 text-right" title={`${entry.helped} of ${entry.rated} rated uses`}>
+                {formatRate(entry.successRate)}
+              </td>
+              <td className="py-2 pr-4 text-right" title={`${entry.followed} of ${entry.uses} uses were followed by a feeling`}>
+                {formatRate(entry.positiveMoodRate)}
+              </td>
+              <td className="py-2">{entry.commonMood || '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default StrategyEffectiveness
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react'
+import { DEFAULT_STRATEGIES, getStrategies, validateStrategies } from '../utils/interventions'
+
+const inputClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+
+/**
+ * Editor for a student's intervention strategy library, the strategies
+ * offered when logging an intervention.
+ * @param {Object} props - Component props
+ * @param {Array<string>} [props.strategies] - Student's saved library, if any
+ * @param {string} props.studentName - Name of the student being viewed
+ * @param {Function} props.onSave - Callback with the library to save (null for the defaults)
+ */
+function StrategySettings({ strategies, studentName, onSave }) {
+  const savedStrategies = getStrategies({ strategies })
+  const [draft, setDraft] = useState(savedStrategies)
+
+  useEffect(() => {
+    setDraft(savedStrategies)
+  }, [strategies])
+
+  const trimmed = draft.map(strategy => strategy.trim())
+  const errors = validateStrategies(trimmed)
+  const isDirty = JSON.stringify(trimmed) !== JSON.stringify(savedStrategies)
+
+  const handleChange = (index, value) => {
+    setDraft(draft.map((strategy, i) => i === index ? value : strategy))
+  }
+
+  const handleRemove = (index) => {
+    setDraft(draft.filter((strategy, i) => i !== index))
+  }
+
+  // A library equal to the defaults is not stored, so the student follows
+  // future changes to the defaults
+  const handleSave = () => {
+    onSave(JSON.stringify(trimmed) === JSON.stringify(DEFAULT_STRATEGIES) ? null : trimmed)
+  }
+
+  return (
+    <div className="bg-[var(--card-background)] rounded-2xl p-6 shadow-2xl border border-gray-700/50 mt-8">
+      <h3 className="text-xl font-semibold text-white mb-1">Intervention Strategies</h3>
+      <p className="text-sm text-[var(--text-secondary)] mb-4">
+        Strategies offered when logging an intervention for {studentName}. Renaming or removing a strategy does not change
+        interventions already recorded.
+      </p>
+      <div className="space-y-3">
+        {draft.map((strategy, index) => (
+          <div key={index} className="flex items-center gap-3">
+            <input
+              type="text"
+              placeholder="Strategy"
+              value={strategy}
+              onChange={(e) => handleChange(index, e.target.value)}
+              className={`flex-1 placeholder-gray-400 ${inputClass}`}
+              aria-label="Strategy"
+            />
+            <button onClick={() => handleRemove(index)} className="text-red-500 hover:text-red-400">
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      {errors.length > 0 && <p className="text-sm text-red-400 mt-3">{errors.join(' ')}</p>}
+      <div className="mt-6 flex flex-wrap justify-between gap-2">
+        <div className="flex gap-2">
+          <button
+            onClick={() => setDraft([...draft, ''])}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+          >
+            Add Strategy
+          </button>
+          <button
+            onClick={() => setDraft(DEFAULT_STRATEGIES)}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+          >
+            Reset to Defaults
+          </button>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || errors.length > 0}
+          className="px-4 py-2 text-sm font-medium rounded-md bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90 disabled:opacity-50"
+        >
+          Save Strategies
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default StrategySettings
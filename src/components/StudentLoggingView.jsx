@@ -1,31 +1,112 @@
 import React, { useState } from 'react'
+import { INTENSITIES, createFeelingLog, createSensoryLog } from '../utils/logModel'
+import { INTENSITY_SCALES } from '../utils/intensityScales'
+import { toDateTimeInput, fromDateTimeInput } from '../utils/dateTimeInput'
+import { PRESET_SCOPES, createPreset, createLogFromPreset, getApplicablePresets } from '../utils/logPresets'
+import { getSensoryColor } from '../utils/analyticsHelpers'
+import EmotionIcon from './EmotionIcon'
+import IncidentForm from './IncidentForm'
+import InterventionForm from './InterventionForm'
+import LogPresets from './LogPresets'
+
+const EMPTY_SENSORY_INPUT = { intensity: null, notes: '' }
+// Numeric scales up to this size are shown as buttons, longer ones as a slider
+const MAX_SCALE_BUTTONS = 5
+
+// Intensity values a scale offers: the levels, or 1 to its top value
+const getScaleValues = (max) => (max ? Array.from({ length: max }, (_, index) => index + 1) : INTENSITIES)
 
 /**
- * Component for logging student feelings and sensory inputs.
- * Allows selection of emotions and sensory intensities with notes.
+ * Component for logging student feelings, sensory inputs, interventions and
+ * incidents.
+ * Allows selection of emotions and sensory intensities with notes. Logs are
+ * timed now unless an earlier "when did this happen" time is picked, which
+ * then applies to every log until it is cleared. Feeling and sensory inputs
+ * can also be saved as quick-log presets.
  * @param {Object} props - Component props
  * @param {Function} props.onAddLog - Callback function to add a new log entry
+ * @param {Array} props.emotions - Emotions offered as feelings (the student's vocabulary)
+ * @param {Array<string>} props.sensorySystems - Sensory systems enabled for the student
+ * @param {Object<string, string>} props.intensityScales - `INTENSITY_SCALES` key per sensory system
+ * @param {Array<string>} props.strategies - Student's intervention strategy library
+ * @param {Array} props.logs - Student's logs, newest first, for linking interventions
+ * @param {Array} props.sharedPresets - Presets shared by all students
+ * @param {Array} [props.studentPresets] - Student's own presets
+ * @param {string} props.studentName - Name of the student being logged
+ * @param {Function} props.onSaveSharedPresets - Callback with the new shared presets
+ * @param {Function} props.onSaveStudentPresets - Callback with the student's new presets (null for none)
  */
-function StudentLoggingView({ onAddLog }) {
-  // State to manage sensory input data for each category
-  const [sensoryInputs, setSensoryInputs] = useState({
-    Visual: { intensity: null, notes: '' },
-    Auditory: { intensity: null, notes: '' },
-    Tactile: { intensity: null, notes: '' }
-  })
+function StudentLoggingView({
+  onAddLog,
+  emotions,
+  sensorySystems,
+  intensityScales,
+  strategies,
+  logs,
+  sharedPresets,
+  studentPresets,
+  studentName,
+  onSaveSharedPresets,
+  onSaveStudentPresets
+}) {
+  // State to manage sensory input data for each category, filled in as
+  // categories are used
+  const [sensoryInputs, setSensoryInputs] = useState({})
+  const getScaleMax = (category) => INTENSITY_SCALES[intensityScales[category]]?.max || null
+  // A pending intensity is dropped if the system's scale has changed since
+  const getInput = (category) => {
+    const input = sensoryInputs[category] || EMPTY_SENSORY_INPUT
+    return getScaleValues(getScaleMax(category)).includes(input.intensity) ? input : { ...input, intensity: null }
+  }
   const [environmentalFactors, setEnvironmentalFactors] = useState('');
+  // Backdated time as a datetime-local value; empty logs at the current time
+  const [happenedAt, setHappenedAt] = useState('')
+  const backdatedTimestamp = fromDateTimeInput(happenedAt)
+  const isFutureTime = backdatedTimestamp !== null && backdatedTimestamp > Date.now()
+  // While on, feelings and sensory inputs become preset drafts instead of logs
+  const [isPresetMode, setIsPresetMode] = useState(false)
+  const [presetDraft, setPresetDraft] = useState(null)
+  const presets = getApplicablePresets([
+    ...(studentPresets || []).map(preset => ({ ...preset, scope: PRESET_SCOPES.STUDENT })),
+    ...sharedPresets.map(preset => ({ ...preset, scope: PRESET_SCOPES.SHARED }))
+  ], { emotions, sensorySystems })
+
+  const handleTogglePresetMode = () => {
+    setIsPresetMode(!isPresetMode)
+    setPresetDraft(null)
+  }
+
+  const handleSavePreset = (fields, scope) => {
+    const preset = createPreset(fields)
+    if (scope === PRESET_SCOPES.SHARED) onSaveSharedPresets([...sharedPresets, preset])
+    else onSaveStudentPresets([...(studentPresets || []), preset])
+    setPresetDraft(null)
+    setIsPresetMode(false)
+  }
+
+  const handleRemovePreset = (preset) => {
+    if (preset.scope === PRESET_SCOPES.SHARED) {
+      if (!window.confirm(`Remove the preset "${preset.label}" for all students?`)) return
+      onSaveSharedPresets(sharedPresets.filter(p => p.id !== preset.id))
+    } else {
+      const remaining = studentPresets.filter(p => p.id !== preset.id)
+      onSaveStudentPresets(remaining.length > 0 ? remaining : null)
+    }
+  }
+
+  const handleLogPreset = (preset) => {
+    if (isFutureTime) return
+    onAddLog(createLogFromPreset(preset, { timestamp: backdatedTimestamp }))
+  }
 
   // Handler for when a feeling button is clicked
   const handleFeelingClick = (feeling) => {
-    const timestamp = Date.now() + Math.floor(Math.random() * 100); // Add small random component to prevent ID collisions
-    const newLog = {
-      id: timestamp,
-      type: 'feeling',
-      value: feeling,
-      timestamp: timestamp, // Use Unix timestamp consistently
-      environmentalFactors,
+    if (isPresetMode) {
+      setPresetDraft({ type: 'feeling', value: feeling, environmentalFactors })
+      return
     }
-    onAddLog(newLog)
+    if (isFutureTime) return
+    onAddLog(createFeelingLog({ value: feeling, environmentalFactors, timestamp: backdatedTimestamp }))
     setEnvironmentalFactors('');
   }
 
@@ -34,7 +115,7 @@ function StudentLoggingView({ onAddLog }) {
     setSensoryInputs({
       ...sensoryInputs,
       [category]: {
-        ...sensoryInputs[category],
+        ...getInput(category),
         intensity: intensity
       }
     })
@@ -42,28 +123,34 @@ function StudentLoggingView({ onAddLog }) {
 
   // Handler to log a sensory input
   const handleLogSensory = (category) => {
-    if (!sensoryInputs[category].intensity) return;
-    
-    const timestamp = Date.now() + Math.floor(Math.random() * 100); // Add small random component to prevent ID collisions
-    const newLog = {
-      id: timestamp,
-      type: 'sensory',
-      category: category,
-      intensity: sensoryInputs[category].intensity,
-      notes: sensoryInputs[category].notes,
-      timestamp: timestamp, // Use Unix timestamp consistently
-      environmentalFactors,
+    const input = getInput(category)
+    const max = getScaleMax(category)
+    if (isPresetMode && input.intensity) {
+      setPresetDraft({
+        type: 'sensory',
+        category,
+        intensity: input.intensity,
+        intensityMax: max,
+        notes: input.notes,
+        environmentalFactors
+      })
+      return
     }
+    if (!input.intensity || isFutureTime) return;
     
-    onAddLog(newLog)
+    onAddLog(createSensoryLog({
+      category,
+      intensity: input.intensity,
+      ...(max && { intensityMax: max }),
+      notes: input.notes,
+      environmentalFactors,
+      timestamp: backdatedTimestamp
+    }))
     
     // Reset the intensity and notes for this category after logging
     setSensoryInputs({
       ...sensoryInputs,
-      [category]: {
-        intensity: null,
-        notes: ''
-      }
+      [category]: EMPTY_SENSORY_INPUT
     })
   }
 
@@ -72,7 +159,7 @@ function StudentLoggingView({ onAddLog }) {
     setSensoryInputs({
       ...sensoryInputs,
       [category]: {
-        ...sensoryInputs[category],
+        ...getInput(category),
         notes: notes
       }
     })
@@ -94,47 +181,68 @@ function StudentLoggingView({ onAddLog }) {
             onChange={(e) => setEnvironmentalFactors(e.target.value)}
           />
         </div>
+        <div>
+          <label htmlFor="happenedAt" className="text-lg font-medium text-[var(--text-secondary)] mb-3 block">
+            When did this happen?
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              id="happenedAt"
+              type="datetime-local"
+              value={happenedAt}
+              max={toDateTimeInput(Date.now())}
+              onChange={(e) => setHappenedAt(e.target.value)}
+              className="bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]"
+            />
+            {happenedAt ? (
+              <button
+                onClick={() => setHappenedAt('')}
+                className="px-3 py-2 text-sm font-medium rounded-md bg-gray-700 text-white hover:bg-gray-600"
+              >
+                Use current time
+              </button>
+            ) : (
+              <span className="text-sm text-[var(--text-secondary)]">Leave empty to log at the current time.</span>
+            )}
+          </div>
+          {isFutureTime && <p className="text-sm text-red-400 mt-2">The time cannot be in the future.</p>}
+          {backdatedTimestamp !== null && !isFutureTime && (
+            <p className="text-sm text-yellow-400 mt-2">New logs are backdated to this time until you clear it.</p>
+          )}
+        </div>
+        <div>
+          <label className="text-lg font-medium text-[var(--text-secondary)] mb-3 block">
+            Quick Log
+          </label>
+          <LogPresets
+            presets={presets}
+            draft={presetDraft}
+            isPresetMode={isPresetMode}
+            disabled={isFutureTime}
+            studentName={studentName}
+            onLog={handleLogPreset}
+            onSave={handleSavePreset}
+            onRemove={handleRemovePreset}
+            onTogglePresetMode={handleTogglePresetMode}
+            onCancelDraft={() => setPresetDraft(null)}
+          />
+        </div>
         <div>
           <label className="text-lg font-medium text-[var(--text-secondary)] mb-3 block">
             How are you feeling?
           </label>
-          <div className="flex justify-around items-center p-4 bg-gray-900/70 rounded-lg">
-            <button 
-              onClick={() => handleFeelingClick('Happy')}
-              className="emotion-icon"
-            >
-              <svg className="w-10 h-10" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-                <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-.464 5.535a.5.5 0 01.707 0 6 6 0 01-7.071 0 .5.5 0 01.707-.707 5 5 0 005.657 0 .5.5 0 01.707.707z" fillRule="evenodd"></path>
-              </svg>
-              <span className="text-sm font-medium">Happy</span>
-            </button>
-            <button 
-              onClick={() => handleFeelingClick('Sad')}
-              className="emotion-icon"
-            >
-              <svg className="w-10 h-10" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-                <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-7.843 6.472a.5.5 0 00.638.76 6.002 6.002 0 006.41 0 .5.5 0 00.638-.761 5.002 5.002 0 01-7.686 0z" fillRule="evenodd"></path>
-              </svg>
-              <span className="text-sm font-medium">Sad</span>
-            </button>
-            <button 
-              onClick={() => handleFeelingClick('Angry')}
-              className="emotion-icon"
-            >
-              <svg className="w-10 h-10" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-                <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM5.5 8a1.5 1.5 0 113 0 1.5 1.5 0 01-3 0zm9 0a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM10 14a4 4 0 00-4 4h8a4 4 0 00-4-4z" fillRule="evenodd"></path>
-              </svg>
-              <span className="text-sm font-medium">Angry</span>
-            </button>
-            <button 
-              onClick={() => handleFeelingClick('Anxious')}
-              className="emotion-icon"
-            >
-              <svg className="w-10 h-10" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
-                <path clipRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-5 4a1 1 0 011-1h2a1 1 0 110 2H10a1 1 0 01-1-1z" fillRule="evenodd"></path>
-              </svg>
-              <span className="text-sm font-medium">Anxious</span>
-            </button>
+          <div className="flex flex-wrap justify-around items-center gap-2 p-4 bg-gray-900/70 rounded-lg">
+            {emotions.map(emotion => (
+              <button
+                key={emotion.label}
+                onClick={() => handleFeelingClick(emotion.label)}
+                disabled={isFutureTime && !isPresetMode}
+                className="emotion-icon disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <EmotionIcon emotion={emotion} className="w-10 h-10" colored={false} />
+                <span className="text-sm font-medium">{emotion.label}</span>
+              </button>
+            ))}
           </div>
         </div>
         <div>
@@ -142,119 +250,83 @@ function StudentLoggingView({ onAddLog }) {
             Sensory Input
           </label>
           <div className="space-y-4">
-            <div className="p-4 bg-gray-900/70 rounded-lg">
-              <h4 className="font-semibold text-white mb-2">Visual</h4>
-              <div className="flex items-center gap-4">
-                <button 
-                  onClick={() => handleIntensityChange('Visual', 'Low')}
-                  className={`intensity-btn ${sensoryInputs.Visual.intensity === 'Low' ? 'selected' : ''}`}
-                >
-                  Low
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Visual', 'Medium')}
-                  className={`intensity-btn ${sensoryInputs.Visual.intensity === 'Medium' ? 'selected' : ''}`}
-                >
-                  Medium
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Visual', 'High')}
-                  className={`intensity-btn ${sensoryInputs.Visual.intensity === 'High' ? 'selected' : ''}`}
-                >
-                  High
-                </button>
-                <input 
-                  className="flex-[2] bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]" 
-                  placeholder="Brief description..." 
-                  type="text"
-                  value={sensoryInputs.Visual.notes}
-                  onChange={(e) => handleNotesChange('Visual', e.target.value)}
-                />
-                <button
-                  onClick={() => handleLogSensory('Visual')}
-                  disabled={!sensoryInputs.Visual.intensity}
-                  className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
-                >
-                  Log
-                </button>
-              </div>
-            </div>
-            <div className="p-4 bg-gray-900/70 rounded-lg">
-              <h4 className="font-semibold text-white mb-2">Auditory</h4>
-              <div className="flex items-center gap-4">
-                <button 
-                  onClick={() => handleIntensityChange('Auditory', 'Low')}
-                  className={`intensity-btn ${sensoryInputs.Auditory.intensity === 'Low' ? 'selected' : ''}`}
-                >
-                  Low
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Auditory', 'Medium')}
-                  className={`intensity-btn ${sensoryInputs.Auditory.intensity === 'Medium' ? 'selected' : ''}`}
-                >
-                  Medium
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Auditory', 'High')}
-                  className={`intensity-btn ${sensoryInputs.Auditory.intensity === 'High' ? 'selected' : ''}`}
-                >
-                  High
-                </button>
-                <input 
-                  className="flex-[2] bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]" 
-                  placeholder="Brief description..." 
-                  type="text"
-                  value={sensoryInputs.Auditory.notes}
-                  onChange={(e) => handleNotesChange('Auditory', e.target.value)}
-                />
-                <button
-                  onClick={() => handleLogSensory('Auditory')}
-                  disabled={!sensoryInputs.Auditory.intensity}
-                  className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
-                >
-                  Log
-                </button>
-              </div>
-            </div>
-            <div className="p-4 bg-gray-900/70 rounded-lg">
-              <h4 className="font-semibold text-white mb-2">Tactile</h4>
-              <div className="flex items-center gap-4">
-                <button 
-                  onClick={() => handleIntensityChange('Tactile', 'Low')}
-                  className={`intensity-btn ${sensoryInputs.Tactile.intensity === 'Low' ? 'selected' : ''}`}
-                >
-                  Low
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Tactile', 'Medium')}
-                  className={`intensity-btn ${sensoryInputs.Tactile.intensity === 'Medium' ? 'selected' : ''}`}
+            {sensorySystems.map(category => {
+              const input = getInput(category)
+              const max = getScaleMax(category)
+              return (
+                <div
+                  key={category}
+                  className="p-4 bg-gray-900/70 rounded-lg border-l-4"
+                  style={{ borderLeftColor: getSensoryColor(category) }}
                 >
-                  Medium
-                </button>
-                <button 
-                  onClick={() => handleIntensityChange('Tactile', 'High')}
-                  className={`intensity-btn ${sensoryInputs.Tactile.intensity === 'High' ? 'selected' : ''}`}
-                >
-                  High
-                </button>
-                <input 
-                  className="flex-[2] bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]" 
-                  placeholder="Brief description..." 
-                  type="text"
-                  value={sensoryInputs.Tactile.notes}
-                  onChange={(e) => handleNotesChange('Tactile', e.target.value)}
-                />
-                <button
-                  onClick={() => handleLogSensory('Tactile')}
-                  disabled={!sensoryInputs.Tactile.intensity}
-                  className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
-                >
-                  Log
-                </button>
-              </div>
-            </div>
+                  <h4 className="font-semibold mb-2" style={{ color: getSensoryColor(category) }}>{category}</h4>
+                  <div className="flex items-center gap-4">
+                    {max > MAX_SCALE_BUTTONS ? (
+                      <label className="flex-[3] flex items-center gap-3 text-sm text-[var(--text-secondary)]">
+                        <input
+                          type="range"
+                          min="1"
+                          max={max}
+                          value={input.intensity ?? Math.ceil(max / 2)}
+                          onChange={(e) => handleIntensityChange(category, Number(e.target.value))}
+                          // Picks the starting value too, which does not fire a change
+                          onPointerUp={(e) => handleIntensityChange(category, Number(e.target.value))}
+                          className={`flex-1 ${input.intensity === null ? 'opacity-50' : ''}`}
+                          aria-label={`${category} intensity`}
+                        />
+                        <span className="w-12 text-right font-medium text-white">
+                          {input.intensity === null ? '–' : input.intensity}/{max}
+                        </span>
+                      </label>
+                    ) : (
+                      getScaleValues(max).map(intensity => (
+                        <button
+                          key={intensity}
+                          onClick={() => handleIntensityChange(category, intensity)}
+                          className={`intensity-btn ${input.intensity === intensity ? 'selected' : ''}`}
+                        >
+                          {intensity}
+                        </button>
+                      ))
+                    )}
+                    <input
+                      className="flex-[2] bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-2 text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]"
+                      placeholder="Brief description..."
+                      type="text"
+                      value={input.notes}
+                      onChange={(e) => handleNotesChange(category, e.target.value)}
+                    />
+                    <button
+                      onClick={() => handleLogSensory(category)}
+                      disabled={!input.intensity || (isFutureTime && !isPresetMode)}
+                      className="px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] text-white hover:opacity-90"
+                    >
+                      {isPresetMode ? 'Save' : 'Log'}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
           </div>
         </div>
+        <div>
+          <label className="text-lg font-medium text-[var(--text-secondary)] mb-3 block">
+            Intervention
+          </label>
+          <InterventionForm
+            onAddLog={onAddLog}
+            strategies={strategies}
+            logs={logs}
+            timestamp={backdatedTimestamp}
+            disabled={isFutureTime}
+          />
+        </div>
+        <div>
+          <label className="text-lg font-medium text-[var(--text-secondary)] mb-3 block">
+            Incident Report
+          </label>
+          <IncidentForm onAddLog={onAddLog} timestamp={backdatedTimestamp} disabled={isFutureTime} />
+        </div>
       </div>
     </div>
   )
@@ -0,0 +1,201 @@
+import React, { useState } from 'react'
+import { createPortal } from 'react-dom'
+import { format, subDays, startOfDay, endOfDay } from 'date-fns'
+import {
+  getQuickStats,
+  detectPatterns,
+  filterLogsByDateRange,
+  getTopAntecedents,
+  getDeescalatingConsequences,
+  getStrategyEffectiveness
+} from '../utils/analyticsHelpers'
+import { processFeelingsData, processSensoryData } from '../utils/chartHelpers'
+import FeelingsChart from './FeelingsChart'
+import SensoryChart from './SensoryChart'
+import TimeOfDayChart from './TimeOfDayChart'
+import ScheduleAnalytics from './ScheduleAnalytics'
+
+const DEFAULT_RANGE_DAYS = 30
+const CONFIDENTIALITY_NOTICE = 'Confidential student information. Share only with the student\'s support team.'
+
+const toDateInput = (date) => format(date, 'yyyy-MM-dd')
+// Date inputs hold local calendar days
+const fromDateInput = (value) => new Date(`${value}T00:00:00`)
+
+const inputClass = 'bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]'
+
+/**
+ * Print-optimized report for one student over a chosen range, for team
+ * meetings. Shown as a full-screen preview; printing (or "Save as PDF" in the
+ * print dialog) outputs only the report, with a running header, page numbers
+ * and a confidentiality footer (see the print styles in globals.css).
+ * @param {Object} props - Component props
+ * @param {Object} props.student - Student the report is about
+ * @param {Array} props.emotions - Student's emotion vocabulary
+ * @param {Function} props.onClose - Callback to close the report
+ */
+function StudentReport({ student, emotions, onClose }) {
+  const [fromDate, setFromDate] = useState(() => toDateInput(subDays(new Date(), DEFAULT_RANGE_DAYS - 1)))
+  const [toDate, setToDate] = useState(() => toDateInput(new Date()))
+  const [includeInsight, setIncludeInsight] = useState(Boolean(student.savedInsight))
+
+  const start = startOfDay(fromDateInput(fromDate || toDateInput(new Date(0))))
+  const end = endOfDay(fromDateInput(toDate || toDateInput(new Date())))
+  const logs = filterLogsByDateRange(student.logs, start, end)
+  const feelingLogs = logs.filter(log => log.type === 'feeling')
+  const sensoryLogs = logs.filter(log => log.type === 'sensory')
+  const incidentLogs = logs.filter(log => log.type === 'incident')
+  const strategies = getStrategyEffectiveness(logs, { emotions })
+  const mostCommonFeeling = processFeelingsData(logs)[0]
+  const quickStats = getQuickStats(student.logs)
+  const alerts = detectPatterns(student.logs, emotions)
+  const generatedAt = new Date()
+  const rangeLabel = `${format(start, 'MMM d, yyyy')} – ${format(end, 'MMM d, yyyy')}`
+
+  // Running header and footer for every printed page; the page numbers are
+  // in globals.css. CSS strings need quotes and backslashes escaped.
+  const cssString = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`
+  const pageStyle = `@page {
+    @top-left { content: ${cssString(`${student.name} · Well-being Report · ${rangeLabel}`)}; }
+    @bottom-left { content: ${cssString(CONFIDENTIALITY_NOTICE)}; }
+  }`
+
+  const stats = [
+    { label: 'Logs in range', value: logs.length },
+    { label: 'Feelings', value: feelingLogs.length },
+    { label: 'Sensory inputs', value: sensoryLogs.length },
+    { label: 'Interventions', value: strategies.reduce((sum, entry) => sum + entry.uses, 0) },
+    { label: 'Incidents', value: incidentLogs.length },
+    { label: 'Most common feeling', value: mostCommonFeeling ? mostCommonFeeling.name : 'None' },
+    { label: 'Logs today', value: quickStats.todayTotal },
+    { label: 'Most common mood today', value: quickStats.mostCommonMoodToday },
+    { label: 'Logs this week', value: quickStats.weekTotal }
+  ]
+
+  const section = (title, children) => (
+    <section className="report-section mb-8">
+      <h2 className="text-lg font-bold border-b border-gray-300 pb-1 mb-3">{title}</h2>
+      {children}
+    </section>
+  )
+
+  return createPortal(
+    <div className="print-report fixed inset-0 z-50 overflow-y-auto bg-gray-900">
+      <style>{pageStyle}</style>
+
+      <div className="report-toolbar sticky top-0 z-10 flex flex-wrap items-center gap-4 bg-gray-800 border-b border-gray-700 px-6 py-3 text-white">
+        <span className="font-semibold">Report preview</span>
+        <label className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+          From
+          <input type="date" value={fromDate} max={toDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+          To
+          <input type="date" value={toDate} min={fromDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+        </label>
+        {student.savedInsight && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={includeInsight} onChange={(e) => setIncludeInsight(e.target.checked)} />
+            Include saved AI insight
+          </label>
+        )}
+        <div className="ml-auto flex gap-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500 transition-colors">
+            Close
+          </button>
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity"
+          >
+            Print / Save as PDF
+          </button>
+        </div>
+      </div>
+
+      <article className="report-page mx-auto my-8 bg-white text-gray-900 p-10 shadow-2xl">
+        <header className="mb-8">
+          <h1 className="text-2xl font-bold">{student.name}: Well-being Report</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            {rangeLabel} · Generated {format(generatedAt, 'MMM d, yyyy h:mm a')}
+          </p>
+        </header>
+
+        {section('Summary', (
+          <dl className="grid grid-cols-4 gap-3">
+            {stats.map(stat => (
+              <div key={stat.label} className="border border-gray-300 rounded-md p-2">
+                <dt className="text-xs text-gray-600">{stat.label}</dt>
+                <dd className="text-lg font-semibold">{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+        ))}
+
+        {section('Alerts', alerts.length === 0 ? (
+          <p className="text-sm text-gray-600">No current alerts.</p>
+        ) : (
+          <ul className="list-disc list-inside text-sm space-y-1">
+            {alerts.map((alert, index) => (
+              <li key={index}>
+                <span className="font-medium">{alert.type === 'warning' ? 'Warning' : 'Note'}:</span> {alert.message}
+              </li>
+            ))}
+          </ul>
+        ))}
+
+        <div className="grid grid-cols-2 gap-6">
+          {section('Feelings', <FeelingsChart data={processFeelingsData(logs)} emotions={emotions} />)}
+          {section('Sensory Inputs', <SensoryChart data={processSensoryData(logs)} />)}
+        </div>
+        {section('Moods by Time of Day', <TimeOfDayChart data={feelingLogs} emotions={emotions} />)}
+        {strategies.length > 0 && section('Interventions', (
+          <ul className="list-disc list-inside text-sm space-y-1">
+            {strategies.map(entry => (
+              <li key={entry.strategy}>
+                <span className="font-medium">{entry.strategy}</span>: used {entry.uses}×
+                {entry.rated > 0 && `, helped ${entry.helped} of ${entry.rated} rated`}
+                {entry.followed > 0 && `, followed by a positive feeling within an hour ${Math.round(entry.positiveMoodRate * 100)}% of the time`}
+              </li>
+            ))}
+          </ul>
+        ))}
+        {incidentLogs.length > 0 && section('Incidents', (
+          <div className="grid grid-cols-2 gap-6 text-sm">
+            {[
+              ['Most frequent antecedents', getTopAntecedents(logs).map(({ label, count }) => `${label} (${count})`)],
+              ['What de-escalated incidents', getDeescalatingConsequences(logs).map(({ label, deescalated, recorded }) => `${label} (worked ${deescalated} of ${recorded})`)]
+            ].map(([title, items]) => (
+              <div key={title}>
+                <h3 className="font-semibold mb-1">{title}</h3>
+                {items.length === 0 ? (
+                  <p className="text-gray-600">None recorded.</p>
+                ) : (
+                  <ul className="list-disc list-inside space-y-1">
+                    {items.map(item => <li key={item}>{item}</li>)}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+        {section('Moods by School Subject', <ScheduleAnalytics logs={logs} schedule={student.schedule} emotions={emotions} />)}
+
+        {includeInsight && student.savedInsight && section('AI Insight', (
+          <>
+            <p className="text-xs text-gray-600 mb-2">
+              Generated {format(new Date(student.savedInsight.savedAt), 'MMM d, yyyy')}; review before sharing.
+            </p>
+            <div className="text-sm whitespace-pre-wrap">{student.savedInsight.text}</div>
+          </>
+        ))}
+
+        <footer className="mt-10 pt-3 border-t border-gray-300 text-xs text-gray-600">
+          {CONFIDENTIALITY_NOTICE}
+        </footer>
+      </article>
+    </div>,
+    document.body
+  )
+}
+
+export default StudentReport
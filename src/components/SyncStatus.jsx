@@ -0,0 +1,156 @@
+import React, { useState, useSyncExternalStore } from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+
+// Human-readable explanations for conflicts that are not about a single field
+const CONFLICT_REASONS = {
+  'deleted': 'was deleted on another device, so this change was discarded',
+  'student-deleted': 'belongs to a student deleted on another device, so it was discarded',
+  'student-missing': 'belongs to a student the server does not know, so it was discarded',
+  'deleted-while-edited': 'was deleted here after being edited on another device'
+}
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(empty)'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Describes the record a conflict refers to using current data where possible
+const describeRecord = (conflict, students) => {
+  const studentId = conflict.kind === 'student' ? conflict.id : conflict.studentId
+  const student = students.find(s => String(s.id) === String(studentId))
+  const studentName = student?.name || conflict.localValue?.name || conflict.serverValue?.name || 'Unknown student'
+  if (conflict.kind === 'student') return studentName
+  const log = student?.logs.find(l => String(l.id) === String(conflict.id))
+  const logLabel = log?.value || log?.category || conflict.localValue?.value || 'log'
+  return `${studentName} – ${logLabel}`
+}
+
+/**
+ * Shows offline-sync progress and lets staff review conflicting edits.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.client - Sync client from `createSyncClient`
+ * @param {Array} props.students - Current students (used to label conflicts)
+ */
+function SyncStatus({ client, students }) {
+  const status = useSyncExternalStore(client.subscribe, client.getStatus)
+  const [isConflictsOpen, setIsConflictsOpen] = useState(false)
+
+  let label
+  let dotClass
+  if (status.state === 'syncing') {
+    label = 'Syncing…'
+    dotClass = 'bg-blue-400 animate-pulse'
+  } else if (status.state === 'offline') {
+    label = status.pending > 0 ? `Offline – ${status.pending} pending` : 'Offline'
+    dotClass = 'bg-gray-400'
+  } else if (status.state === 'error') {
+    label = 'Sync error'
+    dotClass = 'bg-red-500'
+  } else if (status.pending > 0) {
+    label = `${status.pending} pending`
+    dotClass = 'bg-yellow-400'
+  } else {
+    label = 'Synced'
+    dotClass = 'bg-green-400'
+  }
+
+  return (
+    <div className="space-y-2 text-xs text-[var(--text-secondary)]">
+      <div className="flex items-center justify-between gap-2">
+        <div
+          className="flex items-center gap-2"
+          title={status.error || (status.lastSyncedAt ? `Last synced ${format(new Date(status.lastSyncedAt), 'MMM d, h:mm a')}` : 'Not synced yet')}
+        >
+          <span className={`inline-block w-2 h-2 rounded-full ${dotClass}`} />
+          <span>{label}</span>
+        </div>
+        <button
+          onClick={() => client.syncNow()}
+          disabled={status.state === 'syncing'}
+          className="underline hover:text-[var(--text-primary)] disabled:opacity-50"
+        >
+          Sync now
+        </button>
+      </div>
+      {status.conflicts.length > 0 && (
+        <button
+          onClick={() => setIsConflictsOpen(true)}
+          className="w-full text-left px-3 py-2 rounded-md bg-yellow-900/30 border border-yellow-700 text-yellow-300 hover:bg-yellow-900/50"
+        >
+          {status.conflicts.length} sync conflict{status.conflicts.length === 1 ? '' : 's'} to review
+        </button>
+      )}
+
+      <Modal isOpen={isConflictsOpen} onClose={() => setIsConflictsOpen(false)}>
+        <div className="text-white">
+          <h2 className="text-xl font-bold mb-2">Sync Conflicts</h2>
+          <p className="text-sm text-[var(--text-secondary)] mb-4">
+            These records were changed on more than one device. The newest change was kept
+            automatically; choose which value should stay.
+          </p>
+          {status.conflicts.length === 0 ? (
+            <p className="text-sm text-[var(--text-secondary)]">No conflicts left to review.</p>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {status.conflicts.map(conflict => (
+                <div key={conflict.conflictId} className="bg-gray-800 rounded-lg p-3 text-sm">
+                  <p className="font-semibold">{describeRecord(conflict, students)}</p>
+                  {conflict.field ? (
+                    <>
+                      <p className="text-[var(--text-secondary)] mt-1">
+                        Field: <span className="text-white">{conflict.field}</span>
+                      </p>
+                      <div className="grid grid-cols-2 gap-2 mt-2">
+                        <div className={`p-2 rounded ${conflict.winner === 'local' ? 'bg-green-900/30' : 'bg-gray-700/50'}`}>
+                          <p className="text-xs text-[var(--text-secondary)]">This device</p>
+                          <p className="break-words">{formatValue(conflict.localValue)}</p>
+                        </div>
+                        <div className={`p-2 rounded ${conflict.winner === 'server' ? 'bg-green-900/30' : 'bg-gray-700/50'}`}>
+                          <p className="text-xs text-[var(--text-secondary)]">Other device</p>
+                          <p className="break-words">{formatValue(conflict.serverValue)}</p>
+                        </div>
+                      </div>
+                      <div className="flex justify-end gap-2 mt-3">
+                        <button
+                          onClick={() => client.resolveConflict(conflict.conflictId, 'local')}
+                          className="px-3 py-1.5 rounded-md text-xs font-medium bg-gray-600 hover:bg-gray-500 transition-colors"
+                        >
+                          Keep this device's
+                        </button>
+                        <button
+                          onClick={() => client.resolveConflict(conflict.conflictId, 'server')}
+                          className="px-3 py-1.5 rounded-md text-xs font-medium bg-gray-600 hover:bg-gray-500 transition-colors"
+                        >
+                          Keep other device's
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-[var(--text-secondary)] mt-1">
+                        This {conflict.kind} {CONFLICT_REASONS[conflict.reason] || 'could not be synced'}.
+                      </p>
+                      <div className="flex justify-end mt-3">
+                        <button
+                          onClick={() => client.resolveConflict(conflict.conflictId, 'dismiss')}
+                          className="px-3 py-1.5 rounded-md text-xs font-medium bg-gray-600 hover:bg-gray-500 transition-colors"
+                        >
+                          Dismiss
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Modal>
+    </div>
+  )
+}
+
+export default SyncStatus
@@ -1,8 +1,9 @@
 import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { getMoodColor } from '../utils/analyticsHelpers';
+import { getLogTimestamp } from '../utils/logModel';
 
-const TimeOfDayChart = ({ data }) => {
+const TimeOfDayChart = ({ data, emotions }) => {
   if (!data || data.length === 0) {
     return <p className="text-center text-[var(--text-secondary)]">No data available for time of day analysis.</p>;
   }
@@ -15,13 +16,6 @@ const TimeOfDayChart = ({ data }) => {
   };
 
   data.forEach(log => {
-    // Helper function to get timestamp from log (handles both old and new formats)
-    const getLogTimestamp = (log) => {
-      if (typeof log.timestamp === 'number') return log.timestamp;
-      if (typeof log.timestamp === 'string') return new Date(log.timestamp).getTime();
-      return typeof log.id === 'number' ? log.id : new Date(log.id).getTime();
-    }
-    
     const logDate = new Date(getLogTimestamp(log));
     const hour = logDate.getHours();
     for (const segment in timeSegments) {
@@ -55,7 +49,7 @@ const TimeOfDayChart = ({ data }) => {
         />
         <Legend />
         {moods.map(mood => (
-          <Bar key={mood} dataKey={mood} stackId="a" fill={getMoodColor(mood)} />
+          <Bar key={mood} dataKey={mood} stackId="a" fill={getMoodColor(mood, emotions)} />
         ))}
       </BarChart>
     </ResponsiveContainer>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { getMoodColor, getSensoryColor } from '../utils/analyticsHelpers';
+import { DEFAULT_EMOTIONS } from '../utils/emotions';
 import { format } from 'date-fns';
 
 /**
@@ -23,6 +24,7 @@ import { format } from 'date-fns';
  * @param {string} props.data[].value - For feelings: emotion name (Happy, Sad, etc.)
  * @param {string} props.data[].category - For sensory: category (Visual, Auditory, Tactile)
  * @param {number|string} props.data[].timestamp - When the log was recorded
+ * @param {Array<Object>} [props.emotions] - Student's emotion vocabulary, for colors
  * 
  * @returns {JSX.Element} Scatter chart visualization or empty state message
  * 
@@ -33,7 +35,7 @@ import { format } from 'date-fns';
  * ];
  * return <TimeStateCorrelation data={studentLogs} />;
  */
-const TimeStateCorrelation = ({ data }) => {
+const TimeStateCorrelation = ({ data, emotions = DEFAULT_EMOTIONS }) => {
   if (!data || data.length === 0) {
     return <p className="text-center text-[var(--text-secondary)]">No data for correlation analysis.</p>;
   }
@@ -48,7 +50,7 @@ const TimeStateCorrelation = ({ data }) => {
     // Determine display properties based on log type
     if (log.type === 'feeling') {
       name = log.value;
-      color = getMoodColor(log.value);
+      color = getMoodColor(log.value, emotions);
     } else {
       name = log.category;
       color = getSensoryColor(log.category);
@@ -114,7 +116,7 @@ const TimeStateCorrelation = ({ data }) => {
         <Legend />
         
         {/* Separate scatter series for feelings and sensory data for better visual distinction */}
-        <Scatter name="Feelings" data={chartData.filter(d => d.type === 'feeling')} fill={getMoodColor('Happy')} />
+        <Scatter name="Feelings" data={chartData.filter(d => d.type === 'feeling')} fill={emotions[0].color} />
         <Scatter name="Sensory" data={chartData.filter(d => d.type === 'sensory')} fill={getSensoryColor('Visual')} />
       </ScatterChart>
     </ResponsiveContainer>
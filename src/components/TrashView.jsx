@@ -0,0 +1,159 @@
+import React, { useState } from 'react'
+import { format, formatDistanceToNow } from 'date-fns'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { getExpiryTime } from '../utils/trash'
+import { describeLog } from '../utils/logModel'
+
+const MIN_RETENTION_DAYS = 1
+const MAX_RETENTION_DAYS = 365
+
+/**
+ * Trash view listing soft-deleted students and logs.
+ * Items can be restored or permanently deleted, and expire automatically
+ * after the configured number of days.
+ * @param {Object} props - Component props
+ * @param {Array} props.trashedStudents - Trashed students
+ * @param {Array} props.trashedLogs - Trashed logs as `{ student, log }` pairs
+ * @param {number} props.retentionDays - Days before trashed items are purged
+ * @param {Function} props.onChangeRetention - Callback with the new number of days
+ * @param {Function} props.onRestoreStudent - Callback to restore a student by ID
+ * @param {Function} props.onRestoreLog - Callback to restore a log (studentId, logId)
+ * @param {Function} props.onPurgeStudent - Callback to permanently delete a student by ID
+ * @param {Function} props.onPurgeLog - Callback to permanently delete a log (studentId, logId)
+ */
+function TrashView({
+  trashedStudents,
+  trashedLogs,
+  retentionDays,
+  onChangeRetention,
+  onRestoreStudent,
+  onRestoreLog,
+  onPurgeStudent,
+  onPurgeLog
+}) {
+  // Edited as text so the field can be cleared while typing
+  const [retentionInput, setRetentionInput] = useState(String(retentionDays))
+
+  const handleRetentionSubmit = (e) => {
+    e.preventDefault()
+    const days = parseInt(retentionInput, 10)
+    if (Number.isNaN(days)) {
+      setRetentionInput(String(retentionDays))
+      return
+    }
+    const clamped = Math.min(MAX_RETENTION_DAYS, Math.max(MIN_RETENTION_DAYS, days))
+    setRetentionInput(String(clamped))
+    if (clamped !== retentionDays) onChangeRetention(clamped)
+  }
+
+  const renderTimes = (record) => (
+    <p className="text-xs text-[var(--text-secondary)] mt-1">
+      Deleted {format(new Date(record.trashedAt), 'MMM d, h:mm a')} · permanently deleted{' '}
+      {formatDistanceToNow(new Date(getExpiryTime(record, retentionDays)), { addSuffix: true })}
+    </p>
+  )
+
+  const renderActions = (onRestore, onPurge) => (
+    <div className="flex gap-2 shrink-0">
+      <button
+        onClick={onRestore}
+        className="px-3 py-1.5 rounded-md text-xs font-medium bg-gray-600 hover:bg-gray-500 transition-colors"
+      >
+        Restore
+      </button>
+      <button
+        onClick={onPurge}
+        className="px-3 py-1.5 rounded-md text-xs font-medium bg-red-600 hover:bg-red-500 transition-colors"
+      >
+        Delete forever
+      </button>
+    </div>
+  )
+
+  const isEmpty = trashedStudents.length === 0 && trashedLogs.length === 0
+
+  return (
+    <main className="flex-1 p-10 overflow-y-auto">
+      <header className="mb-10">
+        <h2 className="text-4xl font-bold text-white">Trash</h2>
+        <p className="text-lg text-[var(--text-secondary)] mt-1">
+          Deleted students and logs are kept here for {retentionDays} day{retentionDays === 1 ? '' : 's'} before
+          they are removed permanently.
+        </p>
+      </header>
+
+      <form onSubmit={handleRetentionSubmit} className="flex items-center gap-3 mb-8 text-sm text-[var(--text-secondary)]">
+        <label htmlFor="trash-retention">Keep deleted items for</label>
+        <input
+          id="trash-retention"
+          type="number"
+          min={MIN_RETENTION_DAYS}
+          max={MAX_RETENTION_DAYS}
+          value={retentionInput}
+          onChange={(e) => setRetentionInput(e.target.value)}
+          onBlur={handleRetentionSubmit}
+          className="w-20 bg-[var(--input-background)] border border-gray-600 rounded-md px-3 py-1.5 text-white focus:outline-none focus:ring-1 focus:ring-[var(--accent-gradient-start)]"
+        />
+        <span>days</span>
+      </form>
+
+      {isEmpty ? (
+        <p className="text-center text-gray-500 py-20">The Trash is empty</p>
+      ) : (
+        <div className="space-y-8">
+          {trashedStudents.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-xl">Students</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-3">
+                  {trashedStudents.map(student => (
+                    <div key={student.id} className="flex justify-between items-center gap-4 p-4 bg-gray-800 rounded-lg">
+                      <div>
+                        <p className="font-medium text-white">{student.name}</p>
+                        <p className="text-sm text-[var(--text-secondary)]">
+                          {student.logs.length} log{student.logs.length === 1 ? '' : 's'}
+                        </p>
+                        {renderTimes(student)}
+                      </div>
+                      {renderActions(() => onRestoreStudent(student.id), () => onPurgeStudent(student.id))}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {trashedLogs.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-xl">Logs</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-3">
+                  {trashedLogs.map(({ student, log }) => (
+                    <div key={`${student.id}-${log.id}`} className="flex justify-between items-center gap-4 p-4 bg-gray-800 rounded-lg">
+                      <div>
+                        <p className="font-medium text-white">{describeLog(log)}</p>
+                        <p className="text-sm text-[var(--text-secondary)]">
+                          {student.name}
+                          {log.timestamp ? ` · logged ${format(new Date(log.timestamp), 'MMM d, h:mm a')}` : ''}
+                        </p>
+                        {log.notes && <p className="text-sm text-[var(--text-secondary)]">{log.notes}</p>}
+                        {renderTimes(log)}
+                      </div>
+                      {renderActions(() => onRestoreLog(student.id, log.id), () => onPurgeLog(student.id, log.id))}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      )}
+    </main>
+  )
+}
+
+export default TrashView
@@ -0,0 +1,64 @@
+import React, { useState } from 'react'
+import { ENCRYPTION_ERRORS } from '../storage/crypto'
+
+/**
+ * Full-screen prompt for the passphrase protecting encrypted student data.
+ * Nothing is loaded (not even demo data) until the right passphrase is entered.
+ * @param {Object} props - Component props
+ * @param {Function} props.onUnlock - Called with the passphrase; returns a
+ *   promise that rejects if the data could not be unlocked
+ */
+function UnlockScreen({ onUnlock }) {
+  const [passphrase, setPassphrase] = useState('')
+  const [error, setError] = useState(null)
+  const [isUnlocking, setIsUnlocking] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!passphrase) return
+    setIsUnlocking(true)
+    setError(null)
+    try {
+      await onUnlock(passphrase)
+    } catch (err) {
+      setError(err.code === ENCRYPTION_ERRORS.WRONG_PASSPHRASE
+        ? 'Incorrect passphrase. Please try again.'
+        : `Could not unlock data: ${err.message}`)
+      setPassphrase('')
+      setIsUnlocking(false)
+    }
+  }
+
+  return (
+    <div className="flex h-screen items-center justify-center p-10">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-[#1F2937] rounded-xl p-6 shadow-2xl border border-gray-700 text-white">
+        <h1 className="text-2xl font-bold mb-2">Dashboard Locked</h1>
+        <p className="text-sm text-[var(--text-secondary)] mb-6">
+          Student data on this device is encrypted. Enter the staff passphrase to continue.
+        </p>
+        <label className="block text-sm font-medium text-[var(--text-secondary)] mb-2" htmlFor="unlock-passphrase">
+          Passphrase
+        </label>
+        <input
+          id="unlock-passphrase"
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className="w-full bg-[var(--input-background)] border-none rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-inset focus:ring-[var(--accent-gradient-start)]"
+        />
+        {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
+        <button
+          type="submit"
+          disabled={isUnlocking || !passphrase}
+          className="w-full mt-6 text-white font-semibold py-2 px-4 rounded-md bg-gradient-to-r from-[var(--accent-gradient-start)] to-[var(--accent-gradient-end)] hover:opacity-90 transition-opacity duration-200 disabled:opacity-50"
+        >
+          {isUnlocking ? 'Unlocking...' : 'Unlock'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default UnlockScreen
@@ -0,0 +1,146 @@
+/**
+ * Encryption at Rest
+ *
+ * Optional passphrase encryption for data stored in this browser, built on
+ * WebCrypto: a 256-bit AES-GCM key is derived from the staff passphrase with
+ * PBKDF2 (SHA-256) and a random salt. The passphrase itself is never stored.
+ *
+ * An encryption config (`{ salt, iterations, verifier }`) is stored next to
+ * the data it protects. The verifier is a known value encrypted with the key,
+ * so a wrong passphrase is detected before any record is read.
+ *
+ * @module crypto
+ */
+
+const PBKDF2_ITERATIONS = 310000
+const SALT_BYTES = 16
+const IV_BYTES = 12
+const VERIFIER_TEXT = 'kre-dashboard'
+
+export const ENCRYPTION_ERRORS = {
+  // Data is encrypted and no passphrase was given
+  LOCKED: 'locked',
+  // The passphrase does not match the stored encryption config
+  WRONG_PASSPHRASE: 'wrong-passphrase'
+}
+
+/**
+ * Creates an Error carrying one of the `ENCRYPTION_ERRORS` codes.
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with a `code` property
+ */
+export const encryptionError = (code, message) => Object.assign(new Error(message), { code })
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  )
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Encrypts any JSON-serializable value.
+ *
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+ */
+export const encryptJson = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  )
+  return { iv: toBase64(iv), data: toBase64(data) }
+}
+
+/**
+ * Decrypts a value produced by `encryptJson`.
+ *
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {{iv: string, data: string}} payload - Encrypted value
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export const decryptJson = async (key, payload) => {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data)
+  )
+  return JSON.parse(new TextDecoder().decode(plain))
+}
+
+/**
+ * Sets up encryption with a new passphrase.
+ *
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<{key: CryptoKey, config: Object}>} Key plus the config to store
+ */
+export const createEncryption = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS)
+  const config = {
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    verifier: await encryptJson(key, VERIFIER_TEXT)
+  }
+  return { key, config }
+}
+
+/**
+ * Derives the key for stored data and checks it against the config.
+ *
+ * @param {string} passphrase - Passphrase entered by staff
+ * @param {Object} config - Stored encryption config
+ * @returns {Promise<CryptoKey>} Key for the stored data
+ * @throws {Error} With code `wrong-passphrase` if the passphrase does not match
+ */
+export const openEncryption = async (passphrase, config) => {
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations)
+  try {
+    if (await decryptJson(key, config.verifier) === VERIFIER_TEXT) return key
+  } catch {
+    // AES-GCM authentication fails for a wrong key
+  }
+  throw encryptionError(ENCRYPTION_ERRORS.WRONG_PASSPHRASE, 'Incorrect passphrase')
+}
+
+/**
+ * Encrypts a record, keeping only the fields storage needs in plain text
+ * (keys and index fields).
+ *
+ * @param {CryptoKey|null} key - Active key, or null when encryption is off
+ * @param {Object} record - Record to store
+ * @param {Array<string>} plainFields - Fields left unencrypted
+ * @returns {Promise<Object>} Record as stored
+ */
+export const encryptRecord = async (key, record, plainFields) => {
+  if (!key) return record
+  const stored = {}
+  plainFields.forEach(field => { stored[field] = record[field] })
+  stored.encrypted = await encryptJson(key, record)
+  return stored
+}
+
+/**
+ * Reverses `encryptRecord`. Plain records pass through unchanged.
+ *
+ * @param {CryptoKey|null} key - Active key
+ * @param {Object} stored - Record as stored
+ * @returns {Promise<Object>} Original record
+ * @throws {Error} With code `locked` if the record is encrypted and no key is set
+ */
+export const decryptRecord = async (key, stored) => {
+  if (!stored.encrypted) return stored
+  if (!key) throw encryptionError(ENCRYPTION_ERRORS.LOCKED, 'Stored data is encrypted')
+  return decryptJson(key, stored.encrypted)
+}
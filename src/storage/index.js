@@ -0,0 +1,79 @@
+/**
+ * Storage Adapters
+ *
+ * All persistence goes through a storage adapter so the app can run against
+ * this browser's storage or a shared backend without changes to components.
+ *
+ * The backend is selected at build time via environment variables:
+ * - `VITE_STORAGE_BACKEND=local` (default) – IndexedDB/localStorage in this browser
+ * - `VITE_STORAGE_BACKEND=rest` – shared REST server at `VITE_API_URL`
+ *
+ * Setting `VITE_SYNC_URL` additionally syncs the local backend with a sync
+ * endpoint (see syncClient.js), so several devices share data while each
+ * keeps working offline.
+ *
+ * Whatever the backend, writes are broadcast to other open tabs (see
+ * tabSync.js) so every tab shows the same data.
+ *
+ * @module storage
+ */
+
+import { createLocalAdapter } from './localAdapter'
+import { createRestAdapter } from './restAdapter'
+import { createSyncClient } from './syncClient'
+import { withSync } from './syncAdapter'
+import { createTabChannel, withTabSync } from './tabSync'
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend identifier ('local' or 'rest')
+ * @property {function({seedStudents: Array<Object>, passphrase?: string}): Promise<Array<Object>>} load -
+ *   Loads all students (with nested logs and schedule). Must be called first.
+ *   Rejects with `code: 'locked'` or `code: 'wrong-passphrase'` when the data
+ *   is encrypted and the passphrase is missing or wrong.
+ * @property {function(Array<Object>): Promise<void>} save - Replaces the whole dataset
+ * @property {function(Object): Promise<void>} addStudent - Stores a student (replacing
+ *   any stored student with the same ID)
+ * @property {function(number|string, Object): Promise<void>} updateStudent - Merges student fields
+ * @property {function(number|string): Promise<void>} deleteStudent - Removes a student and their data
+ * @property {function(number|string, Object): Promise<void>} addLog - Stores a log for a
+ *   student (replacing any stored log with the same ID)
+ * @property {function(number|string, number|string, Object): Promise<void>} updateLog - Merges log fields
+ * @property {function(number|string, number|string): Promise<void>} deleteLog - Removes a log
+ * @property {function(number|string, Array<Object>): Promise<void>} saveSchedule - Replaces a schedule
+ * @property {function(): Promise<boolean>} [isEncrypted] - Whether stored data is
+ *   passphrase-encrypted (browser-local backend only)
+ * @property {function(string|null, string|null): Promise<void>} [changePassphrase] -
+ *   Re-encrypts all data with a new passphrase, or decrypts it when the new
+ *   passphrase is null (browser-local backend only)
+ * @property {function(): (CryptoKey|null)} [getEncryptionKey] - Key for this
+ *   session while the data is encrypted, so the undo history and the sync
+ *   outbox can be encrypted with it (browser-local backend only)
+ * @property {Object} [sync] - Sync client, present when offline sync is enabled
+ * @property {function(function(Object): void): function(): void} [onOtherTabChange] -
+ *   Subscribes to writes made in other tabs, received as `{ method, args }`
+ */
+
+const DEFAULT_API_URL = 'http://localhost:3001/api'
+
+/**
+ * Creates the storage adapter configured for this build.
+ *
+ * @returns {StorageAdapter} Configured storage adapter
+ */
+export const createStorageAdapter = () => {
+  const backend = import.meta.env.VITE_STORAGE_BACKEND || 'local'
+  const channel = createTabChannel()
+
+  if (backend === 'rest') {
+    return withTabSync(createRestAdapter({ baseUrl: import.meta.env.VITE_API_URL || DEFAULT_API_URL }), channel)
+  }
+  if (backend !== 'local') {
+    console.warn(`Unknown VITE_STORAGE_BACKEND "${backend}", using local storage`)
+  }
+  const local = withTabSync(createLocalAdapter(), channel)
+  const syncUrl = import.meta.env.VITE_SYNC_URL
+  if (!syncUrl) return local
+  // Changes pulled from other devices go through the tab channel as well
+  return withSync(local, createSyncClient({ endpoint: syncUrl, base: local }))
+}
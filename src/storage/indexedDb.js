@@ -0,0 +1,538 @@
+/**
+ * IndexedDB Storage Backend
+ *
+ * Persists students, logs and schedules as individual records instead of one
+ * large JSON blob in localStorage. Writing a single log therefore touches a
+ * single record, which keeps saves fast after a full school year of data and
+ * avoids the ~5MB localStorage quota.
+ *
+ * Database layout (`kre-dashboard`):
+ * - `students`  – one record per student (without logs/schedule), keyed by `id`
+ * - `logs`      – one record per log, keyed by `[studentId, id]` (log ids are
+ *                 only unique per student), with indexes on `studentId`,
+ *                 `timestamp` and both combined
+ * - `schedules` – one record per student schedule, keyed by `studentId`
+ * - `meta`      – key/value pairs such as the stored schema version and the
+ *                 encryption config
+ * - `snapshots` / `snapshotData` – restore points (see snapshots.js): small
+ *                 metadata records and the full datasets they refer to
+ *
+ * On first run, any existing `kre-students` data in localStorage is imported
+ * (and migrated to the current schema) so no data is lost in the switch.
+ *
+ * When a passphrase is set (see crypto.js), each record is stored as its keys
+ * plus an `encrypted` payload; the `timestamp` index is then left empty since
+ * timestamps are encrypted too.
+ *
+ * @module indexedDb
+ */
+
+import { SCHEMA_VERSION, readEnvelope, migrateStudents } from './migrations'
+import { createSnapshotApi } from './snapshots'
+import {
+  ENCRYPTION_ERRORS,
+  encryptionError,
+  createEncryption,
+  openEncryption,
+  encryptRecord,
+  decryptRecord
+} from './crypto'
+
+const DB_NAME = 'kre-dashboard'
+const DB_VERSION = 3
+const LEGACY_STORAGE_KEY = 'kre-students'
+
+export const STORES = {
+  STUDENTS: 'students',
+  LOGS: 'logs',
+  SCHEDULES: 'schedules',
+  META: 'meta',
+  SNAPSHOTS: 'snapshots',
+  SNAPSHOT_DATA: 'snapshotData'
+}
+
+// Fields each store keeps in plain text when records are encrypted
+const PLAIN_FIELDS = {
+  [STORES.STUDENTS]: ['id'],
+  [STORES.LOGS]: ['id', 'studentId'],
+  [STORES.SCHEDULES]: ['studentId'],
+  [STORES.SNAPSHOT_DATA]: ['id']
+}
+
+let dbPromise = null
+// Key for the stored records once unlocked; null while encryption is off
+let activeKey = null
+
+// Encryption makes writes async between reading and writing, which IndexedDB
+// transactions do not survive, so writes are queued instead to keep them
+// from interleaving within this page
+let writeQueue = Promise.resolve()
+const queued = (operation) => {
+  const result = writeQueue.then(operation)
+  writeQueue = result.catch(() => {})
+  return result
+}
+
+const encode = (storeName, record, key = activeKey) => encryptRecord(key, record, PLAIN_FIELDS[storeName])
+const decode = (stored) => decryptRecord(activeKey, stored)
+
+// Wraps an IDBRequest in a promise that resolves with its result
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Resolves once a transaction has committed, so callers know data is on disk
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+})
+
+const createLogStore = (db) => {
+  const logs = db.createObjectStore(STORES.LOGS, { keyPath: ['studentId', 'id'] })
+  logs.createIndex('studentId', 'studentId')
+  logs.createIndex('timestamp', 'timestamp')
+  logs.createIndex('studentId_timestamp', ['studentId', 'timestamp'])
+  return logs
+}
+
+/**
+ * Opens (and on first use creates/upgrades) the dashboard database.
+ * The connection is cached for the lifetime of the page.
+ *
+ * @returns {Promise<IDBDatabase>} Open database connection
+ * @throws {Error} If IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORES.STUDENTS)) {
+        db.createObjectStore(STORES.STUDENTS, { keyPath: 'id' })
+      }
+      if (db.objectStoreNames.contains(STORES.LOGS) && event.oldVersion < 3) {
+        // Version 2 keyed logs by `id` alone, so the same log id under two
+        // students overwrote each other. Copy the records into a store keyed
+        // by both (the keys stay plain text in encrypted records).
+        const oldLogs = request.transaction.objectStore(STORES.LOGS).getAll()
+        oldLogs.onsuccess = () => {
+          db.deleteObjectStore(STORES.LOGS)
+          const logs = createLogStore(db)
+          oldLogs.result.forEach(record => logs.put(record))
+        }
+      } else if (!db.objectStoreNames.contains(STORES.LOGS)) {
+        createLogStore(db)
+      }
+      if (!db.objectStoreNames.contains(STORES.SCHEDULES)) {
+        db.createObjectStore(STORES.SCHEDULES, { keyPath: 'studentId' })
+      }
+      if (!db.objectStoreNames.contains(STORES.META)) {
+        db.createObjectStore(STORES.META, { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' })
+      }
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOT_DATA)) {
+        db.createObjectStore(STORES.SNAPSHOT_DATA, { keyPath: 'id' })
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+// Splits an in-memory student into its separately stored parts
+const splitStudent = (student) => {
+  const { logs = [], schedule, ...record } = student
+  return {
+    record,
+    logs: logs.map(log => ({ ...log, studentId: student.id })),
+    schedule: schedule ? { studentId: student.id, periods: schedule } : null
+  }
+}
+
+// Newest first, matching the order the UI has always shown logs in.
+// Records without a resolvable timestamp (flagged by migration) sort last.
+const byTimestampDesc = (a, b) => (b.timestamp ?? -Infinity) - (a.timestamp ?? -Infinity)
+
+/**
+ * Reads the whole dataset as stored (possibly encrypted).
+ *
+ * @returns {Promise<Object>} Raw records, the schema version recorded in the
+ *   database (null if empty) and the encryption config (null if off)
+ */
+const readAll = async () => {
+  const db = await openDatabase()
+  const tx = db.transaction([STORES.STUDENTS, STORES.LOGS, STORES.SCHEDULES, STORES.META], 'readonly')
+  const [studentRecords, logRecords, scheduleRecords, versionRecord, encryptionRecord] = await Promise.all([
+    requestToPromise(tx.objectStore(STORES.STUDENTS).getAll()),
+    requestToPromise(tx.objectStore(STORES.LOGS).getAll()),
+    requestToPromise(tx.objectStore(STORES.SCHEDULES).getAll()),
+    requestToPromise(tx.objectStore(STORES.META).get('schemaVersion')),
+    requestToPromise(tx.objectStore(STORES.META).get('encryption'))
+  ])
+
+  return {
+    records: { studentRecords, logRecords, scheduleRecords },
+    schemaVersion: versionRecord ? versionRecord.value : null,
+    encryption: encryptionRecord ? encryptionRecord.value : null
+  }
+}
+
+/**
+ * Decrypts raw records and reassembles the nested student objects the UI
+ * works with (`{ ...student, logs: [...], schedule }`).
+ *
+ * @param {Object} records - Raw records from `readAll`
+ * @returns {Promise<Array<Object>>} Students
+ */
+const assembleStudents = async ({ studentRecords, logRecords, scheduleRecords }) => {
+  const [studentList, logList, scheduleList] = await Promise.all([
+    Promise.all(studentRecords.map(decode)),
+    Promise.all(logRecords.map(decode)),
+    Promise.all(scheduleRecords.map(decode))
+  ])
+
+  const logsByStudent = new Map()
+  logList.forEach(({ studentId, ...log }) => {
+    if (!logsByStudent.has(studentId)) logsByStudent.set(studentId, [])
+    logsByStudent.get(studentId).push(log)
+  })
+  const schedulesByStudent = new Map(scheduleList.map(s => [s.studentId, s.periods]))
+
+  return studentList.map(student => ({
+    ...student,
+    logs: (logsByStudent.get(student.id) || []).sort(byTimestampDesc),
+    ...(schedulesByStudent.has(student.id) && { schedule: schedulesByStudent.get(student.id) })
+  }))
+}
+
+/**
+ * Writes the entire dataset in a single transaction.
+ *
+ * @param {Array<Object>} students - Students in the current schema shape
+ * @param {{key: CryptoKey, config: Object}|null} [encryption] - New encryption
+ *   to apply (null turns it off); omit to keep the current one
+ * @param {Array<Object>} [snapshotData] - Decrypted snapshot data to rewrite
+ *   with the new encryption in the same transaction
+ * @returns {Promise<void>} Resolves once the data has been committed
+ */
+const writeAll = async (students, encryption, snapshotData = []) => {
+  const key = encryption === undefined ? activeKey : encryption && encryption.key
+  const encodedSnapshots = await Promise.all(snapshotData.map(record => encode(STORES.SNAPSHOT_DATA, record, key)))
+  const parts = await Promise.all(students.map(async (student) => {
+    const { record, logs, schedule } = splitStudent(student)
+    return {
+      record: await encode(STORES.STUDENTS, record, key),
+      logs: await Promise.all(logs.map(log => encode(STORES.LOGS, log, key))),
+      schedule: schedule && await encode(STORES.SCHEDULES, schedule, key)
+    }
+  }))
+
+  const db = await openDatabase()
+  const tx = db.transaction(Object.values(STORES), 'readwrite')
+  const studentStore = tx.objectStore(STORES.STUDENTS)
+  const logStore = tx.objectStore(STORES.LOGS)
+  const scheduleStore = tx.objectStore(STORES.SCHEDULES)
+  const metaStore = tx.objectStore(STORES.META)
+
+  studentStore.clear()
+  logStore.clear()
+  scheduleStore.clear()
+
+  parts.forEach(({ record, logs, schedule }) => {
+    studentStore.put(record)
+    logs.forEach(log => logStore.put(log))
+    if (schedule) scheduleStore.put(schedule)
+  })
+  metaStore.put({ key: 'schemaVersion', value: SCHEMA_VERSION })
+  // Stored in the same transaction as the data so the config always matches it
+  if (encryption) metaStore.put({ key: 'encryption', value: encryption.config })
+  if (encryption === null) metaStore.delete('encryption')
+  encodedSnapshots.forEach(record => tx.objectStore(STORES.SNAPSHOT_DATA).put(record))
+
+  return transactionDone(tx)
+}
+
+/**
+ * Replaces the entire dataset in a single transaction. Used for the one-time
+ * localStorage import and whenever a schema migration rewrites every record.
+ *
+ * @param {Array<Object>} students - Students in the current schema shape
+ * @returns {Promise<void>} Resolves once the data has been committed
+ */
+export const replaceAll = (students) => queued(() => writeAll(students))
+
+/**
+ * Restore points stored in this database. Snapshot data is encrypted like
+ * any other record.
+ */
+export const snapshots = createSnapshotApi({
+  put: (meta, students) => queued(async () => {
+    const data = await encode(STORES.SNAPSHOT_DATA, { id: meta.id, students })
+    const db = await openDatabase()
+    const tx = db.transaction([STORES.SNAPSHOTS, STORES.SNAPSHOT_DATA], 'readwrite')
+    tx.objectStore(STORES.SNAPSHOTS).put(meta)
+    tx.objectStore(STORES.SNAPSHOT_DATA).put(data)
+    return transactionDone(tx)
+  }),
+  list: async () => {
+    const db = await openDatabase()
+    return requestToPromise(db.transaction(STORES.SNAPSHOTS, 'readonly').objectStore(STORES.SNAPSHOTS).getAll())
+  },
+  getData: async (id) => {
+    const db = await openDatabase()
+    const stored = await requestToPromise(
+      db.transaction(STORES.SNAPSHOT_DATA, 'readonly').objectStore(STORES.SNAPSHOT_DATA).get(id)
+    )
+    return stored ? (await decode(stored)).students : null
+  },
+  remove: (ids) => queued(async () => {
+    const db = await openDatabase()
+    const tx = db.transaction([STORES.SNAPSHOTS, STORES.SNAPSHOT_DATA], 'readwrite')
+    ids.forEach(id => {
+      tx.objectStore(STORES.SNAPSHOTS).delete(id)
+      tx.objectStore(STORES.SNAPSHOT_DATA).delete(id)
+    })
+    return transactionDone(tx)
+  })
+})
+
+const readSnapshotData = async () => {
+  const db = await openDatabase()
+  const records = await requestToPromise(
+    db.transaction(STORES.SNAPSHOT_DATA, 'readonly').objectStore(STORES.SNAPSHOT_DATA).getAll()
+  )
+  return Promise.all(records.map(decode))
+}
+
+/**
+ * Loads all students, performing first-run setup when needed.
+ *
+ * - Empty database with legacy localStorage data: imports and migrates it.
+ * - Empty database without legacy data: seeds the provided demo data.
+ * - Database written by an older schema: takes a `pre-migration` snapshot,
+ *   then migrates and rewrites it.
+ * - Encrypted database: unlocks it with the passphrase first. Without the
+ *   right passphrase nothing is returned, so demo data never replaces it.
+ *
+ * The legacy localStorage entry is left in place as a fallback copy until
+ * encryption is turned on.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.seedStudents - Current-shape demo data for new installs
+ * @param {string} [options.passphrase] - Passphrase for encrypted data
+ * @returns {Promise<Array<Object>>} Students in the current schema shape
+ * @throws {Error} If IndexedDB is unavailable, the legacy data is unreadable,
+ *   or the data is encrypted and the passphrase is missing (`code: 'locked'`)
+ *   or wrong (`code: 'wrong-passphrase'`)
+ */
+export const loadStudents = async ({ seedStudents, passphrase }) => {
+  const { records, schemaVersion, encryption } = await readAll()
+
+  if (encryption) {
+    if (!passphrase) throw encryptionError(ENCRYPTION_ERRORS.LOCKED, 'Student data is encrypted')
+    activeKey = await openEncryption(passphrase, encryption)
+  }
+  const students = await assembleStudents(records)
+
+  if (schemaVersion === null) {
+    const legacy = localStorage.getItem(LEGACY_STORAGE_KEY)
+    // Let parse errors propagate: seeding demo data over unreadable legacy
+    // data would hide it from the user.
+    if (!legacy) {
+      await replaceAll(seedStudents)
+      return seedStudents
+    }
+    const { version, students: legacyStudents } = readEnvelope(JSON.parse(legacy))
+    if (version < SCHEMA_VERSION) await snapshots.create('pre-migration', legacyStudents, version)
+    const imported = migrateStudents(legacyStudents, version)
+    await replaceAll(imported)
+    return imported
+  }
+
+  if (schemaVersion < SCHEMA_VERSION) {
+    await snapshots.create('pre-migration', students, schemaVersion)
+    const migrated = migrateStudents(students, schemaVersion)
+    await replaceAll(migrated)
+    return migrated
+  }
+
+  return students
+}
+
+/**
+ * Whether the stored data is encrypted with a passphrase.
+ *
+ * @returns {Promise<boolean>}
+ */
+export const isEncrypted = async () => {
+  const { encryption } = await readAll()
+  return Boolean(encryption)
+}
+
+/**
+ * Key for the stored records while unlocked, so data kept elsewhere for this
+ * session can be encrypted with it too.
+ *
+ * @returns {CryptoKey|null} Active key; null while encryption is off
+ */
+export const getEncryptionKey = () => activeKey
+
+/**
+ * Re-encrypts every record (including snapshots) with a new passphrase, or
+ * turns encryption off.
+ * Turning it on also removes the plain-text legacy localStorage copy.
+ *
+ * @param {string|null} currentPassphrase - Current passphrase (ignored when
+ *   the data is not encrypted)
+ * @param {string|null} newPassphrase - New passphrase, or null to decrypt
+ * @returns {Promise<void>}
+ * @throws {Error} With code `wrong-passphrase` if the current passphrase is wrong
+ */
+export const changePassphrase = (currentPassphrase, newPassphrase) => queued(async () => {
+  const { records, encryption } = await readAll()
+  if (encryption) await openEncryption(currentPassphrase || '', encryption)
+  const students = await assembleStudents(records)
+  const snapshotData = await readSnapshotData()
+
+  const next = newPassphrase ? await createEncryption(newPassphrase) : null
+  await writeAll(students, next, snapshotData)
+  activeKey = next ? next.key : null
+  if (next) localStorage.removeItem(LEGACY_STORAGE_KEY)
+})
+
+/**
+ * Inserts or replaces a student record. Logs and schedule are stored
+ * separately and are ignored here.
+ *
+ * @param {Object} student - Student object (may include logs/schedule)
+ * @returns {Promise<void>}
+ */
+export const putStudent = (student) => queued(async () => {
+  const record = await encode(STORES.STUDENTS, splitStudent(student).record)
+  const db = await openDatabase()
+  const tx = db.transaction(STORES.STUDENTS, 'readwrite')
+  tx.objectStore(STORES.STUDENTS).put(record)
+  return transactionDone(tx)
+})
+
+/**
+ * Applies partial changes to a stored student record.
+ *
+ * @param {number} studentId - ID of the student to update
+ * @param {Object} changes - Fields to merge into the record
+ * @returns {Promise<void>}
+ */
+export const updateStudent = (studentId, changes) => queued(async () => {
+  const db = await openDatabase()
+  const stored = await requestToPromise(
+    db.transaction(STORES.STUDENTS, 'readonly').objectStore(STORES.STUDENTS).get(studentId)
+  )
+  if (!stored) return
+  const existing = await decode(stored)
+  const record = await encode(STORES.STUDENTS, { ...existing, ...changes, id: studentId })
+  const tx = db.transaction(STORES.STUDENTS, 'readwrite')
+  tx.objectStore(STORES.STUDENTS).put(record)
+  return transactionDone(tx)
+})
+
+/**
+ * Deletes a student together with all of their logs and their schedule.
+ *
+ * @param {number} studentId - ID of the student to delete
+ * @returns {Promise<void>}
+ */
+export const deleteStudent = (studentId) => queued(async () => {
+  const db = await openDatabase()
+  const tx = db.transaction([STORES.STUDENTS, STORES.LOGS, STORES.SCHEDULES], 'readwrite')
+  tx.objectStore(STORES.STUDENTS).delete(studentId)
+  tx.objectStore(STORES.SCHEDULES).delete(studentId)
+
+  const logKeys = await requestToPromise(
+    tx.objectStore(STORES.LOGS).index('studentId').getAllKeys(studentId)
+  )
+  logKeys.forEach(key => tx.objectStore(STORES.LOGS).delete(key))
+  return transactionDone(tx)
+})
+
+/**
+ * Inserts or replaces a single log for a student.
+ *
+ * @param {number} studentId - Owner of the log
+ * @param {Object} log - Log entry in the current schema shape
+ * @returns {Promise<void>}
+ */
+export const putLog = (studentId, log) => queued(async () => {
+  const record = await encode(STORES.LOGS, { ...log, studentId })
+  const db = await openDatabase()
+  const tx = db.transaction(STORES.LOGS, 'readwrite')
+  tx.objectStore(STORES.LOGS).put(record)
+  return transactionDone(tx)
+})
+
+/**
+ * Applies partial changes to a stored log (read-modify-write through the
+ * write queue, so concurrent edits cannot interleave).
+ *
+ * @param {number} studentId - Owner of the log
+ * @param {number|string} logId - ID of the log to update
+ * @param {Object} changes - Fields to merge into the log
+ * @returns {Promise<void>}
+ */
+export const updateLog = (studentId, logId, changes) => queued(async () => {
+  const db = await openDatabase()
+  const stored = await requestToPromise(
+    db.transaction(STORES.LOGS, 'readonly').objectStore(STORES.LOGS).get([studentId, logId])
+  )
+  if (!stored) return
+  const existing = await decode(stored)
+  const record = await encode(STORES.LOGS, { ...existing, ...changes, id: logId, studentId })
+  const tx = db.transaction(STORES.LOGS, 'readwrite')
+  tx.objectStore(STORES.LOGS).put(record)
+  return transactionDone(tx)
+})
+
+/**
+ * Deletes a single log.
+ *
+ * @param {number} studentId - Owner of the log
+ * @param {number|string} logId - ID of the log to delete
+ * @returns {Promise<void>}
+ */
+export const deleteLog = (studentId, logId) => queued(async () => {
+  const db = await openDatabase()
+  const tx = db.transaction(STORES.LOGS, 'readwrite')
+  tx.objectStore(STORES.LOGS).delete([studentId, logId])
+  return transactionDone(tx)
+})
+
+/**
+ * Saves a student's schedule.
+ *
+ * @param {number} studentId - Owner of the schedule
+ * @param {Array<Object>} schedule - Schedule periods ({ start, end, subject })
+ * @returns {Promise<void>}
+ */
+export const putSchedule = (studentId, schedule) => queued(async () => {
+  const record = await encode(STORES.SCHEDULES, { studentId, periods: schedule })
+  const db = await openDatabase()
+  const tx = db.transaction(STORES.SCHEDULES, 'readwrite')
+  tx.objectStore(STORES.SCHEDULES).put(record)
+  return transactionDone(tx)
+})
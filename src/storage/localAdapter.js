@@ -0,0 +1,242 @@
+/**
+ * Local Storage Adapter
+ *
+ * Keeps all data in this browser. IndexedDB is used whenever it can be opened;
+ * otherwise (e.g. some private browsing modes) the adapter falls back to the
+ * original single `kre-students` localStorage entry for the session.
+ *
+ * Both backends support optional passphrase encryption (see crypto.js).
+ *
+ * @module localAdapter
+ */
+
+import * as idb from './indexedDb'
+import { SCHEMA_VERSION, readEnvelope, migrateStudents, serializeStudents } from './migrations'
+import {
+  ENCRYPTION_ERRORS,
+  encryptionError,
+  createEncryption,
+  openEncryption,
+  encryptJson,
+  decryptJson
+} from './crypto'
+import { createSnapshotApi } from './snapshots'
+import * as updates from '../utils/studentUpdates'
+
+const LOCAL_STORAGE_KEY = 'kre-students'
+// Restore points: one metadata list plus one entry per snapshot's data
+const SNAPSHOT_INDEX_KEY = 'kre-snapshots'
+const snapshotDataKey = (id) => `kre-snapshot-${id}`
+
+// IndexedDB backend: every operation writes just the affected record
+const indexedDbBackend = {
+  load: (options) => idb.loadStudents(options),
+  save: (students) => idb.replaceAll(students),
+  addStudent: (student) => idb.putStudent(student),
+  updateStudent: (studentId, changes) => idb.updateStudent(studentId, changes),
+  deleteStudent: (studentId) => idb.deleteStudent(studentId),
+  addLog: (studentId, log) => idb.putLog(studentId, log),
+  updateLog: (studentId, logId, changes) => idb.updateLog(studentId, logId, changes),
+  deleteLog: (studentId, logId) => idb.deleteLog(studentId, logId),
+  saveSchedule: (studentId, schedule) => idb.putSchedule(studentId, schedule),
+  snapshots: idb.snapshots,
+  isEncrypted: () => idb.isEncrypted(),
+  getEncryptionKey: () => idb.getEncryptionKey(),
+  changePassphrase: (currentPassphrase, newPassphrase) => idb.changePassphrase(currentPassphrase, newPassphrase)
+}
+
+// localStorage backend: rewrites the whole blob. Every write starts from what
+// is currently stored, so writes from other tabs are never overwritten. When
+// encrypted, the blob is `{ schemaVersion, encryption, encrypted }` with the
+// students array as the encrypted payload.
+const createLocalStorageBackend = () => {
+  let seedStudents = []
+  // `{ key, config }` once unlocked; null while encryption is off
+  let encryption = null
+
+  // Encryption is async, so read-modify-write cycles are queued to keep them
+  // from interleaving
+  let writeQueue = Promise.resolve()
+  const queued = (operation) => {
+    const result = writeQueue.then(operation)
+    writeQueue = result.catch(() => {})
+    return result
+  }
+
+  const readPayload = () => {
+    const saved = localStorage.getItem(LOCAL_STORAGE_KEY)
+    // Parse errors propagate so unreadable data is never replaced by demo data
+    return saved ? JSON.parse(saved) : null
+  }
+
+  const read = async () => {
+    const payload = readPayload()
+    if (!payload) return seedStudents
+    if (payload.encrypted) {
+      if (!encryption) throw encryptionError(ENCRYPTION_ERRORS.LOCKED, 'Student data is encrypted')
+      return migrateStudents(await decryptJson(encryption.key, payload.encrypted), payload.schemaVersion)
+    }
+    const { version, students } = readEnvelope(payload)
+    return migrateStudents(students, version)
+  }
+
+  const write = async (students) => {
+    const json = encryption
+      ? JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        encryption: encryption.config,
+        encrypted: await encryptJson(encryption.key, students)
+      })
+      : serializeStudents(students)
+    localStorage.setItem(LOCAL_STORAGE_KEY, json)
+  }
+
+  const modify = (update) => queued(async () => write(update(await read())))
+
+  const readSnapshotIndex = () => JSON.parse(localStorage.getItem(SNAPSHOT_INDEX_KEY) || '[]')
+  const removeSnapshots = (ids) => {
+    ids.forEach(id => localStorage.removeItem(snapshotDataKey(id)))
+    localStorage.setItem(SNAPSHOT_INDEX_KEY, JSON.stringify(readSnapshotIndex().filter(s => !ids.includes(s.id))))
+  }
+  const encodeSnapshot = async (students, key = encryption?.key) => {
+    return JSON.stringify(key ? { encrypted: await encryptJson(key, students) } : { students })
+  }
+  const decodeSnapshot = async (json) => {
+    const payload = JSON.parse(json)
+    if (!payload.encrypted) return payload.students
+    if (!encryption) throw encryptionError(ENCRYPTION_ERRORS.LOCKED, 'Student data is encrypted')
+    return decryptJson(encryption.key, payload.encrypted)
+  }
+
+  // The localStorage quota is small, so the oldest snapshots make room for
+  // new ones when it runs out
+  const snapshots = createSnapshotApi({
+    put: async (meta, students) => {
+      const json = await encodeSnapshot(students)
+      for (;;) {
+        try {
+          localStorage.setItem(snapshotDataKey(meta.id), json)
+          const index = readSnapshotIndex().filter(s => s.id !== meta.id)
+          localStorage.setItem(SNAPSHOT_INDEX_KEY, JSON.stringify([...index, meta]))
+          return
+        } catch (error) {
+          const oldest = readSnapshotIndex().sort((a, b) => a.createdAt - b.createdAt)[0]
+          if (!oldest) {
+            localStorage.removeItem(snapshotDataKey(meta.id))
+            throw error
+          }
+          removeSnapshots([oldest.id])
+        }
+      }
+    },
+    list: async () => readSnapshotIndex(),
+    getData: async (id) => {
+      const json = localStorage.getItem(snapshotDataKey(id))
+      return json ? decodeSnapshot(json) : null
+    },
+    remove: async (ids) => removeSnapshots(ids)
+  })
+
+  return {
+    load: async (options) => {
+      seedStudents = options.seedStudents
+      const payload = readPayload()
+      const config = payload?.encryption
+      if (config) {
+        if (!options.passphrase) throw encryptionError(ENCRYPTION_ERRORS.LOCKED, 'Student data is encrypted')
+        encryption = { key: await openEncryption(options.passphrase, config), config }
+      }
+      // Older schemas are upgraded once, after keeping a copy of the original
+      const version = payload && (payload.encrypted ? payload.schemaVersion : readEnvelope(payload).version)
+      if (version && version < SCHEMA_VERSION) {
+        const original = payload.encrypted
+          ? await decryptJson(encryption.key, payload.encrypted)
+          : readEnvelope(payload).students
+        await snapshots.create('pre-migration', original, version)
+        await modify(students => students)
+      }
+      return read()
+    },
+    // Replaces without reading first, so unreadable data can be overwritten
+    // from a restore point
+    save: (next) => queued(() => write(next)),
+    addStudent: (student) => modify(students => updates.upsertStudent(students, student)),
+    updateStudent: (studentId, changes) => modify(students => updates.updateStudent(students, studentId, changes)),
+    deleteStudent: (studentId) => modify(students => updates.deleteStudent(students, studentId)),
+    addLog: (studentId, log) => modify(students => updates.upsertLog(students, studentId, log)),
+    updateLog: (studentId, logId, changes) => modify(students => updates.updateLog(students, studentId, logId, changes)),
+    deleteLog: (studentId, logId) => modify(students => updates.deleteLog(students, studentId, logId)),
+    saveSchedule: (studentId, schedule) => modify(students => updates.setSchedule(students, studentId, schedule)),
+    snapshots,
+    isEncrypted: async () => Boolean(readPayload()?.encryption),
+    getEncryptionKey: () => encryption?.key || null,
+    changePassphrase: (currentPassphrase, newPassphrase) => queued(async () => {
+      const config = readPayload()?.encryption
+      if (config) await openEncryption(currentPassphrase || '', config)
+      const students = await read()
+      const snapshotData = await Promise.all(readSnapshotIndex().map(async ({ id }) => {
+        const json = localStorage.getItem(snapshotDataKey(id))
+        return { id, students: json ? await decodeSnapshot(json) : null }
+      }))
+
+      const next = newPassphrase ? await createEncryption(newPassphrase) : null
+      const encodedSnapshots = await Promise.all(snapshotData
+        .filter(snapshot => snapshot.students)
+        .map(async ({ id, students: data }) => [id, await encodeSnapshot(data, next?.key)]))
+      encryption = next
+      await write(students)
+      encodedSnapshots.forEach(([id, json]) => localStorage.setItem(snapshotDataKey(id), json))
+    })
+  }
+}
+
+/**
+ * Creates the browser-local storage adapter.
+ *
+ * The backend is chosen during `load()`, so `load()` must be called (and
+ * awaited) before any other method.
+ *
+ * @returns {import('./index').StorageAdapter} Local storage adapter
+ */
+export const createLocalAdapter = () => {
+  let backend = null
+
+  const ready = () => {
+    if (!backend) throw new Error('Storage adapter used before load()')
+    return backend
+  }
+
+  return {
+    name: 'local',
+    load: async (options) => {
+      try {
+        await idb.openDatabase()
+        backend = indexedDbBackend
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error)
+        backend = createLocalStorageBackend()
+      }
+      return backend.load(options)
+    },
+    save: async (students) => ready().save(students),
+    addStudent: async (student) => ready().addStudent(student),
+    updateStudent: async (studentId, changes) => ready().updateStudent(studentId, changes),
+    deleteStudent: async (studentId) => ready().deleteStudent(studentId),
+    addLog: async (studentId, log) => ready().addLog(studentId, log),
+    updateLog: async (studentId, logId, changes) => ready().updateLog(studentId, logId, changes),
+    deleteLog: async (studentId, logId) => ready().deleteLog(studentId, logId),
+    saveSchedule: async (studentId, schedule) => ready().saveSchedule(studentId, schedule),
+    // Available after load() even if loading failed, so a broken dataset can
+    // be rolled back
+    snapshots: {
+      list: async () => ready().snapshots.list(),
+      create: async (reason, students) => ready().snapshots.create(reason, students),
+      createDue: async (students) => ready().snapshots.createDue(students),
+      getStudents: async (id) => ready().snapshots.getStudents(id),
+      rewriteAll: async (transform) => ready().snapshots.rewriteAll(transform)
+    },
+    isEncrypted: async () => ready().isEncrypted(),
+    getEncryptionKey: () => (backend ? backend.getEncryptionKey() : null),
+    changePassphrase: async (currentPassphrase, newPassphrase) => ready().changePassphrase(currentPassphrase, newPassphrase)
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Storage Schema Migrations
+ *
+ * Persisted student data has changed shape over time. The earliest demo logs
+ * used human-readable timestamps ('Yesterday', '10:30 AM'), a combined
+ * `sensory: 'Auditory - Medium'` string and a `description` field, while newer
+ * logs use numeric timestamps together with `category`/`intensity`/`notes`.
+ *
+ * This module stamps a schema version into storage and upgrades any older
+ * shape to the current one on load, so analytics and charts only ever see a
+ * single, consistent log format.
+ *
+ * Stored format (current):
+ * ```json
+ * { "schemaVersion": 2, "students": [ ... ] }
+ * ```
+ * A bare array (no envelope) is treated as schema version 1.
+ *
+ * @module migrations
+ */
+
+/** Current schema version written by this build of the app. */
+export const SCHEMA_VERSION = 2
+
+// Timestamps before 2000-01-01 are not plausible log times; used to decide
+// whether a legacy numeric ID can stand in for the creation time.
+const MIN_PLAUSIBLE_TIMESTAMP = 946684800000
+
+const SENSORY_INTENSITIES = ['Low', 'Medium', 'High']
+
+/**
+ * Parses a legacy combined sensory string such as "Auditory - Medium".
+ *
+ * @param {string} value - Combined "Category - Intensity" string
+ * @returns {{category: string, intensity: string}|null} Parsed parts, or null
+ *   if the string does not follow the legacy format
+ */
+export const parseLegacySensory = (value) => {
+  if (typeof value !== 'string') return null
+  const [category, intensity] = value.split(' - ').map(part => part && part.trim())
+  if (!category || !SENSORY_INTENSITIES.includes(intensity)) return null
+  return { category, intensity }
+}
+
+/**
+ * Resolves a legacy timestamp to Unix milliseconds.
+ *
+ * Relative strings like 'Yesterday' or clock times like '10:30 AM' cannot be
+ * parsed on their own, but legacy IDs were generated from `Date.now()` at
+ * creation time, so a numeric ID is the most faithful fallback.
+ *
+ * @param {Object} log - Legacy log entry
+ * @returns {number|null} Unix timestamp, or null if it cannot be determined
+ */
+const resolveLegacyTimestamp = (log) => {
+  if (typeof log.timestamp === 'number' && Number.isFinite(log.timestamp)) {
+    return log.timestamp
+  }
+  if (typeof log.timestamp === 'string') {
+    const parsed = Date.parse(log.timestamp)
+    if (Number.isFinite(parsed)) return parsed
+  }
+  if (typeof log.id === 'number' && log.id >= MIN_PLAUSIBLE_TIMESTAMP) {
+    return log.id
+  }
+  return null
+}
+
+/**
+ * Upgrades a single version 1 log to the version 2 shape.
+ *
+ * Returns an array because a legacy feeling log may carry an attached
+ * `sensory` string, which becomes its own sensory log in the new model.
+ * Records that cannot be fully parsed are kept (never dropped) and flagged
+ * with `needsReview: true` plus human-readable `migrationNotes`.
+ *
+ * @param {Object} log - Version 1 log entry
+ * @returns {Array<Object>} One or two version 2 log entries
+ */
+const migrateLogV1 = (log) => {
+  const { description, sensory, ...rest } = log
+  const notes = []
+  const migrated = { ...rest }
+
+  const timestamp = resolveLegacyTimestamp(log)
+  if (timestamp === null) {
+    notes.push(`Could not parse timestamp "${log.timestamp}"`)
+    migrated.timestamp = null
+  } else {
+    migrated.timestamp = timestamp
+  }
+
+  // `description` was renamed to `notes`; keep any existing notes first
+  if (description && !migrated.notes) {
+    migrated.notes = description
+  }
+
+  const companions = []
+
+  if (migrated.type === 'sensory' && !migrated.category) {
+    const parsed = parseLegacySensory(sensory || migrated.value)
+    if (parsed) {
+      migrated.category = parsed.category
+      migrated.intensity = parsed.intensity
+      delete migrated.value
+    } else {
+      notes.push(`Could not parse sensory value "${sensory || migrated.value}"`)
+    }
+  } else if (migrated.type === 'feeling' && sensory) {
+    // Legacy feeling logs could carry the sensory context that accompanied
+    // them; split it out so sensory analytics pick it up.
+    const parsed = parseLegacySensory(sensory)
+    if (parsed) {
+      companions.push({
+        id: `${log.id}-sensory`,
+        type: 'sensory',
+        category: parsed.category,
+        intensity: parsed.intensity,
+        timestamp: migrated.timestamp,
+        ...(migrated.timestamp === null && {
+          needsReview: true,
+          migrationNotes: [`Could not parse timestamp "${log.timestamp}"`]
+        })
+      })
+    } else {
+      notes.push(`Could not parse sensory value "${sensory}"`)
+      migrated.notes = [migrated.notes, `Sensory: ${sensory}`].filter(Boolean).join(' — ')
+    }
+  }
+
+  if (notes.length > 0) {
+    migrated.needsReview = true
+    migrated.migrationNotes = notes
+  }
+
+  return [migrated, ...companions]
+}
+
+/**
+ * Ordered migration steps. Each key is the version a step upgrades *from*;
+ * the step receives the students array and returns it in the next version.
+ */
+const migrations = {
+  1: (students) => students.map(student => ({
+    ...student,
+    logs: (student.logs || []).flatMap(migrateLogV1)
+  }))
+}
+
+/**
+ * Upgrades a students array from any older schema version to the current one.
+ *
+ * @param {Array<Object>} students - Students as stored at `fromVersion`
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Array<Object>} Students in the current schema shape
+ * @throws {Error} If the data was written by a newer, unknown schema version
+ */
+export const migrateStudents = (students, fromVersion) => {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses schema version ${fromVersion}, but this app only supports up to ${SCHEMA_VERSION}`)
+  }
+
+  let version = fromVersion
+  let migrated = students
+  while (version < SCHEMA_VERSION) {
+    migrated = migrations[version](migrated)
+    version++
+  }
+  return migrated
+}
+
+/**
+ * Reads the schema version and students from a parsed storage payload.
+ *
+ * @param {Array<Object>|Object} payload - Parsed JSON from storage
+ * @returns {{version: number, students: Array<Object>}} Version and raw students
+ * @throws {Error} If the payload is not a recognized storage shape
+ */
+export const readEnvelope = (payload) => {
+  if (Array.isArray(payload)) {
+    return { version: 1, students: payload }
+  }
+  if (payload && Array.isArray(payload.students) && Number.isInteger(payload.schemaVersion)) {
+    return { version: payload.schemaVersion, students: payload.students }
+  }
+  throw new Error('Unrecognized storage format')
+}
+
+/**
+ * Parses stored JSON and migrates it to the current schema.
+ *
+ * @param {string} json - Raw string from storage
+ * @returns {{students: Array<Object>, migratedFrom: number|null}} Current-shape
+ *   students and the version they were upgraded from (null if already current)
+ * @throws {Error} If the JSON is invalid or in an unknown format
+ */
+export const loadStoredStudents = (json) => {
+  const { version, students } = readEnvelope(JSON.parse(json))
+  return {
+    students: migrateStudents(students, version),
+    migratedFrom: version < SCHEMA_VERSION ? version : null
+  }
+}
+
+/**
+ * Serializes students into the versioned storage envelope.
+ *
+ * @param {Array<Object>} students - Students in the current schema shape
+ * @param {Object} [extra] - Additional top-level fields to store alongside
+ *   (e.g. the reference server's sync state)
+ * @returns {string} JSON string ready for storage
+ */
+export const serializeStudents = (students, extra = {}) => {
+  return JSON.stringify({ ...extra, schemaVersion: SCHEMA_VERSION, students })
+}
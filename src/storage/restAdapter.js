@@ -0,0 +1,63 @@
+/**
+ * REST Storage Adapter
+ *
+ * Talks to a shared backend so several staff members can work with the same
+ * students. The API is implemented by the reference server in `server/`:
+ *
+ * | Method | Path                                   | Body                  |
+ * |--------|----------------------------------------|-----------------------|
+ * | GET    | /students                              | –                     |
+ * | PUT    | /students                              | students array        |
+ * | POST   | /students                              | student               |
+ * | PATCH  | /students/:studentId                   | partial student       |
+ * | DELETE | /students/:studentId                   | –                     |
+ * | POST   | /students/:studentId/logs              | log                   |
+ * | PATCH  | /students/:studentId/logs/:logId       | partial log           |
+ * | DELETE | /students/:studentId/logs/:logId       | –                     |
+ * | PUT    | /students/:studentId/schedule          | schedule periods      |
+ *
+ * @module restAdapter
+ */
+
+/**
+ * Creates a storage adapter backed by the REST API.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. "http://localhost:3001/api"
+ * @returns {import('./index').StorageAdapter} REST storage adapter
+ */
+export const createRestAdapter = ({ baseUrl }) => {
+  const root = baseUrl.replace(/\/+$/, '')
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${root}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null)
+      throw new Error(errorData?.error || `Server request failed: ${response.status} ${response.statusText}`)
+    }
+
+    return response.status === 204 ? null : response.json()
+  }
+
+  const studentPath = (studentId) => `/students/${encodeURIComponent(studentId)}`
+  const logPath = (studentId, logId) => `${studentPath(studentId)}/logs/${encodeURIComponent(logId)}`
+
+  return {
+    name: 'rest',
+    // The shared server owns its data, so demo seed data is never pushed to it
+    load: async () => request('GET', '/students'),
+    save: async (students) => { await request('PUT', '/students', students) },
+    addStudent: async (student) => { await request('POST', '/students', student) },
+    updateStudent: async (studentId, changes) => { await request('PATCH', studentPath(studentId), changes) },
+    deleteStudent: async (studentId) => { await request('DELETE', studentPath(studentId)) },
+    addLog: async (studentId, log) => { await request('POST', `${studentPath(studentId)}/logs`, log) },
+    updateLog: async (studentId, logId, changes) => { await request('PATCH', logPath(studentId, logId), changes) },
+    deleteLog: async (studentId, logId) => { await request('DELETE', logPath(studentId, logId)) },
+    saveSchedule: async (studentId, schedule) => { await request('PUT', `${studentPath(studentId)}/schedule`, schedule) }
+  }
+}
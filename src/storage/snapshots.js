@@ -0,0 +1,165 @@
+/**
+ * Snapshots (Restore Points)
+ *
+ * Rolling copies of the whole dataset, kept apart from the live data so a
+ * corrupted or mistaken save can be rolled back:
+ *
+ * - `hourly`        – at most one per hour, the last 24 are kept
+ * - `daily`         – at most one per day, the last 7 are kept
+ * - `pre-migration` – taken before stored data is upgraded to a new schema
+ * - `pre-restore`   – the data that was replaced by restoring a snapshot
+ * - `pre-import`    – the data that was replaced or merged into by an import
+ * - `manual`        – created from the Restore points screen
+ *
+ * Each backend stores snapshot metadata separately from the (possibly large
+ * and encrypted) data so listing restore points stays cheap. This module holds
+ * the retention policy shared by all backends.
+ *
+ * @module snapshots
+ */
+
+import { SCHEMA_VERSION, migrateStudents } from './migrations'
+
+const HOUR_MS = 60 * 60 * 1000
+
+export const SNAPSHOT_REASONS = {
+  hourly: { label: 'Hourly', keep: 24, interval: HOUR_MS },
+  daily: { label: 'Daily', keep: 7, interval: 24 * HOUR_MS },
+  'pre-migration': { label: 'Before upgrade', keep: 5 },
+  'pre-restore': { label: 'Before restore', keep: 5 },
+  'pre-import': { label: 'Before import', keep: 5 },
+  manual: { label: 'Manual', keep: 10 }
+}
+
+const newestFirst = (a, b) => b.createdAt - a.createdAt
+
+const countRecords = (students) => ({
+  studentCount: students.length,
+  logCount: students.reduce((sum, student) => sum + (student.logs || []).length, 0)
+})
+
+/**
+ * Lists the reasons for which a scheduled snapshot is due.
+ *
+ * @param {Array<Object>} snapshots - Existing snapshot metadata
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<string>} Due reasons ('hourly' and/or 'daily')
+ */
+export const getDueReasons = (snapshots, now = Date.now()) => {
+  return Object.entries(SNAPSHOT_REASONS)
+    .filter(([, policy]) => policy.interval)
+    .filter(([reason, policy]) => {
+      const latest = snapshots.filter(s => s.reason === reason).sort(newestFirst)[0]
+      return !latest || now - latest.createdAt >= policy.interval
+    })
+    .map(([reason]) => reason)
+}
+
+/**
+ * Finds snapshots beyond the number kept for their reason.
+ *
+ * @param {Array<Object>} snapshots - Snapshot metadata
+ * @returns {Array<string>} IDs of snapshots to delete
+ */
+export const getExpiredSnapshotIds = (snapshots) => {
+  return Object.entries(SNAPSHOT_REASONS).flatMap(([reason, policy]) => {
+    return snapshots
+      .filter(s => s.reason === reason)
+      .sort(newestFirst)
+      .slice(policy.keep)
+      .map(s => s.id)
+  })
+}
+
+/**
+ * Builds the snapshot API for a backend from its storage primitives.
+ *
+ * @param {Object} primitives
+ * @param {function(Object, Array<Object>): Promise<void>} primitives.put - Stores metadata and data,
+ *   replacing any snapshot with the same ID
+ * @param {function(): Promise<Array<Object>>} primitives.list - Reads all metadata
+ * @param {function(string): Promise<Array<Object>|null>} primitives.getData - Reads one snapshot's students
+ * @param {function(Array<string>): Promise<void>} primitives.remove - Deletes snapshots
+ * @returns {Object} Snapshot API (`list`, `create`, `createDue`, `getStudents`, `rewriteAll`)
+ */
+export const createSnapshotApi = ({ put, list, getData, remove }) => {
+  const create = async (reason, students, schemaVersion = SCHEMA_VERSION) => {
+    const createdAt = Date.now()
+    const meta = {
+      id: `${createdAt}-${reason}`,
+      createdAt,
+      reason,
+      schemaVersion,
+      ...countRecords(students)
+    }
+    await put(meta, students)
+    const expired = getExpiredSnapshotIds(await list())
+    if (expired.length > 0) await remove(expired)
+    return meta
+  }
+
+  return {
+    /** Snapshot metadata, newest first. */
+    list: async () => (await list()).sort(newestFirst),
+
+    /**
+     * Stores a snapshot of the given students and prunes old ones.
+     *
+     * @param {string} reason - One of the `SNAPSHOT_REASONS` keys
+     * @param {Array<Object>} students - Dataset to keep
+     * @param {number} [schemaVersion] - Schema the students are in
+     * @returns {Promise<Object>} Metadata of the new snapshot
+     */
+    create,
+
+    /**
+     * Takes the hourly/daily snapshots that are due.
+     *
+     * @param {Array<Object>} students - Current dataset
+     * @returns {Promise<void>}
+     */
+    createDue: async (students) => {
+      for (const reason of getDueReasons(await list())) {
+        await create(reason, students)
+      }
+    },
+
+    /**
+     * Reads a snapshot's students, upgraded to the current schema.
+     *
+     * @param {string} id - Snapshot ID
+     * @returns {Promise<Array<Object>>} Students
+     * @throws {Error} If the snapshot no longer exists
+     */
+    getStudents: async (id) => {
+      const meta = (await list()).find(s => s.id === id)
+      const students = meta && await getData(id)
+      if (!students) throw new Error('Restore point not found')
+      return migrateStudents(students, meta.schemaVersion)
+    },
+
+    /**
+     * Rewrites stored snapshots, e.g. so retention rules reach restore points
+     * too. Each snapshot is upgraded to the current schema and passed to
+     * `transform`; it is only stored again if a different array comes back.
+     *
+     * @param {function(Array<Object>): Array<Object>} transform - Returns the students to keep
+     * @returns {Promise<number>} Number of snapshots changed
+     */
+    rewriteAll: async (transform) => {
+      let changed = 0
+      for (const meta of await list()) {
+        const stored = await getData(meta.id)
+        if (!stored) continue
+        const students = migrateStudents(stored, meta.schemaVersion)
+        const next = transform(students)
+        if (next === students) continue
+        // Snapshots pruned in the meantime stay deleted
+        if (!(await list()).some(s => s.id === meta.id)) continue
+        await put({ ...meta, schemaVersion: SCHEMA_VERSION, ...countRecords(next) }, next)
+        changed++
+      }
+      return changed
+    }
+  }
+}
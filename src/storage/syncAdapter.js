@@ -0,0 +1,79 @@
+/**
+ * Syncing Storage Adapter
+ *
+ * Wraps a local adapter so that every write is also queued for the sync
+ * endpoint. Local storage stays the source of truth on this device, which is
+ * what makes logging work offline.
+ *
+ * @module syncAdapter
+ */
+
+/**
+ * Adds offline-first sync to a local storage adapter.
+ *
+ * @param {import('./index').StorageAdapter} base - Local adapter
+ * @param {Object} client - Sync client from `createSyncClient`
+ * @returns {import('./index').StorageAdapter} Adapter with a `sync` property
+ *   exposing the sync client to the UI
+ */
+export const withSync = (base, client) => ({
+  ...base,
+  sync: client,
+
+  load: async (options) => {
+    const students = await base.load(options)
+    await client.start(students)
+    return students
+  },
+
+  // The outbox and conflicts are encrypted with the same key as the data
+  ...(base.changePassphrase && {
+    changePassphrase: async (currentPassphrase, newPassphrase) => {
+      await base.changePassphrase(currentPassphrase, newPassphrase)
+      await client.setEncryptionKey(base.getEncryptionKey())
+    }
+  }),
+
+  save: async (students) => {
+    await base.save(students)
+    client.enqueueReplace(students)
+  },
+
+  addStudent: async (student) => {
+    await base.addStudent(student)
+    const { logs = [], ...record } = student
+    client.enqueue({ kind: 'student', action: 'create', id: student.id, changes: record })
+    logs.forEach(log => client.enqueue({ kind: 'log', action: 'create', id: log.id, studentId: student.id, changes: log }))
+  },
+
+  updateStudent: async (studentId, changes) => {
+    await base.updateStudent(studentId, changes)
+    client.enqueue({ kind: 'student', action: 'update', id: studentId, changes })
+  },
+
+  deleteStudent: async (studentId) => {
+    await base.deleteStudent(studentId)
+    client.enqueue({ kind: 'student', action: 'delete', id: studentId })
+  },
+
+  addLog: async (studentId, log) => {
+    await base.addLog(studentId, log)
+    client.enqueue({ kind: 'log', action: 'create', id: log.id, studentId, changes: log })
+  },
+
+  updateLog: async (studentId, logId, changes) => {
+    await base.updateLog(studentId, logId, changes)
+    client.enqueue({ kind: 'log', action: 'update', id: logId, studentId, changes })
+  },
+
+  deleteLog: async (studentId, logId) => {
+    await base.deleteLog(studentId, logId)
+    client.enqueue({ kind: 'log', action: 'delete', id: logId, studentId })
+  },
+
+  // Schedules sync as a field of the student record
+  saveSchedule: async (studentId, schedule) => {
+    await base.saveSchedule(studentId, schedule)
+    client.enqueue({ kind: 'student', action: 'update', id: studentId, changes: { schedule } })
+  }
+})
@@ -0,0 +1,477 @@
+/**
+ * Offline-First Sync Client
+ *
+ * Aides often log on tablets in rooms with poor Wi-Fi. Every change is first
+ * written to local storage and also queued in a persistent outbox; the outbox
+ * is replayed to the sync endpoint (`POST /api/sync` on the reference server)
+ * whenever the device is online. The same request pulls changes made on other
+ * devices since the last sync.
+ *
+ * Conflict resolution happens on the server (see server/syncStore.js):
+ * last-writer-wins per field, union for logs and tombstones for deletes.
+ * Concurrent edits to the same field are reported back and kept here until a
+ * staff member reviews them.
+ *
+ * Persisted keys (localStorage):
+ * - `kre-sync-outbox` – queued operations not yet acknowledged by the server
+ * - `kre-sync-state`  – last seen server revision, per-record revisions and
+ *                       unresolved conflicts
+ * - `kre-device-id`   – stable identifier for this browser
+ *
+ * While the local data is encrypted, the outbox and the conflicts (which hold
+ * student data) are encrypted with the same session key.
+ *
+ * Open tabs share the outbox and the sync state: every change re-reads them
+ * from storage while holding a Web Lock, and only one tab at a time talks to
+ * the server.
+ *
+ * @module syncClient
+ */
+
+import * as updates from '../utils/studentUpdates'
+import { encryptRecord, decryptRecord } from './crypto'
+
+const OUTBOX_KEY = 'kre-sync-outbox'
+const STATE_KEY = 'kre-sync-state'
+const DEVICE_KEY = 'kre-device-id'
+// Web Lock held by the tab that is currently syncing
+const SYNC_LOCK = 'kre-sync-run'
+
+const SYNC_INTERVAL_MS = 30 * 1000
+const SYNC_DEBOUNCE_MS = 1000
+const BATCH_SIZE = 100
+
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error)
+    return fallback
+  }
+}
+
+const recordKey = (kind, id) => `${kind}:${id}`
+
+// Revisions are stored as `{ kind, id, rev }` so records keep their own ID
+// (numbers stay numbers); state from older versions only kept the number
+const readRevision = (revKey, entry) => {
+  if (typeof entry !== 'number') return entry
+  const separator = revKey.indexOf(':')
+  return { kind: revKey.slice(0, separator), id: revKey.slice(separator + 1), rev: entry }
+}
+
+const EMPTY_STATE = { seq: 0, initialized: false, revs: {}, conflicts: [] }
+
+const hasLocks = () => typeof navigator !== 'undefined' && Boolean(navigator.locks)
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Applies changes pulled from the sync endpoint to a students array.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {Array<Object>} changes - `{ kind, action, id, studentId, record }` entries
+ * @returns {Array<Object>} Updated students
+ */
+export const applyRemoteChanges = (students, changes) => {
+  return changes.reduce((acc, change) => {
+    if (change.kind === 'student') {
+      return change.action === 'delete'
+        ? updates.deleteStudent(acc, change.id)
+        : updates.upsertStudent(acc, change.record)
+    }
+    return change.action === 'delete'
+      ? updates.deleteLog(acc, change.studentId, change.id)
+      : updates.upsertLog(acc, change.studentId, change.record)
+  }, students)
+}
+
+/**
+ * Creates the sync client.
+ *
+ * @param {Object} options
+ * @param {string} options.endpoint - Sync URL, e.g. "http://localhost:3001/api/sync"
+ * @param {import('./index').StorageAdapter} options.base - Local adapter that
+ *   pulled changes are written to
+ * @returns {Object} Sync client API
+ */
+export const createSyncClient = ({ endpoint, base }) => {
+  let deviceId = localStorage.getItem(DEVICE_KEY)
+  if (!deviceId) {
+    deviceId = generateId()
+    localStorage.setItem(DEVICE_KEY, deviceId)
+  }
+
+  // Session key from the local adapter while its data is encrypted; set by
+  // `start()` once the data is unlocked
+  let key = null
+
+  // Changes to the outbox and the state take turns across tabs through a Web
+  // Lock (or a queue in this tab where locks are unavailable), since
+  // encrypting makes each read-modify-write async
+  const queues = {}
+  const withLock = (name, operation) => {
+    if (hasLocks()) return navigator.locks.request(name, operation)
+    const result = (queues[name] || Promise.resolve()).then(operation)
+    queues[name] = result.catch(() => {})
+    return result
+  }
+
+  // The outbox is always read from storage (never cached) so that several
+  // tabs sharing it never replay a stale copy
+  const readOutbox = async () => decryptRecord(key, readJson(OUTBOX_KEY, []))
+  const writeOutbox = async (outbox) => {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(await encryptRecord(key, outbox, [])))
+  }
+  let pendingCount = 0
+  const updateOutbox = (update) => withLock(OUTBOX_KEY, async () => {
+    const outbox = update(await readOutbox())
+    await writeOutbox(outbox)
+    pendingCount = outbox.length
+    return outbox
+  })
+
+  const readState = async () => {
+    const stored = readJson(STATE_KEY, {})
+    return { ...EMPTY_STATE, ...stored, conflicts: stored.conflicts ? await decryptRecord(key, stored.conflicts) : [] }
+  }
+  const writeState = async (next) => {
+    localStorage.setItem(STATE_KEY, JSON.stringify({ ...next, conflicts: await encryptRecord(key, next.conflicts, []) }))
+  }
+  // The state as last read or written by this tab, for base revisions and
+  // the status; conflicts are read once the data is unlocked (see `open`)
+  let state = { ...EMPTY_STATE, ...readJson(STATE_KEY, {}), conflicts: [] }
+  const updateState = (update) => withLock(STATE_KEY, async () => {
+    const next = update(await readState())
+    await writeState(next)
+    state = next
+    return next
+  })
+
+  let status = {
+    state: 'idle',
+    pending: 0,
+    lastSyncedAt: null,
+    error: null,
+    conflicts: state.conflicts
+  }
+  const statusListeners = new Set()
+  const changeListeners = new Set()
+
+  // Status objects are replaced, never mutated, so React can compare snapshots
+  const setStatus = (changes) => {
+    status = { ...status, pending: pendingCount, conflicts: state.conflicts, ...changes }
+    statusListeners.forEach(listener => listener())
+  }
+
+  let debounceTimer = null
+  const scheduleSync = () => {
+    clearTimeout(debounceTimer)
+    debounceTimer = setTimeout(() => { syncNow() }, SYNC_DEBOUNCE_MS)
+  }
+
+  const getBaseRev = (kind, id) => {
+    const revKey = recordKey(kind, id)
+    return state.revs[revKey] === undefined ? undefined : readRevision(revKey, state.revs[revKey]).rev
+  }
+
+  const createOp = ({ kind, action, id, studentId, changes }) => ({
+    opId: generateId(),
+    deviceId,
+    kind,
+    action,
+    id,
+    studentId,
+    changes,
+    at: Date.now(),
+    baseRev: getBaseRev(kind, id)
+  })
+
+  // Queues several operations with a single outbox update
+  const enqueueAll = (changeList) => {
+    const ops = changeList.map(createOp)
+    return updateOutbox(outbox => [...outbox, ...ops])
+      .then(() => {
+        setStatus({})
+        scheduleSync()
+      })
+      .catch(error => {
+        console.error('Error queuing changes for sync:', error)
+        setStatus({ state: 'error', error: error.message })
+      })
+  }
+
+  const enqueue = (change) => enqueueAll([change])
+
+  const recordChanges = (students) => students.flatMap(({ logs = [], ...student }) => [
+    { kind: 'student', action: 'create', id: student.id, changes: student },
+    ...logs.map(log => ({ kind: 'log', action: 'create', id: log.id, studentId: student.id, changes: log }))
+  ])
+
+  // Reads the conflicts and re-encrypts both stores with the current key, so
+  // anything written before encryption was turned on is no longer readable
+  // in plain text
+  const open = async () => {
+    key = base.getEncryptionKey ? base.getEncryptionKey() : null
+    try {
+      await updateState(current => current)
+      await updateOutbox(outbox => outbox)
+    } catch (error) {
+      console.error('Error reading sync state:', error)
+    }
+    setStatus({})
+  }
+
+  // Picks up what another tab wrote, e.g. conflicts it was told about
+  const refreshState = async () => {
+    try {
+      state = await readState()
+      pendingCount = (await readOutbox()).length
+      setStatus({})
+    } catch (error) {
+      console.error('Error reading sync state:', error)
+    }
+  }
+
+  // Re-applies still-queued local edits on top of a pulled record so a sync
+  // never hides changes the server has not seen yet. Returns null when the
+  // record is about to be deleted locally anyway.
+  const withPendingEdits = (change, pendingOps) => {
+    const ownOps = pendingOps.filter(op => op.kind === change.kind && updates.sameId(op.id, change.id))
+    const parentDeleted = change.kind === 'log' && pendingOps.some(op =>
+      op.kind === 'student' && op.action === 'delete' && updates.sameId(op.id, change.studentId))
+    if (parentDeleted || ownOps.some(op => op.action === 'delete')) return null
+    if (change.action === 'delete' || ownOps.length === 0) return change
+    return {
+      ...change,
+      record: ownOps.reduce((record, op) => ({ ...record, ...op.changes }), change.record)
+    }
+  }
+
+  const applyToStorage = async (change) => {
+    if (change.kind === 'student') {
+      if (change.action === 'delete') return base.deleteStudent(change.id)
+      const { schedule, ...record } = change.record
+      await base.addStudent(record)
+      if (schedule) await base.saveSchedule(change.id, schedule)
+      return
+    }
+    if (change.action === 'delete') return base.deleteLog(change.studentId, change.id)
+    return base.addLog(change.studentId, change.record)
+  }
+
+  const runSync = async () => {
+    if (isOffline()) {
+      setStatus({ state: 'offline' })
+      return
+    }
+    setStatus({ state: 'syncing', error: null })
+
+    try {
+      let hasMore = true
+      while (hasMore) {
+        const batch = (await readOutbox()).slice(0, BATCH_SIZE)
+        const since = readJson(STATE_KEY, EMPTY_STATE).seq || 0
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ deviceId, since, operations: batch })
+        })
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => null)
+          throw new Error(errorData?.error || `Sync failed: ${response.status} ${response.statusText}`)
+        }
+        const { seq, changes, conflicts } = await response.json()
+
+        // Acknowledge what the server applied; anything queued meanwhile stays
+        const sent = new Set(batch.map(op => op.opId))
+        const remaining = await updateOutbox(outbox => outbox.filter(op => !sent.has(op.opId)))
+
+        const applicable = changes.map(change => withPendingEdits(change, remaining)).filter(Boolean)
+        for (const change of applicable) {
+          await applyToStorage(change)
+        }
+
+        const detectedAt = Date.now()
+        await updateState(current => {
+          const revs = { ...current.revs }
+          changes.forEach(change => {
+            if (change.action === 'delete') delete revs[recordKey(change.kind, change.id)]
+            else revs[recordKey(change.kind, change.id)] = { kind: change.kind, id: change.id, rev: change.rev }
+          })
+          return {
+            ...current,
+            seq,
+            revs,
+            conflicts: [
+              ...current.conflicts,
+              ...conflicts.map(conflict => ({ ...conflict, conflictId: generateId(), detectedAt }))
+            ]
+          }
+        })
+
+        if (applicable.length > 0) {
+          changeListeners.forEach(listener => listener(applicable))
+        }
+        hasMore = batch.length === BATCH_SIZE
+      }
+      setStatus({ state: 'idle', lastSyncedAt: Date.now() })
+    } catch (error) {
+      console.error('Sync failed:', error)
+      setStatus({ state: isOffline() ? 'offline' : 'error', error: error.message })
+    }
+  }
+
+  // Only one tab syncs at a time; a tab that finds another one syncing skips
+  // this round and shows what that tab recorded instead
+  const runInOneTab = () => {
+    if (!hasLocks()) return runSync()
+    return navigator.locks.request(SYNC_LOCK, { ifAvailable: true }, lock => (lock ? runSync() : refreshState()))
+  }
+
+  let inFlight = null
+  const syncNow = () => {
+    if (!inFlight) {
+      inFlight = runInOneTab().finally(() => { inFlight = null })
+    }
+    return inFlight
+  }
+
+  let started = false
+
+  return {
+    /**
+     * Starts background syncing once the local data has loaded (and been
+     * unlocked). On the very first run, every local record is queued so
+     * existing data reaches the server.
+     *
+     * @param {Array<Object>} students - Students loaded from local storage
+     * @returns {Promise<void>}
+     */
+    start: async (students) => {
+      await open()
+      // Decided under the state lock, so only one tab queues the dataset
+      let isFirstRun = false
+      try {
+        await updateState(current => {
+          isFirstRun = !current.initialized
+          return { ...current, initialized: true }
+        })
+      } catch (error) {
+        console.error('Error saving sync state:', error)
+      }
+      if (isFirstRun) await enqueueAll(recordChanges(students))
+
+      if (started) return
+      started = true
+      window.addEventListener('storage', (event) => {
+        if (event.key === STATE_KEY || event.key === OUTBOX_KEY) refreshState()
+      })
+      window.addEventListener('online', () => { syncNow() })
+      window.addEventListener('offline', () => setStatus({ state: 'offline' }))
+      setInterval(() => { syncNow() }, SYNC_INTERVAL_MS)
+      syncNow()
+    },
+
+    /**
+     * Queues a change for the server.
+     *
+     * @param {Object} op
+     * @param {'student'|'log'} op.kind - Record type
+     * @param {'create'|'update'|'delete'} op.action - What happened
+     * @param {number|string} op.id - Record ID
+     * @param {number|string} [op.studentId] - Owner (logs only)
+     * @param {Object} [op.changes] - Full record (create) or changed fields (update)
+     */
+    enqueue,
+
+    /**
+     * Queues a full-dataset replacement: every record is (re)sent and records
+     * the server knows about but which are no longer present are deleted.
+     *
+     * @param {Array<Object>} students - The new dataset
+     */
+    enqueueReplace: (students) => {
+      const changeList = recordChanges(students)
+      const present = new Set(changeList.map(change => recordKey(change.kind, change.id)))
+      // The server locates a log by ID when no owner is given
+      Object.entries(state.revs).forEach(([revKey, entry]) => {
+        if (present.has(revKey)) return
+        const { kind, id } = readRevision(revKey, entry)
+        changeList.push({ kind, action: 'delete', id })
+      })
+      enqueueAll(changeList)
+    },
+
+    /**
+     * Re-encrypts the outbox and conflicts after the local data's passphrase
+     * changed (or encryption was turned on or off).
+     *
+     * @param {CryptoKey|null} nextKey - New session key, or null when unencrypted
+     * @returns {Promise<void>}
+     */
+    setEncryptionKey: (nextKey) => withLock(OUTBOX_KEY, () => withLock(STATE_KEY, async () => {
+      const outbox = await readOutbox()
+      const current = await readState()
+      key = nextKey
+      await writeOutbox(outbox)
+      await writeState(current)
+    })),
+
+    syncNow,
+
+    /**
+     * Resolves a reported conflict by choosing which value to keep. Choosing
+     * the value that already won simply dismisses the conflict; otherwise the
+     * chosen value is queued as a new edit so it wins everywhere.
+     *
+     * @param {string} conflictId - Conflict to resolve
+     * @param {'local'|'server'|'dismiss'} choice - Value to keep
+     */
+    resolveConflict: (conflictId, choice) => {
+      const conflict = state.conflicts.find(c => c.conflictId === conflictId)
+      if (!conflict) return
+
+      if (conflict.field && choice !== 'dismiss' && choice !== conflict.winner) {
+        const value = choice === 'local' ? conflict.localValue : conflict.serverValue
+        enqueue({
+          kind: conflict.kind,
+          action: 'update',
+          id: conflict.id,
+          studentId: conflict.studentId,
+          changes: { [conflict.field]: value }
+        })
+      }
+
+      updateState(current => ({ ...current, conflicts: current.conflicts.filter(c => c.conflictId !== conflictId) }))
+        .then(() => setStatus({}))
+        .catch(error => console.error('Error saving sync state:', error))
+    },
+
+    /** Subscribes to status changes (for `useSyncExternalStore`). */
+    subscribe: (listener) => {
+      statusListeners.add(listener)
+      return () => statusListeners.delete(listener)
+    },
+
+    /** Current status: `{ state, pending, lastSyncedAt, error, conflicts }`. */
+    getStatus: () => status,
+
+    /**
+     * Subscribes to changes pulled from other devices.
+     *
+     * @param {function(Array<Object>): void} listener - Receives applied changes
+     * @returns {function(): void} Unsubscribe function
+     */
+    onRemoteChanges: (listener) => {
+      changeListeners.add(listener)
+      return () => changeListeners.delete(listener)
+    }
+  }
+}
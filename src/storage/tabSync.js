@@ -0,0 +1,99 @@
+/**
+ * Multi-Tab Synchronization
+ *
+ * Staff often keep the dashboard open in several tabs (logging on one screen,
+ * analytics on another). Each tab holds its own React state, so every write is
+ * broadcast to the other tabs of this browser as a `{ method, args }`
+ * mutation, which they apply to their state with `applyMutation`.
+ *
+ * Messages travel over a BroadcastChannel, or through `storage` events on
+ * browsers without BroadcastChannel support.
+ *
+ * @module tabSync
+ */
+
+const CHANNEL_NAME = 'kre-students'
+// localStorage key used only to trigger `storage` events in other tabs
+const FALLBACK_KEY = 'kre-tab-message'
+
+/**
+ * Opens the channel shared by all tabs of the dashboard.
+ *
+ * @returns {{post: function(Object): void, subscribe: function(function(Object): void): function(): void}}
+ */
+export const createTabChannel = () => {
+  const listeners = new Set()
+  const notify = (message) => listeners.forEach(listener => listener(message))
+
+  let post
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (event) => notify(event.data)
+    post = (message) => channel.postMessage(message)
+  } else if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== FALLBACK_KEY || !event.newValue) return
+      try {
+        notify(JSON.parse(event.newValue).message)
+      } catch (error) {
+        console.error('Error reading tab message:', error)
+      }
+    })
+    // The nonce makes repeated identical messages still fire a storage event
+    post = (message) => {
+      localStorage.setItem(FALLBACK_KEY, JSON.stringify({ message, nonce: Math.random() }))
+      localStorage.removeItem(FALLBACK_KEY)
+    }
+  } else {
+    post = () => {}
+  }
+
+  return {
+    post: (message) => {
+      try {
+        post(message)
+      } catch (error) {
+        console.error('Error notifying other tabs:', error)
+      }
+    },
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+/**
+ * Broadcasts every successful write of an adapter to the other tabs.
+ *
+ * @param {import('./index').StorageAdapter} base - Adapter to wrap
+ * @param {Object} channel - Channel from `createTabChannel`
+ * @returns {import('./index').StorageAdapter} Adapter with `onOtherTabChange`
+ */
+export const withTabSync = (base, channel) => {
+  const broadcasting = (method) => async (...args) => {
+    await base[method](...args)
+    channel.post({ method, args })
+  }
+
+  return {
+    ...base,
+    save: broadcasting('save'),
+    addStudent: broadcasting('addStudent'),
+    updateStudent: broadcasting('updateStudent'),
+    deleteStudent: broadcasting('deleteStudent'),
+    addLog: broadcasting('addLog'),
+    updateLog: broadcasting('updateLog'),
+    deleteLog: broadcasting('deleteLog'),
+    saveSchedule: broadcasting('saveSchedule'),
+    // Other tabs still hold the old key and must unlock again. Only the fact
+    // that the passphrase changed is broadcast, never the passphrases.
+    ...(base.changePassphrase && {
+      changePassphrase: async (...args) => {
+        await base.changePassphrase(...args)
+        channel.post({ method: 'changePassphrase', args: [] })
+      }
+    }),
+    onOtherTabChange: (listener) => channel.subscribe(listener)
+  }
+}
@@ -1,18 +1,9 @@
 import { startOfDay, startOfWeek, startOfMonth, format, subDays, eachDayOfInterval, eachHourOfInterval, startOfHour, endOfDay } from 'date-fns'
-
-// Helper function to get timestamp from log (handles both old and new formats)
-const getLogTimestamp = (log) => {
-  // If timestamp exists and is a number, use it
-  if (typeof log.timestamp === 'number') {
-    return log.timestamp;
-  }
-  // If timestamp exists and is a string, parse it
-  if (typeof log.timestamp === 'string') {
-    return new Date(log.timestamp).getTime();
-  }
-  // Fallback to id (for backward compatibility)
-  return typeof log.id === 'number' ? log.id : new Date(log.id).getTime();
-}
+import { getLogTimestamp } from './logModel'
+import { DEFAULT_EMOTIONS, getEmotionColor, isNegativeEmotion } from './emotions'
+import { DEFAULT_SENSORY_SYSTEMS, withLoggedSystems, getSensorySystemColor } from './sensorySystems'
+import { getIntensityFraction, isHighIntensity } from './intensityScales'
+import { DEFAULT_MOOD_WINDOW } from './interventions'
 
 // Mood distribution for pie chart
 export const getMoodDistribution = (logs) => {
@@ -90,14 +81,15 @@ export const getTimeOfDayAnalysis = (logs) => {
   return moodsByHour.filter(h => h.total > 0)
 }
 
-// Sensory intensity data for heatmap
-export const getSensoryIntensityData = (logs, days = 7) => {
+// Sensory intensity data for heatmap; one row per day for every enabled
+// system and every other system that has logs. `intensity` is the average
+// position on each log's own scale, from 0 (no logs) to 1 (top of the scale).
+export const getSensoryIntensityData = (logs, days = 7, systems = DEFAULT_SENSORY_SYSTEMS) => {
   const endDate = new Date()
   const startDate = subDays(endDate, days - 1)
   const dates = eachDayOfInterval({ start: startDate, end: endDate })
   
-  const sensoryCategories = ['Visual', 'Auditory', 'Tactile']
-  const intensityValues = { 'Low': 1, 'Medium': 2, 'High': 3 }
+  const sensoryCategories = withLoggedSystems(systems, logs)
   
   const heatmapData = []
   
@@ -115,7 +107,7 @@ export const getSensoryIntensityData = (logs, days = 7) => {
       })
       
       const avgIntensity = dayLogs.length > 0
-        ? dayLogs.reduce((sum, log) => sum + (intensityValues[log.intensity] || 0), 0) / dayLogs.length
+        ? dayLogs.reduce((sum, log) => sum + (getIntensityFraction(log) || 0), 0) / dayLogs.length
         : 0
       
       heatmapData.push({
@@ -144,14 +136,18 @@ export const getSensoryIntensityData = (logs, days = 7) => {
  * 
  * @param {Array<Object>} logs - Array of student log entries, must be chronologically ordered
  * @param {string} logs[].type - Log type: 'sensory' or 'feeling'
- * @param {string} logs[].category - For sensory logs: 'Visual', 'Auditory', or 'Tactile'
- * @param {string} logs[].value - For feeling logs: 'Happy', 'Sad', 'Angry', or 'Anxious'
+ * @param {string} logs[].category - For sensory logs: a sensory system, e.g. 'Visual'
+ * @param {string} logs[].value - For feeling logs: an emotion label, e.g. 'Happy'
  * @param {number|string} logs[].timestamp - Unix timestamp or parseable date string
  * @param {number|string} logs[].id - Fallback timestamp if timestamp field is missing
+ * @param {Array<Object>} [emotions=DEFAULT_EMOTIONS] - Student's emotion vocabulary;
+ *   one mood per emotion label
+ * @param {Array<string>} [systems=DEFAULT_SENSORY_SYSTEMS] - Student's enabled sensory
+ *   systems; systems that were disabled but have logs are included too
  * 
  * @returns {Array<Object>} Correlation data for visualization and analysis
- * @returns {string} returns[].sensory - Sensory category ('Visual', 'Auditory', 'Tactile')
- * @returns {string} returns[].mood - Mood state ('Happy', 'Sad', 'Angry', 'Anxious')
+ * @returns {string} returns[].sensory - Sensory system (e.g. 'Visual', 'Vestibular')
+ * @returns {string} returns[].mood - Mood state, an emotion label
  * @returns {number} returns[].count - Number of times this sensory-mood pair was observed
  * 
  * @throws {Error} Throws if logs array contains invalid timestamp data
@@ -164,12 +160,12 @@ export const getSensoryIntensityData = (logs, days = 7) => {
  * const correlations = getSensoryMoodCorrelation(logs);
  * // Returns: [{ sensory: 'Auditory', mood: 'Anxious', count: 1 }]
  */
-export const getSensoryMoodCorrelation = (logs) => {
+export const getSensoryMoodCorrelation = (logs, emotions = DEFAULT_EMOTIONS, systems = DEFAULT_SENSORY_SYSTEMS) => {
   const correlations = []
   // Define the sensory categories and mood states we're tracking
   // These align with the application's logging interface
-  const sensoryCategories = ['Visual', 'Auditory', 'Tactile']
-  const moods = ['Happy', 'Sad', 'Angry', 'Anxious']
+  const sensoryCategories = withLoggedSystems(systems, logs)
+  const moods = emotions.map(emotion => emotion.label)
   
   // Create a correlation matrix by examining each sensory-mood combination
   sensoryCategories.forEach(category => {
@@ -269,10 +265,13 @@ export const getQuickStats = (logs) => {
  * 
  * @param {Array<Object>} logs - Student log entries sorted chronologically
  * @param {string} logs[].type - 'feeling' or 'sensory'
- * @param {string} logs[].value - For feelings: 'Happy', 'Sad', 'Angry', 'Anxious'
- * @param {string} logs[].intensity - For sensory: 'Low', 'Medium', 'High'
- * @param {string} logs[].category - For sensory: 'Visual', 'Auditory', 'Tactile'
+ * @param {string} logs[].value - For feelings: an emotion label, e.g. 'Happy'
+ * @param {string|number} logs[].intensity - For sensory: 'Low', 'Medium', 'High' or a
+ *   number with `intensityMax`; the top third of any scale counts as high
+ * @param {string} logs[].category - For sensory: a sensory system, e.g. 'Visual'
  * @param {number|string} logs[].timestamp - Unix timestamp or parseable date
+ * @param {Array<Object>} [emotions=DEFAULT_EMOTIONS] - Student's emotion vocabulary;
+ *   emotions with a negative valence count as negative
  * 
  * @returns {Array<Object>} Array of alert objects for UI notification
  * @returns {string} returns[].type - Alert severity: 'warning', 'info'
@@ -286,9 +285,9 @@ export const getQuickStats = (logs) => {
  *   { type: 'feeling', value: 'Anxious', timestamp: Date.now() }
  * ];
  * const alerts = detectPatterns(logs);
- * // Returns: [{ type: 'warning', message: '3 anxious/angry logs in the past 2 hours', timestamp: Date }]
+ * // Returns: [{ type: 'warning', message: '3 negative feelings (Anxious, Angry) logged in the past 2 hours', timestamp: Date }]
  */
-export const detectPatterns = (logs) => {
+export const detectPatterns = (logs, emotions = DEFAULT_EMOTIONS) => {
   const alerts = []
   // Define time boundaries for acute pattern detection
   const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000)
@@ -298,7 +297,7 @@ export const detectPatterns = (logs) => {
   const recentNegativeMoods = logs.filter(log => {
     const logTime = new Date(getLogTimestamp(log))
     return log.type === 'feeling' && 
-           (log.value === 'Anxious' || log.value === 'Angry') &&
+           isNegativeEmotion(log.value, emotions) &&
            logTime >= twoHoursAgo
   })
   
@@ -306,7 +305,7 @@ export const detectPatterns = (logs) => {
   if (recentNegativeMoods.length >= 3) {
     alerts.push({
       type: 'warning',
-      message: `${recentNegativeMoods.length} anxious/angry logs in the past 2 hours`,
+      message: `${recentNegativeMoods.length} negative feelings (${[...new Set(recentNegativeMoods.map(log => log.value))].join(', ')}) logged in the past 2 hours`,
       timestamp: new Date()
     })
   }
@@ -316,7 +315,7 @@ export const detectPatterns = (logs) => {
   const recentHighSensory = logs.filter(log => {
     const logTime = new Date(getLogTimestamp(log))
     return log.type === 'sensory' && 
-           log.intensity === 'High' &&
+           isHighIntensity(log) &&
            logTime >= twoHoursAgo
   })
   
@@ -361,7 +360,7 @@ export const detectPatterns = (logs) => {
   // PATTERN 4: Causal relationship detection (sensory trigger -> negative emotion)
   // Identifies when high sensory input precedes negative emotions, suggesting triggers
   logs.forEach((log, index) => {
-    if (log.type === 'sensory' && log.intensity === 'High') {
+    if (log.type === 'sensory' && isHighIntensity(log)) {
       const logTime = new Date(getLogTimestamp(log));
       // Look for negative emotions within 2 hours of high sensory input
       const twoHoursLater = new Date(logTime.getTime() + 2 * 60 * 60 * 1000);
@@ -373,7 +372,7 @@ export const detectPatterns = (logs) => {
         if (nextLogTime > twoHoursLater) break; // Outside correlation window
         
         // Found a negative emotion following high sensory input - potential trigger
-        if (nextLog.type === 'feeling' && (nextLog.value === 'Angry' || nextLog.value === 'Anxious')) {
+        if (nextLog.type === 'feeling' && isNegativeEmotion(nextLog.value, emotions)) {
           alerts.push({
             type: 'warning',
             message: `High ${log.category} input was followed by feeling ${nextLog.value}`,
@@ -388,6 +387,116 @@ export const detectPatterns = (logs) => {
   return alerts
 }
 
+// Incident texts are free text; wording that differs only in case or spacing counts as the same
+const normalizeIncidentText = (text) => text.trim().toLowerCase().replace(/\s+/g, ' ')
+
+// Groups incidents by a text field, keeping the first wording seen as the label
+const groupIncidentsBy = (logs, field) => {
+  const groups = new Map()
+  logs
+    .filter(log => log.type === 'incident' && typeof log[field] === 'string' && log[field].trim() !== '')
+    .forEach(log => {
+      const key = normalizeIncidentText(log[field])
+      if (!groups.has(key)) groups.set(key, { label: log[field].trim(), logs: [] })
+      groups.get(key).logs.push(log)
+    })
+  return [...groups.values()]
+}
+
+/**
+ * The antecedents that most often preceded an incident.
+ *
+ * @param {Array<Object>} logs - Logs to analyze; only incidents are counted
+ * @param {number} [limit=5] - Maximum number of antecedents
+ * @returns {Array<{label: string, count: number}>} Most frequent first
+ */
+export const getTopAntecedents = (logs, limit = 5) => {
+  return groupIncidentsBy(logs, 'antecedent')
+    .map(({ label, logs: incidents }) => ({ label, count: incidents.length }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit)
+}
+
+/**
+ * The consequences (responses) that de-escalated incidents, with how often
+ * they worked out of the incidents where the outcome was recorded.
+ *
+ * @param {Array<Object>} logs - Logs to analyze; only incidents are counted
+ * @param {number} [limit=5] - Maximum number of consequences
+ * @returns {Array<{label: string, deescalated: number, recorded: number}>}
+ *   Consequences that de-escalated at least once, most successful first
+ */
+export const getDeescalatingConsequences = (logs, limit = 5) => {
+  return groupIncidentsBy(logs, 'consequence')
+    .map(({ label, logs: incidents }) => ({
+      label,
+      deescalated: incidents.filter(log => log.deescalated === true).length,
+      recorded: incidents.filter(log => typeof log.deescalated === 'boolean').length
+    }))
+    .filter(outcome => outcome.deescalated > 0)
+    .sort((a, b) => b.deescalated - a.deescalated || b.deescalated / b.recorded - a.deescalated / a.recorded || a.label.localeCompare(b.label))
+    .slice(0, limit)
+}
+
+// Ranks strategies without any data for a measure last
+const compareRates = (a, b) => (b ?? -1) - (a ?? -1)
+
+/**
+ * How well each intervention strategy worked, by its follow-up ratings and
+ * by the first feeling logged after it within a window.
+ *
+ * @param {Array<Object>} logs - Logs to analyze
+ * @param {Object} [options]
+ * @param {number} [options.windowMinutes=DEFAULT_MOOD_WINDOW] - How long after an
+ *   intervention a feeling counts as the mood that followed it
+ * @param {Array<Object>} [options.emotions=DEFAULT_EMOTIONS] - Student's emotion
+ *   vocabulary; feelings without a negative valence count as positive
+ * @param {string} [options.rankBy='success'] - 'success' (share of rated uses
+ *   rated "Helped") or 'mood' (share of following feelings that were positive)
+ * @returns {Array<{strategy: string, uses: number, rated: number, helped: number,
+ *   successRate: number|null, followed: number, positiveMoodRate: number|null,
+ *   commonMood: string|null}>} One entry per strategy, best first; rates are
+ *   0–1, null without ratings or following feelings
+ */
+export const getStrategyEffectiveness = (logs, { windowMinutes = DEFAULT_MOOD_WINDOW, emotions = DEFAULT_EMOTIONS, rankBy = 'success' } = {}) => {
+  const windowMs = windowMinutes * 60 * 1000
+  const feelings = logs
+    .filter(log => log.type === 'feeling')
+    .map(log => ({ value: log.value, time: getLogTimestamp(log) }))
+    .filter(feeling => Number.isFinite(feeling.time))
+    .sort((a, b) => a.time - b.time)
+
+  const strategies = new Map()
+  logs.filter(log => log.type === 'intervention').forEach(log => {
+    if (!strategies.has(log.strategy)) {
+      strategies.set(log.strategy, { strategy: log.strategy, uses: 0, rated: 0, helped: 0, followed: 0, positive: 0, moods: {} })
+    }
+    const entry = strategies.get(log.strategy)
+    entry.uses++
+    if (log.outcome) entry.rated++
+    if (log.outcome === 'Helped') entry.helped++
+
+    const time = getLogTimestamp(log)
+    const next = Number.isFinite(time) && feelings.find(feeling => feeling.time > time && feeling.time <= time + windowMs)
+    if (next) {
+      entry.followed++
+      entry.moods[next.value] = (entry.moods[next.value] || 0) + 1
+      if (!isNegativeEmotion(next.value, emotions)) entry.positive++
+    }
+  })
+
+  const results = [...strategies.values()].map(({ positive, moods, ...entry }) => ({
+    ...entry,
+    successRate: entry.rated > 0 ? entry.helped / entry.rated : null,
+    positiveMoodRate: entry.followed > 0 ? positive / entry.followed : null,
+    commonMood: Object.entries(moods).sort(([, a], [, b]) => b - a)[0]?.[0] || null
+  }))
+  const [primary, secondary] = rankBy === 'mood' ? ['positiveMoodRate', 'successRate'] : ['successRate', 'positiveMoodRate']
+  return results.sort((a, b) =>
+    compareRates(a[primary], b[primary]) || compareRates(a[secondary], b[secondary]) || b.uses - a.uses
+  )
+}
+
 // Filter logs by date range
 export const filterLogsByDateRange = (logs, startDate, endDate) => {
   return logs.filter(log => {
@@ -396,23 +505,8 @@ export const filterLogsByDateRange = (logs, startDate, endDate) => {
   })
 }
 
-// Get mood colors for consistency
-export const getMoodColor = (mood) => {
-  const colors = {
-    Happy: '#10b981',    // green-500
-    Sad: '#8b5cf6',     // purple-500
-    Angry: '#ef4444',   // red-500
-    Anxious: '#f59e0b', // yellow-500
-  }
-  return colors[mood] || '#6b7280'
-}
+// Get mood colors for consistency; moods outside the vocabulary are gray
+export const getMoodColor = (mood, emotions = DEFAULT_EMOTIONS) => getEmotionColor(mood, emotions)
 
-// Get sensory colors
-export const getSensoryColor = (category) => {
-  const colors = {
-    Visual: '#3b82f6',   // blue-500
-    Auditory: '#ec4899', // pink-500
-    Tactile: '#14b8a6'   // teal-500
-  }
-  return colors[category] || '#6b7280'
-}
+// Get sensory colors (see utils/sensorySystems.js)
+export const getSensoryColor = (category) => getSensorySystemColor(category)
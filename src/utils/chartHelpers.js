@@ -13,6 +13,9 @@
  * @module chartHelpers
  */
 
+import { SENSORY_SYSTEM_NAMES } from './sensorySystems'
+import { getIntensityBand } from './intensityScales'
+
 /**
  * Processes student logs to generate data for the Feelings Breakdown chart.
  * 
@@ -27,9 +30,9 @@
  * 
  * @param {Array<Object>} logs - The student's complete log history
  * @param {string} logs[].type - Log entry type (must be 'feeling' for inclusion)
- * @param {string} logs[].value - Emotion name: 'Happy', 'Sad', 'Angry', or 'Anxious'
+ * @param {string} logs[].value - Emotion name from the student's vocabulary (e.g. 'Happy')
  * @param {number|string} logs[].timestamp - When the emotion was logged
- * @param {string} [logs[].description] - Optional context about the feeling
+ * @param {string} [logs[].notes] - Optional context about the feeling
  * 
  * @returns {Array<Object>} Data formatted for Recharts pie/bar charts
  * @returns {string} returns[].name - Emotion name for chart labeling
@@ -75,18 +78,23 @@ export const processFeelingsData = (logs) => {
  * understanding sensory processing patterns in neurodiverse students who may
  * have heightened sensitivities or specific sensory needs.
  * 
- * The function handles legacy log format compatibility by parsing the 'sensory'
- * field which combines category and intensity (e.g., "Visual - High"). It builds
- * a matrix showing how often each sensory category occurs at each intensity level.
+ * Legacy logs that stored a combined 'sensory' string (e.g., "Visual - High")
+ * are upgraded to separate `category` and `intensity` fields when loaded from
+ * storage (see storage/migrations.js), so only the structured fields are read
+ * here. It builds a matrix showing how often each sensory category occurs at
+ * each intensity level.
  * 
  * Only categories with recorded data are returned to keep visualizations focused
  * on relevant sensory experiences rather than showing empty categories.
  * 
  * @param {Array<Object>} logs - The student's complete log history
  * @param {string} logs[].type - Log entry type (must be 'sensory' for inclusion)
- * @param {string} logs[].sensory - Combined category and intensity string (e.g., "Auditory - Medium")
+ * @param {string} logs[].category - Sensory category (e.g., "Auditory")
+ * @param {string|number} logs[].intensity - 'Low', 'Medium' or 'High', or a number on
+ *   the 1 to `intensityMax` scale, which is counted as Low, Medium or High by
+ *   the third of the scale it falls in
  * @param {number|string} logs[].timestamp - When the sensory input was logged
- * @param {string} [logs[].description] - Optional context about the sensory experience
+ * @param {string} [logs[].notes] - Optional context about the sensory experience
  * 
  * @returns {Array<Object>} Data formatted for Recharts stacked bar charts
  * @returns {string} returns[].name - Sensory category name for x-axis labeling
@@ -94,13 +102,11 @@ export const processFeelingsData = (logs) => {
  * @returns {number} returns[].Medium - Count of medium-intensity experiences  
  * @returns {number} returns[].High - Count of high-intensity experiences
  * 
- * @throws {Error} May throw if log.sensory format is invalid (missing ' - ' separator)
- * 
  * @example
  * const logs = [
- *   { type: 'sensory', sensory: 'Visual - Low', timestamp: 1640995200000 },
- *   { type: 'sensory', sensory: 'Visual - High', timestamp: 1640998800000 },
- *   { type: 'sensory', sensory: 'Auditory - Medium', timestamp: 1641002400000 },
+ *   { type: 'sensory', category: 'Visual', intensity: 'Low', timestamp: 1640995200000 },
+ *   { type: 'sensory', category: 'Visual', intensity: 'High', timestamp: 1640998800000 },
+ *   { type: 'sensory', category: 'Auditory', intensity: 'Medium', timestamp: 1641002400000 },
  *   { type: 'feeling', value: 'Happy', timestamp: 1641006000000 } // Excluded
  * ];
  * 
@@ -111,31 +117,25 @@ export const processFeelingsData = (logs) => {
  * // ]
  */
 export const processSensoryData = (logs) => {
-  // Initialize all possible sensory categories with zero counts
-  // This comprehensive list covers the full range of sensory processing areas
-  // that may be relevant for neurodiverse students
-  const sensoryLevels = {
-    'Visual': { Low: 0, Medium: 0, High: 0 },           // Light, color, visual stimuli
-    'Auditory': { Low: 0, Medium: 0, High: 0 },         // Sound, noise, auditory input
-    'Tactile': { Low: 0, Medium: 0, High: 0 },          // Touch, texture, physical contact
-    'Olfactory': { Low: 0, Medium: 0, High: 0 },        // Smell, scents, chemical detection
-    'Gustatory': { Low: 0, Medium: 0, High: 0 },        // Taste, flavor, oral input
-    'Vestibular': { Low: 0, Medium: 0, High: 0 },       // Balance, spatial orientation
-    'Proprioception': { Low: 0, Medium: 0, High: 0 },   // Body position, muscle feedback
-  }
+  // Initialize all seven sensory systems with zero counts, in the standard
+  // order (see utils/sensorySystems.js), whether or not they are enabled for
+  // the student
+  const sensoryLevels = Object.fromEntries(
+    SENSORY_SYSTEM_NAMES.map(name => [name, { Low: 0, Medium: 0, High: 0 }])
+  )
 
   // Process each sensory log to extract category and intensity information
   logs
-    .filter(log => log.type === 'sensory' && log.sensory) // Only process valid sensory logs
+    .filter(log => log.type === 'sensory' && log.category) // Only process valid sensory logs
     .forEach(log => {
-      // Parse the legacy format "Category - Intensity" 
-      // This maintains compatibility with existing data while extracting structured info
-      const [type, level] = log.sensory.split(' - ')
+      const { category } = log
+      // Numeric intensities count in the third of their scale they fall in
+      const band = getIntensityBand(log)
       
-      // Validate that both category and intensity were successfully extracted
       // Only count entries with complete, valid data to maintain chart accuracy
-      if (sensoryLevels[type] && level) {
-        sensoryLevels[type][level] = (sensoryLevels[type][level] || 0) + 1
+      // (migrated records that could not be parsed may lack an intensity)
+      if (sensoryLevels[category] && band) {
+        sensoryLevels[category][band]++
       }
     })
 
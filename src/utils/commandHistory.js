@@ -0,0 +1,203 @@
+/**
+ * Command History
+ *
+ * Undo/redo stack for data mutations. Each command stores the mutations that
+ * perform it (`redo`) and the mutations that reverse it (`undo`) as plain
+ * `{ method, args }` storage adapter calls (see `applyMutation`), so the
+ * history can be kept in sessionStorage and survives a reload of the tab.
+ *
+ * Commands that replace the whole dataset (imports, restores) are kept in
+ * memory only; their data would fill the storage quota, and a "Before
+ * import" or "Before restore" restore point keeps it anyway. When the stored
+ * history still does not fit, the oldest commands are left out of it and
+ * `onSaveError` listeners are told how many will not survive a reload.
+ *
+ * While the data is encrypted, the stored history is encrypted with the same
+ * session key and can only be read back after unlocking.
+ *
+ * @module commandHistory
+ */
+
+import { encryptRecord, decryptRecord } from '../storage/crypto'
+
+const HISTORY_KEY = 'kre-history'
+const MAX_COMMANDS = 50
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Short description, e.g. "Deleted log"
+ * @property {Array<Object>} redo - Mutations that apply the command
+ * @property {Array<Object>} undo - Mutations that reverse it
+ * @property {boolean} [destructive] - Whether the UI should offer an undo toast
+ */
+
+const EMPTY_HISTORY = { past: [], future: [] }
+
+const isHistory = (value) => Boolean(value && Array.isArray(value.past) && Array.isArray(value.future))
+
+const isBulk = (command) => [...command.redo, ...command.undo].some(mutation => mutation.method === 'save')
+
+// Commands beyond a bulk command cannot be replayed without it, so the stored
+// history stops at the nearest one in either direction
+const toStoredHistory = ({ past, future }) => {
+  const lastBulk = past.map(isBulk).lastIndexOf(true)
+  const firstBulk = future.findIndex(isBulk)
+  return { past: past.slice(lastBulk + 1), future: firstBulk === -1 ? future : future.slice(0, firstBulk) }
+}
+
+// Leaves out the command farthest from the present: the last redo, or else
+// the oldest undo
+const withoutFarthest = ({ past, future }) => {
+  return future.length > 0 ? { past, future: future.slice(0, -1) } : { past: past.slice(1), future }
+}
+
+const readStored = () => {
+  try {
+    const saved = sessionStorage.getItem(HISTORY_KEY)
+    return saved ? JSON.parse(saved) : null
+  } catch (error) {
+    console.error('Error reading undo history:', error)
+    return null
+  }
+}
+
+/**
+ * Creates the undo/redo history for this tab.
+ *
+ * @returns {Object} History API; `getSnapshot()` returns `{ past, future }`
+ *   and is compatible with `useSyncExternalStore`
+ */
+export const createCommandHistory = () => {
+  const stored = readStored()
+  let history = isHistory(stored) ? stored : EMPTY_HISTORY
+  // Encrypted history is restored by `setEncryptionKey` after unlocking
+  let isSealed = Boolean(stored?.encrypted)
+  let key = null
+
+  const listeners = new Set()
+  const errorListeners = new Set()
+
+  // Returns false when the stored history does not fit the quota
+  const tryStore = async (stored) => {
+    const json = JSON.stringify(await encryptRecord(key, stored, []))
+    try {
+      sessionStorage.setItem(HISTORY_KEY, json)
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  // Encryption is async, so writes are queued to keep them in order
+  let writes = Promise.resolve()
+  const writeHistory = () => {
+    const { past, future } = history
+    writes = writes
+      .then(async () => {
+        const planned = toStoredHistory({ past, future })
+        let stored = planned
+        while (!(await tryStore(stored))) {
+          if (stored.past.length === 0 && stored.future.length === 0) {
+            sessionStorage.removeItem(HISTORY_KEY)
+            break
+          }
+          stored = withoutFarthest(stored)
+        }
+        const lost = planned.past.length + planned.future.length - stored.past.length - stored.future.length
+        if (lost > 0) errorListeners.forEach(listener => listener(lost))
+      })
+      .catch(error => console.error('Error saving undo history:', error))
+  }
+
+  // History objects are replaced, never mutated, so React can compare snapshots
+  const setHistory = (next) => {
+    history = next
+    writeHistory()
+    listeners.forEach(listener => listener())
+  }
+
+  return {
+    /**
+     * Sets the key the stored history is encrypted with, once the data has
+     * loaded and whenever its passphrase changes. The first call restores
+     * history that was stored encrypted.
+     *
+     * @param {CryptoKey|null} nextKey - Session key, or null when unencrypted
+     * @returns {Promise<void>}
+     */
+    setEncryptionKey: async (nextKey) => {
+      if (isSealed) {
+        isSealed = false
+        try {
+          const restored = await decryptRecord(nextKey, stored)
+          if (isHistory(restored)) history = restored
+        } catch (error) {
+          // e.g. encrypted with a passphrase that was since changed in another tab
+          console.error('Error reading undo history:', error)
+        }
+      }
+      key = nextKey
+      setHistory(history)
+    },
+
+    /**
+     * Records a command that has just been performed. Clears the redo stack.
+     *
+     * @param {Command} command - Performed command
+     */
+    record: (command) => {
+      setHistory({ past: [...history.past, command].slice(-MAX_COMMANDS), future: [] })
+    },
+
+    /**
+     * Moves the latest command to the redo stack.
+     *
+     * @returns {Command|null} Command whose `undo` mutations should be applied
+     */
+    undo: () => {
+      const command = history.past[history.past.length - 1]
+      if (!command) return null
+      setHistory({ past: history.past.slice(0, -1), future: [command, ...history.future] })
+      return command
+    },
+
+    /**
+     * Moves the latest undone command back to the undo stack.
+     *
+     * @returns {Command|null} Command whose `redo` mutations should be applied
+     */
+    redo: () => {
+      const [command, ...future] = history.future
+      if (!command) return null
+      setHistory({ past: [...history.past, command], future })
+      return command
+    },
+
+    /**
+     * Forgets all commands, e.g. after data was purged so undo cannot bring
+     * it back.
+     */
+    clear: () => {
+      setHistory({ past: [], future: [] })
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    /**
+     * Subscribes to saves that had to leave commands out for lack of space.
+     *
+     * @param {function(number): void} listener - Receives the number of
+     *   commands that would otherwise have been kept across a reload
+     * @returns {function(): void} Unsubscribe function
+     */
+    onSaveError: (listener) => {
+      errorListeners.add(listener)
+      return () => errorListeners.delete(listener)
+    },
+
+    getSnapshot: () => history
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * CSV Export
+ *
+ * Turns logs into a spreadsheet-friendly CSV file: one row per log, with the
+ * type, feeling, sensory category, intensity, the intervention and incident
+ * fields, notes and environmental factors each in their own column. Timestamps are ISO 8601 in a chosen IANA
+ * timezone (the school's), including the UTC offset, e.g.
+ * `2024-05-01T10:30:00-04:00`.
+ *
+ * @module csvExport
+ */
+
+import { formatStaffList, formatDeescalated } from './incidents'
+
+export const CSV_COLUMNS = [
+  { key: 'student', label: 'Student', getValue: (log, student) => student.name },
+  { key: 'timestamp', label: 'Timestamp', getValue: (log, student, timeZone) => formatIsoInTimeZone(log.timestamp, timeZone) },
+  { key: 'type', label: 'Type', getValue: (log) => log.type },
+  { key: 'feeling', label: 'Feeling', getValue: (log) => (log.type === 'feeling' ? log.value : '') },
+  { key: 'category', label: 'Sensory Category', getValue: (log) => (log.type === 'sensory' ? log.category : '') },
+  { key: 'intensity', label: 'Intensity', getValue: (log) => log.intensity },
+  // Top of the numeric scale a numeric intensity was recorded on; empty for Low/Medium/High
+  { key: 'intensityMax', label: 'Intensity Max', getValue: (log) => log.intensityMax },
+  { key: 'strategy', label: 'Strategy', getValue: (log) => log.strategy },
+  { key: 'outcome', label: 'Outcome', getValue: (log) => log.outcome },
+  // ID of the log that prompted an intervention; matches the Log ID column
+  { key: 'promptedBy', label: 'Prompted By Log ID', getValue: (log) => log.promptedBy },
+  { key: 'antecedent', label: 'Antecedent', getValue: (log) => log.antecedent },
+  { key: 'behavior', label: 'Behavior', getValue: (log) => log.behavior },
+  { key: 'consequence', label: 'Consequence', getValue: (log) => log.consequence },
+  { key: 'severity', label: 'Severity', getValue: (log) => log.severity },
+  { key: 'durationMinutes', label: 'Duration (minutes)', getValue: (log) => log.durationMinutes },
+  { key: 'staffInvolved', label: 'Staff Involved', getValue: (log) => formatStaffList(log.staffInvolved) },
+  { key: 'deescalated', label: 'De-escalated', getValue: (log) => (log.type === 'incident' ? formatDeescalated(log) : '') },
+  { key: 'notes', label: 'Notes', getValue: (log) => log.notes },
+  { key: 'environmentalFactors', label: 'Environmental Factors', getValue: (log) => log.environmentalFactors },
+  { key: 'logId', label: 'Log ID', getValue: (log) => log.id }
+]
+
+// Columns selected when the export dialog first opens
+export const DEFAULT_CSV_COLUMNS = CSV_COLUMNS.filter(column => !['promptedBy', 'logId'].includes(column.key)).map(column => column.key)
+
+/**
+ * The device's timezone, used when no school timezone is configured.
+ *
+ * @returns {string} IANA timezone name
+ */
+export const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+/**
+ * Checks whether the browser recognizes an IANA timezone name.
+ *
+ * @param {string} timeZone - Timezone name, e.g. 'America/New_York'
+ * @returns {boolean} True if it can be used for formatting
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return Boolean(timeZone)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone.
+ *
+ * @param {number} timestamp - Unix milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   Calendar fields (month 1-12)
+ */
+export const getZonedParts = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp))
+  const values = {}
+  parts.forEach(({ type, value }) => { values[type] = Number(value) })
+  return values
+}
+
+// Minutes the timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(timestamp, timeZone)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000)
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+/**
+ * Formats a timestamp as ISO 8601 with the timezone's UTC offset.
+ *
+ * @param {number|null} timestamp - Unix milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} e.g. '2024-05-01T10:30:00-04:00', or '' without a timestamp
+ */
+export const formatIsoInTimeZone = (timestamp, timeZone) => {
+  if (!Number.isFinite(timestamp)) return ''
+  const { year, month, day, hour, minute, second } = getZonedParts(timestamp, timeZone)
+  const offset = getOffsetMinutes(timestamp, timeZone)
+  const sign = offset < 0 ? '-' : '+'
+  const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${zone}`
+}
+
+/**
+ * Start of a calendar day in a timezone.
+ *
+ * @param {string} date - Day as 'YYYY-MM-DD'
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Unix milliseconds of local midnight
+ */
+export const getZonedDayStart = (date, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number)
+  const midnightUtc = Date.UTC(year, month - 1, day)
+  // Re-check the offset at the result in case midnight falls across a DST change
+  const guess = midnightUtc - getOffsetMinutes(midnightUtc, timeZone) * 60000
+  return midnightUtc - getOffsetMinutes(guess, timeZone) * 60000
+}
+
+// 'YYYY-MM-DD' of the following calendar day
+const getNextDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10)
+}
+
+/**
+ * Converts a custom day range to timestamps.
+ *
+ * @param {string} fromDate - First day included ('YYYY-MM-DD'), or '' for no start
+ * @param {string} toDate - Last day included ('YYYY-MM-DD'), or '' for no end
+ * @param {string} timeZone - IANA timezone the days are in
+ * @returns {{from: number|null, to: number|null}} Inclusive start, exclusive end
+ */
+export const getDayRange = (fromDate, toDate, timeZone) => ({
+  from: fromDate ? getZonedDayStart(fromDate, timeZone) : null,
+  to: toDate ? getZonedDayStart(getNextDate(toDate), timeZone) : null
+})
+
+/**
+ * Range covering the last few calendar days, today included, as counted in a
+ * timezone (the Analytics "Last N days" ranges).
+ *
+ * @param {number|null} days - Number of days, or null for all time
+ * @param {string} timeZone - IANA timezone the days are in
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{from: number|null, to: null}} Inclusive start; open end
+ */
+export const getRecentDaysRange = (days, timeZone, now = Date.now()) => {
+  if (days === null) return { from: null, to: null }
+  const { year, month, day } = getZonedParts(now, timeZone)
+  const firstDay = new Date(Date.UTC(year, month - 1, day - (days - 1))).toISOString().slice(0, 10)
+  return { from: getZonedDayStart(firstDay, timeZone), to: null }
+}
+
+/**
+ * Keeps the logs inside a time range. With an open range, logs without a
+ * timestamp are kept too.
+ *
+ * @param {Array<Object>} logs - Logs to filter
+ * @param {{from: number|null, to: number|null}} range - Inclusive start, exclusive end
+ * @returns {Array<Object>} Logs in range
+ */
+export const filterLogsByRange = (logs, { from, to }) => {
+  if (from === null && to === null) return logs
+  return logs.filter(log => Number.isFinite(log.timestamp)
+    && (from === null || log.timestamp >= from)
+    && (to === null || log.timestamp < to))
+}
+
+/**
+ * Quotes a value for CSV. Values that spreadsheets would run as formulas are
+ * prefixed with an apostrophe.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return ''
+  let text = String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Builds a CSV file of logs, oldest first.
+ *
+ * @param {Array<Object>} students - Students whose logs are exported
+ * @param {Object} options
+ * @param {Array<string>} options.columns - `CSV_COLUMNS` keys to include
+ * @param {{from: number|null, to: number|null}} options.range - Time range
+ * @param {string} options.timeZone - IANA timezone for timestamps
+ * @returns {{csv: string, rowCount: number}} CSV text (CRLF line endings) and number of logs
+ */
+export const buildLogsCsv = (students, { columns, range, timeZone }) => {
+  const selected = CSV_COLUMNS.filter(column => columns.includes(column.key))
+  const rows = students
+    .flatMap(student => filterLogsByRange(student.logs, range).map(log => ({ student, log })))
+    .sort((a, b) => (a.log.timestamp ?? 0) - (b.log.timestamp ?? 0))
+
+  const lines = [
+    selected.map(column => escapeCsvValue(column.label)).join(','),
+    ...rows.map(({ student, log }) => selected
+      .map(column => escapeCsvValue(column.getValue(log, student, timeZone)))
+      .join(','))
+  ]
+  return { csv: `${lines.join('\r\n')}\r\n`, rowCount: rows.length }
+}
@@ -0,0 +1,283 @@
+/**
+ * CSV Import
+ *
+ * Turns spreadsheet mood logs into log entries. The import wizard maps CSV
+ * columns to log fields; values are then normalized to the app's vocabulary
+ * (e.g. "high", "H" or "3" become `High`). Numeric intensities are kept on
+ * their 1–5 or 1–10 scale, taken from an "Intensity Max" column (as in this
+ * app's CSV export) or else from the student's scale for the sensory system.
+ * Rows that cannot be turned into a valid log are rejected with the reasons,
+ * never half-imported. Incident and intervention rows from the CSV export are
+ * skipped with a reason instead, since they cannot be rebuilt from a row.
+ *
+ * @module csvImport
+ */
+
+import { FEELINGS, SENSORY_CATEGORIES, INTENSITIES, createLog } from './logModel'
+import { INTENSITY_SCALES, getIntensityScale } from './intensityScales'
+
+/** Log fields a CSV column can be mapped to, with header names recognized automatically. */
+export const IMPORT_FIELDS = [
+  { key: 'type', label: 'Type', aliases: ['type', 'log type', 'kind'] },
+  { key: 'feeling', label: 'Feeling', aliases: ['feeling', 'emotion', 'mood', 'value'] },
+  { key: 'category', label: 'Sensory Category', aliases: ['category', 'sensory category', 'sensory', 'sense'] },
+  { key: 'intensity', label: 'Intensity', aliases: ['intensity', 'level', 'strength'] },
+  { key: 'intensityMax', label: 'Intensity Max', aliases: ['intensity max', 'max intensity', 'scale max', 'out of'] },
+  { key: 'timestamp', label: 'Time', aliases: ['timestamp', 'time', 'date', 'date/time', 'datetime', 'when'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'description', 'comments', 'comment'] },
+  { key: 'environmentalFactors', label: 'Environmental Factors', aliases: ['environmental factors', 'environment', 'setting', 'context'] }
+]
+
+const TYPE_ALIASES = {
+  feeling: ['feeling', 'feelings', 'emotion', 'mood', 'f'],
+  sensory: ['sensory', 'sense', 'senses', 's']
+}
+
+// Exported log types this import leaves out, with the reason shown for each row
+const SKIPPED_TYPES = {
+  incident: 'Incident reports are not imported; their staff and follow-up details need the incident form',
+  intervention: 'Interventions are not imported; the log IDs they point to change on import'
+}
+
+const INTENSITY_ALIASES = {
+  Low: ['low', 'l', '1', 'lo', 'mild'],
+  Medium: ['medium', 'm', '2', 'med', 'mid', 'moderate'],
+  High: ['high', 'h', '3', 'hi', 'severe', 'strong']
+}
+
+const INTENSITY_MAXIMUMS = Object.values(INTENSITY_SCALES).map(scale => scale.max).filter(Boolean)
+
+// Plain numbers below this are Unix seconds rather than milliseconds
+const MAX_UNIX_SECONDS = 1e11
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF).
+ * Blank lines are kept as rows of empty cells so row numbers match the file.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  const input = text.replace(/^\uFEFF/, '')
+
+  const endRow = () => {
+    row.push(cell)
+    rows.push(row)
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow()
+  return rows
+}
+
+/**
+ * Suggests a column for each log field from the header row.
+ *
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object<string, number|null>} Column index per `IMPORT_FIELDS` key
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase())
+  const mapping = {}
+  IMPORT_FIELDS.forEach(field => {
+    const index = normalized.findIndex(header => field.aliases.includes(header))
+    mapping[field.key] = index === -1 ? null : index
+  })
+  return mapping
+}
+
+const matchAlias = (value, aliases) => {
+  const normalized = value.trim().toLowerCase()
+  return Object.keys(aliases).find(key => aliases[key].includes(normalized)) || null
+}
+
+const matchVocabulary = (value, vocabulary) => {
+  const normalized = value.trim().toLowerCase()
+  return vocabulary.find(term => term.toLowerCase() === normalized) || null
+}
+
+/**
+ * Normalizes an intensity such as "high", "H" or "3" to the Low/Medium/High scale.
+ *
+ * @param {string} value - Raw cell value
+ * @returns {string|null} 'Low', 'Medium' or 'High', or null if unrecognized
+ */
+export const normalizeIntensity = (value) => matchAlias(value, INTENSITY_ALIASES)
+
+/**
+ * Reads an intensity on a numeric scale. Low/Medium/High words are kept as
+ * levels, like legacy logs on any scale.
+ *
+ * @param {string} value - Raw cell value, e.g. "7" or "High"
+ * @param {number} max - Top of the scale (5 or 10)
+ * @returns {{intensity: number|string, intensityMax?: number}|null} Log
+ *   fields, or null if the value is not on the scale
+ */
+export const parseScaledIntensity = (value, max) => {
+  const text = value.trim()
+  if (!/^\d+$/.test(text)) {
+    const level = matchAlias(text, INTENSITY_ALIASES)
+    return level && { intensity: level }
+  }
+  const number = Number(text)
+  return number >= 1 && number <= max ? { intensity: number, intensityMax: max } : null
+}
+
+/**
+ * Parses a time cell: ISO 8601 or other dates the browser understands, or a
+ * Unix timestamp in seconds or milliseconds. A leading apostrophe (added by
+ * spreadsheets and our CSV export) is ignored.
+ *
+ * @param {string} value - Raw cell value
+ * @returns {number|null} Unix milliseconds, or null if unparseable
+ */
+export const parseImportTime = (value) => {
+  const text = value.trim().replace(/^'/, '')
+  if (/^\d+$/.test(text)) {
+    const number = Number(text)
+    return number < MAX_UNIX_SECONDS ? number * 1000 : number
+  }
+  const parsed = Date.parse(text)
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+const readCell = (row, index) => (index === null || index === undefined ? '' : (row[index] || '').trim())
+
+/**
+ * Converts one data row to log entries. A row with both a feeling and a
+ * sensory category but no type becomes one feeling and one sensory log.
+ *
+ * @param {Array<string>} row - Cells
+ * @param {Object<string, number|null>} mapping - Column index per field
+ * @param {number} now - Current time; later times are rejected
+ * @param {Array<string>} feelings - Accepted feeling labels
+ * @param {Object} intensityScales - Student's intensity scale per sensory system
+ * @returns {{logs: Array<Object>, reasons: Array<string>, skipReason?: string}}
+ *   Logs (without IDs), rejection reasons, or why the row is skipped
+ */
+const convertRow = (row, mapping, now, feelings, intensityScales) => {
+  const cell = (key) => readCell(row, mapping[key])
+  const reasons = []
+
+  const skipReason = SKIPPED_TYPES[cell('type').toLowerCase()]
+  if (skipReason) return { logs: [], reasons, skipReason }
+
+  const timestamp = parseImportTime(cell('timestamp'))
+  if (!cell('timestamp')) reasons.push('Time is missing')
+  else if (timestamp === null) reasons.push(`Time "${cell('timestamp')}" is not a date`)
+  else if (timestamp > now) reasons.push('Time is in the future')
+
+  let types
+  if (cell('type')) {
+    const type = matchAlias(cell('type'), TYPE_ALIASES)
+    if (!type) reasons.push(`Type "${cell('type')}" is not feeling or sensory`)
+    types = type ? [type] : []
+  } else {
+    types = [cell('feeling') && 'feeling', cell('category') && 'sensory'].filter(Boolean)
+    if (types.length === 0) reasons.push('Row has neither a feeling nor a sensory category')
+  }
+
+  const shared = {
+    timestamp,
+    ...(cell('notes') && { notes: cell('notes') }),
+    ...(cell('environmentalFactors') && { environmentalFactors: cell('environmentalFactors') })
+  }
+
+  const logs = types.map(type => {
+    if (type === 'feeling') {
+      const feeling = matchVocabulary(cell('feeling'), feelings)
+      if (!cell('feeling')) reasons.push('Feeling is missing')
+      else if (!feeling) reasons.push(`Feeling "${cell('feeling')}" is not one of ${feelings.join(', ')}`)
+      return { type, value: feeling, ...shared }
+    }
+    const category = matchVocabulary(cell('category'), SENSORY_CATEGORIES)
+    if (!cell('category')) reasons.push('Sensory category is missing')
+    else if (!category) reasons.push(`Category "${cell('category')}" is not one of ${SENSORY_CATEGORIES.join(', ')}`)
+
+    // An empty "Intensity Max" marks a Low/Medium/High log in our export
+    const hasMaxColumn = mapping.intensityMax !== null && mapping.intensityMax !== undefined
+    const max = cell('intensityMax')
+      ? Number(cell('intensityMax'))
+      : !hasMaxColumn && category && INTENSITY_SCALES[getIntensityScale({ intensityScales }, category)].max
+    let intensity = null
+    if (cell('intensityMax') && !INTENSITY_MAXIMUMS.includes(max)) {
+      reasons.push(`Intensity max "${cell('intensityMax')}" is not one of ${INTENSITY_MAXIMUMS.join(', ')}`)
+    } else if (!cell('intensity')) {
+      reasons.push('Intensity is missing')
+    } else if (max) {
+      intensity = parseScaledIntensity(cell('intensity'), max)
+      if (!intensity) reasons.push(`Intensity "${cell('intensity')}" is not a whole number from 1 to ${max}`)
+    } else {
+      const level = normalizeIntensity(cell('intensity'))
+      if (!level) reasons.push(`Intensity "${cell('intensity')}" is not one of ${INTENSITIES.join(', ')}`)
+      intensity = level && { intensity: level }
+    }
+    return { type, category, ...intensity, ...shared }
+  })
+
+  return reasons.length > 0 ? { logs: [], reasons } : { logs, reasons }
+}
+
+/**
+ * Converts mapped CSV rows to new logs.
+ *
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {Object<string, number|null>} mapping - Column index per `IMPORT_FIELDS` key
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Import time; later log times are rejected
+ * @param {Array<string>} [options.feelings=FEELINGS] - Accepted feeling labels (the
+ *   student's emotion vocabulary)
+ * @param {Object} [options.intensityScales={}] - Student's intensity scale per
+ *   sensory system, used when no "Intensity Max" column is mapped
+ * @returns {{logs: Array<Object>, rejected: Array<{rowNumber: number, reasons: Array<string>}>,
+ *   skipped: Array<{rowNumber: number, reason: string}>}} Valid logs, the rejected
+ *   rows and the skipped incident/intervention rows (numbered as in the file, header = 1)
+ */
+export const convertRows = (rows, mapping, { now = Date.now(), feelings = FEELINGS, intensityScales = {} } = {}) => {
+  const logs = []
+  const rejected = []
+  const skipped = []
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2
+    if (row.every(value => value.trim() === '')) return
+    const result = convertRow(row, mapping, now, feelings, intensityScales)
+    if (result.skipReason) {
+      skipped.push({ rowNumber, reason: result.skipReason })
+      return
+    }
+    if (result.reasons.length > 0) {
+      rejected.push({ rowNumber, reasons: result.reasons })
+      return
+    }
+    result.logs.forEach(log => logs.push(createLog(log, { now })))
+  })
+  return { logs, rejected, skipped }
+}
@@ -0,0 +1,227 @@
+/**
+ * Data Export/Import Bundles
+ *
+ * A bundle is a versioned JSON file holding the whole dataset (students with
+ * their logs, schedules, revisions and Trash state) so data can be moved to
+ * another machine:
+ *
+ * ```json
+ * { "format": "kre-dashboard-export", "schemaVersion": 2, "exportedAt": 0, "students": [ ... ] }
+ * ```
+ *
+ * Imported bundles from older schema versions are migrated first, then
+ * validated against the current log schema before anything is written.
+ *
+ * @module dataBundle
+ */
+
+import { SCHEMA_VERSION, migrateStudents } from '../storage/migrations'
+import { validateLog } from './logModel'
+import { isPresetList } from './logPresets'
+
+export const BUNDLE_FORMAT = 'kre-dashboard-export'
+
+export const IMPORT_MODES = {
+  // Every current student is replaced by the bundle's students
+  REPLACE: 'replace',
+  // Bundle records are added, or win over current records with the same ID
+  MERGE: 'merge'
+}
+
+// Further errors are summarized as a count
+const MAX_REPORTED_ERRORS = 10
+
+/**
+ * Wraps the dataset in an export bundle.
+ *
+ * @param {Array<Object>} students - All students, including trashed ones
+ * @param {number} [exportedAt=Date.now()] - Export time
+ * @returns {Object} Bundle ready for `JSON.stringify`
+ */
+export const createBundle = (students, exportedAt = Date.now()) => ({
+  format: BUNDLE_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt,
+  students
+})
+
+/**
+ * Suggested file name for a bundle, e.g. `kre-dashboard-2024-05-01.json`.
+ *
+ * @param {number} exportedAt - Export time
+ * @returns {string} File name
+ */
+export const getBundleFileName = (exportedAt) => {
+  return `kre-dashboard-${new Date(exportedAt).toISOString().slice(0, 10)}.json`
+}
+
+const isId = (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value !== '')
+const isOptionalTime = (value) => value === undefined || value === null || Number.isFinite(value)
+
+const validateStudent = (student, path) => {
+  if (!student || typeof student !== 'object') return [`${path} is not an object`]
+  const errors = []
+  if (!isId(student.id)) errors.push(`${path} has no valid id`)
+  if (typeof student.name !== 'string' || !student.name.trim()) errors.push(`${path} has no name`)
+  if (!isOptionalTime(student.trashedAt)) errors.push(`${path}.trashedAt is not a time`)
+  if (!isOptionalTime(student.archivedAt)) errors.push(`${path}.archivedAt is not a time`)
+  if (!isOptionalTime(student.anonymizedAt)) errors.push(`${path}.anonymizedAt is not a time`)
+  if (student.schedule !== undefined && student.schedule !== null && !Array.isArray(student.schedule)) {
+    errors.push(`${path}.schedule is not a list`)
+  }
+  if (student.emotions !== undefined && student.emotions !== null &&
+    (!Array.isArray(student.emotions) || student.emotions.some(emotion => typeof emotion?.label !== 'string'))) {
+    errors.push(`${path}.emotions is not a list of emotions`)
+  }
+  if (student.sensorySystems !== undefined && student.sensorySystems !== null &&
+    (!Array.isArray(student.sensorySystems) || student.sensorySystems.some(system => typeof system !== 'string'))) {
+    errors.push(`${path}.sensorySystems is not a list of names`)
+  }
+  if (student.intensityScales !== undefined && student.intensityScales !== null &&
+    (typeof student.intensityScales !== 'object' || Array.isArray(student.intensityScales))) {
+    errors.push(`${path}.intensityScales is not an object`)
+  }
+  if (student.strategies !== undefined && student.strategies !== null &&
+    (!Array.isArray(student.strategies) || student.strategies.some(strategy => typeof strategy !== 'string'))) {
+    errors.push(`${path}.strategies is not a list of names`)
+  }
+  if (student.logPresets !== undefined && student.logPresets !== null && !isPresetList(student.logPresets)) {
+    errors.push(`${path}.logPresets is not a list of presets`)
+  }
+  if (!Array.isArray(student.logs)) return [...errors, `${path}.logs is not a list`]
+
+  const logIds = new Set()
+  student.logs.forEach((log, index) => {
+    const logPath = `${path}.logs[${index}]`
+    errors.push(...validateLog(log, logPath))
+    if (log && logIds.has(log.id)) errors.push(`${logPath} repeats log id ${log.id}`)
+    if (log) logIds.add(log.id)
+  })
+  return errors
+}
+
+/**
+ * Validates students in the current schema shape.
+ *
+ * @param {Array<Object>} students - Students to check
+ * @returns {Array<string>} Human-readable problems (empty when valid)
+ */
+export const validateStudents = (students) => {
+  if (!Array.isArray(students)) return ['The bundle has no students list']
+  const errors = []
+  const studentIds = new Set()
+  students.forEach((student, index) => {
+    const path = `students[${index}]`
+    errors.push(...validateStudent(student, path))
+    if (student && studentIds.has(student.id)) errors.push(`${path} repeats student id ${student.id}`)
+    if (student) studentIds.add(student.id)
+  })
+  return errors
+}
+
+/**
+ * Parses and validates an export bundle, migrating older schemas.
+ *
+ * @param {string} text - Bundle file contents
+ * @returns {{students: Array<Object>, exportedAt: number|null, schemaVersion: number}} Imported data
+ * @throws {Error} With an `errors` list if the file is not a valid bundle
+ */
+export const parseBundle = (text) => {
+  const fail = (errors) => {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS)
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`)
+    return Object.assign(new Error('The file is not a valid dashboard export'), { errors: shown })
+  }
+
+  let bundle
+  try {
+    bundle = JSON.parse(text)
+  } catch {
+    throw fail(['The file is not valid JSON'])
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) throw fail(['The file is not a dashboard export'])
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw fail(['The export has no valid schema version'])
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    throw fail([`The export uses schema version ${bundle.schemaVersion}; update the app to import it`])
+  }
+  if (!Array.isArray(bundle.students)) throw fail(['The bundle has no students list'])
+
+  let students
+  try {
+    students = migrateStudents(bundle.students, bundle.schemaVersion)
+  } catch (error) {
+    throw fail([`The students could not be upgraded: ${error.message}`])
+  }
+  const errors = validateStudents(students)
+  if (errors.length > 0) throw fail(errors)
+  return {
+    students,
+    exportedAt: Number.isFinite(bundle.exportedAt) ? bundle.exportedAt : null,
+    schemaVersion: bundle.schemaVersion
+  }
+}
+
+const mergeById = (current, incoming, merge = (a, b) => b) => {
+  const incomingById = new Map(incoming.map(item => [item.id, item]))
+  const merged = current.map(item => (incomingById.has(item.id) ? merge(item, incomingById.get(item.id)) : item))
+  const currentIds = new Set(current.map(item => item.id))
+  return [...merged, ...incoming.filter(item => !currentIds.has(item.id))]
+}
+
+/**
+ * Builds the dataset that results from importing.
+ *
+ * In merge mode, imported students and logs win over current ones with the
+ * same ID; records only present locally are kept.
+ *
+ * @param {Array<Object>} current - Current students
+ * @param {Array<Object>} incoming - Imported students
+ * @param {string} mode - One of `IMPORT_MODES`
+ * @returns {Array<Object>} Resulting students
+ */
+export const applyImport = (current, incoming, mode) => {
+  if (mode === IMPORT_MODES.REPLACE) return incoming
+  return mergeById(current, incoming, (student, imported) => ({
+    ...student,
+    ...imported,
+    // Logs are kept newest first
+    logs: mergeById(student.logs, imported.logs).sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0))
+  }))
+}
+
+const countChanges = (before, after) => {
+  const beforeById = new Map(before.map(item => [item.id, item]))
+  const afterIds = new Set(after.map(item => item.id))
+  const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 }
+  after.forEach(item => {
+    if (!beforeById.has(item.id)) counts.added++
+    else if (JSON.stringify(beforeById.get(item.id)) === JSON.stringify(item)) counts.unchanged++
+    else counts.updated++
+  })
+  counts.removed = before.filter(item => !afterIds.has(item.id)).length
+  return counts
+}
+
+const flattenLogs = (students) => students.flatMap(student => {
+  return student.logs.map(log => ({ ...log, id: `${student.id}:${log.id}` }))
+})
+
+/**
+ * Summarizes what an import will change.
+ *
+ * @param {Array<Object>} current - Current students
+ * @param {Array<Object>} incoming - Imported students
+ * @param {string} mode - One of `IMPORT_MODES`
+ * @returns {{students: Object, logs: Object}} `{ added, updated, unchanged, removed }`
+ *   counts for students (ignoring their logs) and for logs
+ */
+export const getImportPreview = (current, incoming, mode) => {
+  const result = applyImport(current, incoming, mode)
+  const withoutLogs = (students) => students.map(({ logs, ...student }) => student)
+  return {
+    students: countChanges(withoutLogs(current), withoutLogs(result)),
+    logs: countChanges(flattenLogs(current), flattenLogs(result))
+  }
+}
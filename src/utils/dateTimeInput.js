@@ -0,0 +1,32 @@
+/**
+ * Date/Time Inputs
+ *
+ * Conversions between timestamps and the local 'yyyy-MM-ddTHH:mm' strings
+ * used by `<input type="datetime-local">`.
+ *
+ * @module dateTimeInput
+ */
+
+import { format } from 'date-fns'
+
+/**
+ * Formats a timestamp for a datetime-local input, to the minute.
+ *
+ * @param {number} timestamp - Unix milliseconds
+ * @returns {string} e.g. '2024-05-01T10:30', or '' without a valid time
+ */
+export const toDateTimeInput = (timestamp) => {
+  return Number.isFinite(timestamp) ? format(new Date(timestamp), "yyyy-MM-dd'T'HH:mm") : ''
+}
+
+/**
+ * Reads a datetime-local input value as local time.
+ *
+ * @param {string} value - e.g. '2024-05-01T10:30'
+ * @returns {number|null} Unix milliseconds, or null if empty or invalid
+ */
+export const fromDateTimeInput = (value) => {
+  if (!value) return null
+  const timestamp = new Date(value).getTime()
+  return Number.isFinite(timestamp) ? timestamp : null
+}
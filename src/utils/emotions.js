@@ -0,0 +1,95 @@
+/**
+ * Emotion Vocabulary
+ *
+ * The feelings staff can log, each with a label (stored as the feeling log's
+ * `value`), an icon, a chart color and a valence. Negative emotions drive
+ * the distress checks in `detectPatterns`.
+ *
+ * The shared set lives in the settings (`settings.emotions`, null for
+ * `DEFAULT_EMOTIONS`); a student can have their own set in
+ * `student.emotions`, which replaces the shared one for that student.
+ * Logs keep their label, so renaming or removing an emotion leaves existing
+ * logs unchanged (they are shown in gray).
+ *
+ * @module emotions
+ */
+
+export const VALENCES = {
+  POSITIVE: 'positive',
+  NEGATIVE: 'negative'
+}
+
+/** Face icons an emotion can use, as 20×20 SVG paths (even-odd filled). */
+export const EMOTION_ICONS = {
+  happy: 'M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-.464 5.535a.5.5 0 01.707 0 6 6 0 01-7.071 0 .5.5 0 01.707-.707 5 5 0 005.657 0 .5.5 0 01.707.707z',
+  sad: 'M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-7.843 6.472a.5.5 0 00.638.76 6.002 6.002 0 006.41 0 .5.5 0 00.638-.761 5.002 5.002 0 01-7.686 0z',
+  angry: 'M10 18a8 8 0 100-16 8 8 0 000 16zM5.5 8a1.5 1.5 0 113 0 1.5 1.5 0 01-3 0zm9 0a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM10 14a4 4 0 00-4 4h8a4 4 0 00-4-4z',
+  anxious: 'M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-5 4a1 1 0 011-1h2a1 1 0 110 2H10a1 1 0 01-1-1z',
+  neutral: 'M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zM7 12a1 1 0 100 2h6a1 1 0 100-2H7z',
+  surprised: 'M10 18a8 8 0 100-16 8 8 0 000 16zM7 9a1 1 0 100-2 1 1 0 000 2zm7-1a1 1 0 11-2 0 1 1 0 012 0zm-4 6a2 2 0 100-4 2 2 0 000 4z'
+}
+
+export const DEFAULT_EMOTIONS = [
+  { label: 'Happy', icon: 'happy', color: '#10b981', valence: VALENCES.POSITIVE },
+  { label: 'Sad', icon: 'sad', color: '#8b5cf6', valence: VALENCES.NEGATIVE },
+  { label: 'Angry', icon: 'angry', color: '#ef4444', valence: VALENCES.NEGATIVE },
+  { label: 'Anxious', icon: 'anxious', color: '#f59e0b', valence: VALENCES.NEGATIVE }
+]
+
+// Color of feelings that are not in the vocabulary
+export const UNKNOWN_EMOTION_COLOR = '#6b7280'
+
+/**
+ * The emotion set that applies to a student.
+ *
+ * @param {Array<Object>|null} sharedEmotions - `settings.emotions`
+ * @param {Object} [student] - Student, whose own set wins if present
+ * @returns {Array<Object>} Emotions
+ */
+export const getEmotions = (sharedEmotions, student) => {
+  if (student && Array.isArray(student.emotions) && student.emotions.length > 0) return student.emotions
+  return Array.isArray(sharedEmotions) && sharedEmotions.length > 0 ? sharedEmotions : DEFAULT_EMOTIONS
+}
+
+/**
+ * Looks up an emotion by its label.
+ *
+ * @param {Array<Object>} emotions - Emotion set
+ * @param {string} label - Feeling log `value`
+ * @returns {Object|undefined} Emotion
+ */
+export const findEmotion = (emotions, label) => emotions.find(emotion => emotion.label === label)
+
+/**
+ * Chart color of a feeling.
+ *
+ * @param {string} label - Feeling log `value`
+ * @param {Array<Object>} [emotions=DEFAULT_EMOTIONS] - Emotion set
+ * @returns {string} Hex color, gray for unknown feelings
+ */
+export const getEmotionColor = (label, emotions = DEFAULT_EMOTIONS) => findEmotion(emotions, label)?.color || UNKNOWN_EMOTION_COLOR
+
+/**
+ * Whether a feeling counts as negative for pattern alerts.
+ *
+ * @param {string} label - Feeling log `value`
+ * @param {Array<Object>} [emotions=DEFAULT_EMOTIONS] - Emotion set
+ * @returns {boolean} True for negative emotions
+ */
+export const isNegativeEmotion = (label, emotions = DEFAULT_EMOTIONS) => findEmotion(emotions, label)?.valence === VALENCES.NEGATIVE
+
+/**
+ * Checks an edited emotion set.
+ *
+ * @param {Array<Object>} emotions - Emotion set
+ * @returns {Array<string>} Error messages; empty if the set can be saved
+ */
+export const validateEmotions = (emotions) => {
+  const errors = []
+  if (emotions.length === 0) errors.push('Keep at least one emotion.')
+  const labels = emotions.map(emotion => emotion.label.trim())
+  if (labels.some(label => !label)) errors.push('Every emotion needs a label.')
+  const duplicates = labels.filter((label, index) => label && labels.indexOf(label) !== index)
+  if (duplicates.length > 0) errors.push(`"${duplicates[0]}" is used twice.`)
+  return errors
+}
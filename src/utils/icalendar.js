@@ -0,0 +1,297 @@
+/**
+ * iCalendar (.ics) Schedules
+ *
+ * Converts between calendar files and schedule periods
+ * (`{ start: 'HH:MM', end: 'HH:MM', subject, days? }`, where `days` lists
+ * weekdays as `Date#getDay()` numbers and is omitted for every day).
+ *
+ * Importing maps each VEVENT and its weekly recurrence (`RRULE:FREQ=WEEKLY`
+ * with `BYDAY`) to a period; a one-off event becomes a period on its weekday.
+ * Events with the same subject and times are merged, so timetables exported
+ * as individual lessons import as one period per lesson slot. Times are read
+ * as wall-clock times; UTC times are converted to this device's timezone.
+ * Events that cannot be shown as weekly periods are skipped with a reason:
+ * recurrences every other week or more (`INTERVAL` above 1) and times in a
+ * timezone (`TZID`) other than this device's.
+ *
+ * @module icalendar
+ */
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]
+// Lines longer than this many octets are folded, as required by RFC 5545
+const MAX_LINE_LENGTH = 75
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char))
+const escapeText = (value) => value.replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n')
+
+// Splits unfolded content lines into `{ name, params, value }`
+const parseLines = (text) => {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const colon = line.indexOf(':')
+      const [name, ...params] = line.slice(0, colon).split(';')
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+          const [key, value = ''] = param.split('=')
+          return [key.toUpperCase(), value]
+        })),
+        value: line.slice(colon + 1)
+      }
+    })
+}
+
+/**
+ * Reads a DATE-TIME value as a wall-clock date.
+ *
+ * @param {string} value - e.g. '20240902T090000' or '20240902T070000Z'
+ * @returns {{date: Date, hours: number, minutes: number}|null} Weekday source
+ *   date and time of day, or null for all-day or unparseable values
+ */
+const parseDateTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value.trim())
+  if (!match) return null
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number)
+  const date = match[7] === 'Z'
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds)
+  return { date, hours: date.getHours(), minutes: date.getMinutes() }
+}
+
+// Parses an ISO 8601 duration such as 'PT45M' or 'PT1H30M' to minutes
+const parseDurationMinutes = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim())
+  if (!match) return null
+  const [weeks, days, hours, minutes] = match.slice(1).map(part => Number(part) || 0)
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes
+}
+
+const parseRule = (value) => Object.fromEntries(value.split(';').map(part => {
+  const [key, ruleValue = ''] = part.split('=')
+  return [key.toUpperCase(), ruleValue.toUpperCase()]
+}))
+
+const formatTime = (hours, minutes) => `${pad(hours)}:${pad(minutes)}`
+
+const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Wall-clock times are only meaningful in this device's timezone; without a
+// timezone database they cannot be converted from another one
+const getForeignTimeZone = (props) => {
+  const timeZone = [props.DTSTART, props.DTEND]
+    .map(prop => prop && prop.params.TZID && prop.params.TZID.replace(/^"|"$/g, ''))
+    .find(Boolean)
+  return timeZone && timeZone !== getDeviceTimeZone() ? timeZone : null
+}
+
+/**
+ * Maps one VEVENT's properties to a schedule period.
+ *
+ * @param {Object<string, Object>} props - Event properties by name
+ * @returns {{period: Object}|{reason: string}} Period or why it was skipped
+ */
+const eventToPeriod = (props) => {
+  const subject = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : ''
+  if (!subject) return { reason: 'Event has no title' }
+  if (!props.DTSTART) return { reason: 'Event has no start time' }
+  const start = props.DTSTART.params.VALUE === 'DATE' ? null : parseDateTime(props.DTSTART.value)
+  if (!start) return { reason: 'All-day events are not schedule periods' }
+  const timeZone = getForeignTimeZone(props)
+  if (timeZone) return { reason: `Times are in ${timeZone}, not this device's timezone (${getDeviceTimeZone()})` }
+
+  let endMinutes = null
+  if (props.DTEND) {
+    const end = parseDateTime(props.DTEND.value)
+    if (end) endMinutes = Math.round((end.date - start.date) / 60000)
+  } else if (props.DURATION) {
+    endMinutes = parseDurationMinutes(props.DURATION.value)
+  }
+  if (!endMinutes || endMinutes <= 0) return { reason: 'Event has no end time' }
+  const startOfDayMinutes = start.hours * 60 + start.minutes
+  if (startOfDayMinutes + endMinutes > 24 * 60) return { reason: 'Event runs past midnight' }
+
+  let days = [start.date.getDay()]
+  if (props.RRULE) {
+    const rule = parseRule(props.RRULE.value)
+    const interval = Number(rule.INTERVAL || 1)
+    if (interval > 1 && (rule.FREQ === 'WEEKLY' || rule.FREQ === 'DAILY')) {
+      return { reason: `Repeats every ${interval} ${rule.FREQ === 'WEEKLY' ? 'weeks' : 'days'}, not every week` }
+    }
+    if (rule.FREQ === 'DAILY' && !rule.BYDAY) {
+      days = ALL_DAYS
+    } else if (rule.FREQ === 'WEEKLY' || rule.FREQ === 'DAILY') {
+      if (rule.BYDAY) {
+        days = rule.BYDAY.split(',').map(code => DAY_CODES.indexOf(code.replace(/^[+-]?\d+/, ''))).filter(day => day !== -1)
+      }
+    } else {
+      return { reason: `Repeats ${rule.FREQ ? rule.FREQ.toLowerCase() : 'irregularly'}, not weekly` }
+    }
+  }
+
+  const endTotal = startOfDayMinutes + endMinutes
+  return {
+    period: {
+      start: formatTime(start.hours, start.minutes),
+      end: formatTime(Math.floor(endTotal / 60), endTotal % 60),
+      subject,
+      days
+    }
+  }
+}
+
+/**
+ * Imports schedule periods from an .ics file.
+ *
+ * @param {string} text - Calendar file contents
+ * @returns {{periods: Array<Object>, skipped: Array<{subject: string, reason: string}>}}
+ *   Periods sorted by start time, and events that could not be mapped
+ * @throws {Error} If the file is not an iCalendar file
+ */
+export const parseIcsSchedule = (text) => {
+  const lines = parseLines(text)
+  if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+    throw new Error('The file is not an iCalendar (.ics) file')
+  }
+
+  const events = []
+  let current = null
+  let depth = 0
+  lines.forEach(line => {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = {}
+      depth = 0
+    } else if (current && line.name === 'BEGIN') {
+      // Nested components such as VALARM have their own properties
+      depth++
+    } else if (current && line.name === 'END' && depth > 0) {
+      depth--
+    } else if (current && line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      events.push(current)
+      current = null
+    } else if (current && depth === 0 && !current[line.name]) {
+      current[line.name] = line
+    }
+  })
+
+  const periods = new Map()
+  const skipped = []
+  events.forEach(props => {
+    // Moved or cancelled single lessons of a recurring event
+    if (props['RECURRENCE-ID'] || props.STATUS?.value.toUpperCase() === 'CANCELLED') return
+    const result = eventToPeriod(props)
+    if (result.reason) {
+      skipped.push({ subject: props.SUMMARY ? unescapeText(props.SUMMARY.value) : '(untitled)', reason: result.reason })
+      return
+    }
+    const { period } = result
+    const key = `${period.subject}|${period.start}|${period.end}`
+    const existing = periods.get(key)
+    periods.set(key, existing
+      ? { ...existing, days: [...new Set([...existing.days, ...period.days])].sort((a, b) => a - b) }
+      : period)
+  })
+
+  return {
+    periods: [...periods.values()]
+      .map(period => (period.days.length === ALL_DAYS.length ? { start: period.start, end: period.end, subject: period.subject } : period))
+      .sort((a, b) => a.start.localeCompare(b.start) || a.subject.localeCompare(b.subject)),
+    skipped
+  }
+}
+
+const utf8 = new TextEncoder()
+
+// Folds a content line to 75 UTF-8 octets per line (the leading space of a
+// continuation line included), never splitting a character
+const foldLine = (line) => {
+  const parts = []
+  let part = ''
+  let octets = 0
+  for (const char of line) {
+    const size = utf8.encode(char).length
+    if (octets + size > MAX_LINE_LENGTH) {
+      parts.push(part)
+      part = ' '
+      octets = 1
+    }
+    part += char
+    octets += size
+  }
+  parts.push(part)
+  return parts.join('\r\n')
+}
+
+// 32-bit FNV-1a hash as 8 hex digits
+const hashText = (text) => {
+  let hash = 0x811c9dc5
+  utf8.encode(text).forEach(byte => {
+    hash = Math.imul(hash ^ byte, 0x01000193) >>> 0
+  })
+  return hash.toString(16).padStart(8, '0')
+}
+
+// Same period, same UID on every export, so calendar apps update the event
+// instead of adding a copy when a schedule is exported again
+const getPeriodUid = (calendarName, period, days) => {
+  const slot = `${period.start.replace(':', '')}-${period.end.replace(':', '')}-${days.join('')}`
+  return `${slot}-${hashText(`${calendarName}\n${period.subject}`)}@kre-dashboard`
+}
+
+const formatLocalDateTime = (date, time) => {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${time.replace(':', '')}00`
+}
+
+const formatUtcDateTime = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+
+/**
+ * Exports schedule periods as weekly recurring events, starting this week.
+ *
+ * @param {Array<Object>} schedule - Schedule periods
+ * @param {Object} options
+ * @param {string} options.calendarName - Calendar title, e.g. the student's name
+ * @param {number} [options.now=Date.now()] - Export time
+ * @returns {string} iCalendar file contents
+ */
+export const buildScheduleIcs = (schedule, { calendarName, now = Date.now() }) => {
+  const today = new Date(now)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//KRE Dashboard//Student Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(calendarName)}`
+  ]
+
+  const uids = new Set()
+  schedule
+    .filter(period => period.start && period.end && period.subject)
+    .forEach(period => {
+      const days = period.days && period.days.length > 0 ? [...period.days].sort((a, b) => a - b) : ALL_DAYS
+      const uid = getPeriodUid(calendarName, period, days)
+      // An exact duplicate period would be the same event
+      if (uids.has(uid)) return
+      uids.add(uid)
+      // First matching day on or after today anchors the recurrence
+      const offset = Math.min(...days.map(day => (day - today.getDay() + 7) % 7))
+      const first = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset)
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+        `DTSTART:${formatLocalDateTime(first, period.start)}`,
+        `DTEND:${formatLocalDateTime(first, period.end)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${days.map(day => DAY_CODES[day]).join(',')}`,
+        `SUMMARY:${escapeText(period.subject)}`,
+        'END:VEVENT'
+      )
+    })
+
+  lines.push('END:VCALENDAR')
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
@@ -0,0 +1,86 @@
+/**
+ * Incidents
+ *
+ * Behavioral incidents are documented in the Antecedent–Behavior–Consequence
+ * (ABC) format as `incident` logs: what happened right before
+ * (`antecedent`), what the student did (`behavior`), what happened or was
+ * done afterwards (`consequence`), plus a `severity`, `durationMinutes`, the
+ * `staffInvolved` (a list of names) and whether the consequence
+ * de-escalated the incident (`deescalated`, true or false; missing when not
+ * recorded).
+ *
+ * @module incidents
+ */
+
+export const INCIDENT_SEVERITIES = ['Mild', 'Moderate', 'Severe']
+
+const SEVERITY_COLORS = {
+  Mild: '#eab308',     // yellow-500
+  Moderate: '#f97316', // orange-500
+  Severe: '#ef4444'    // red-500
+}
+
+/**
+ * Color of an incident severity.
+ *
+ * @param {string} severity - 'Mild', 'Moderate' or 'Severe'
+ * @returns {string} Hex color, gray for unknown severities
+ */
+export const getSeverityColor = (severity) => SEVERITY_COLORS[severity] || '#6b7280'
+
+/**
+ * Reads a comma-separated list of staff names.
+ *
+ * @param {string} text - e.g. 'Ms. Lee, Mr. Ortiz'
+ * @returns {Array<string>|null} Names, or null if there are none
+ */
+export const parseStaffList = (text) => {
+  const names = (text || '').split(',').map(name => name.trim()).filter(Boolean)
+  return names.length > 0 ? names : null
+}
+
+/**
+ * Staff names as shown to staff and in form fields.
+ *
+ * @param {Array<string>} [staff] - Names
+ * @returns {string} e.g. 'Ms. Lee, Mr. Ortiz' ('' without names)
+ */
+export const formatStaffList = (staff) => (Array.isArray(staff) ? staff.join(', ') : '')
+
+/**
+ * Reads a duration in minutes from a number input.
+ *
+ * @param {string|number} value - Input value
+ * @returns {number|null} Minutes, or null if empty or not a positive number
+ */
+export const parseDuration = (value) => {
+  if (value === '' || value === null || value === undefined) return null
+  const minutes = Number(value)
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null
+}
+
+/**
+ * Duration as shown to staff.
+ *
+ * @param {number} [minutes] - Duration in minutes
+ * @returns {string} e.g. '15 min' or '1 h 30 min' ('' without a duration)
+ */
+export const formatDuration = (minutes) => {
+  if (!Number.isFinite(minutes)) return ''
+  const hours = Math.floor(minutes / 60)
+  const rest = Math.round(minutes % 60)
+  if (hours === 0) return `${rest} min`
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`
+}
+
+/**
+ * Whether an incident was de-escalated, as shown to staff.
+ *
+ * @param {Object} log - Incident log
+ * @returns {string} 'Yes', 'No' or '' when not recorded
+ */
+export const formatDeescalated = (log) => {
+  if (log.deescalated === true) return 'Yes'
+  if (log.deescalated === false) return 'No'
+  return ''
+}
@@ -0,0 +1,99 @@
+/**
+ * Intensity Scales
+ *
+ * Sensory intensities are recorded on a scale chosen per student and
+ * sensory system (`student.intensityScales`, e.g. `{ Auditory: '1-10' }`):
+ * the Low/Medium/High levels or a numeric 1–5 or 1–10 scale. Numeric logs
+ * store the number in `intensity` and the top of their scale in
+ * `intensityMax`, so they stay readable if the scale is changed later.
+ *
+ * For analytics every scale is divided into thirds that correspond to Low,
+ * Medium and High (1–10: 1–3, 4–6, 7–10; 1–5: 1, 2–3, 4–5), so logs on
+ * different scales, including legacy Low/Medium/High logs, can be compared
+ * and the "high intensity" checks work on any scale.
+ *
+ * @module intensityScales
+ */
+
+/** Levels of the default scale, also the bands every scale is divided into. */
+export const INTENSITY_LEVELS = ['Low', 'Medium', 'High']
+
+export const INTENSITY_SCALES = {
+  levels: { label: 'Low / Medium / High', max: null },
+  '1-5': { label: '1 to 5', max: 5 },
+  '1-10': { label: '1 to 10', max: 10 }
+}
+
+export const DEFAULT_INTENSITY_SCALE = 'levels'
+
+/**
+ * The intensity scale a student uses for a sensory system.
+ *
+ * @param {Object} [student] - Student
+ * @param {string} system - Sensory system name
+ * @returns {string} `INTENSITY_SCALES` key
+ */
+export const getIntensityScale = (student, system) => {
+  const scale = student?.intensityScales?.[system]
+  return INTENSITY_SCALES[scale] ? scale : DEFAULT_INTENSITY_SCALE
+}
+
+/**
+ * Where a log's intensity lies on its scale, as a fraction of the top value.
+ *
+ * @param {Object} log - Sensory log
+ * @returns {number|null} Fraction in (0, 1], or null without a readable intensity
+ */
+export const getIntensityFraction = (log) => {
+  if (typeof log.intensity === 'number' && log.intensityMax > 0) return log.intensity / log.intensityMax
+  const level = INTENSITY_LEVELS.indexOf(log.intensity)
+  return level === -1 ? null : (level + 1) / INTENSITY_LEVELS.length
+}
+
+/**
+ * The Low/Medium/High band a log's intensity falls in.
+ *
+ * @param {Object} log - Sensory log
+ * @returns {string|null} 'Low', 'Medium' or 'High', or null without an intensity
+ */
+export const getIntensityBand = (log) => {
+  const fraction = getIntensityFraction(log)
+  if (fraction === null) return null
+  // Rounded so 1–10 values that land exactly on a boundary are not nudged up
+  const band = Math.ceil(Math.round(fraction * INTENSITY_LEVELS.length * 1e6) / 1e6)
+  return INTENSITY_LEVELS[Math.min(Math.max(band, 1), INTENSITY_LEVELS.length) - 1]
+}
+
+/**
+ * Whether a log is in the top third of its scale.
+ *
+ * @param {Object} log - Sensory log
+ * @returns {boolean} True for high intensities
+ */
+export const isHighIntensity = (log) => getIntensityBand(log) === 'High'
+
+/**
+ * Maps a Low/Medium/High level onto a numeric scale: Low to 1, Medium to
+ * the middle and High to the top.
+ *
+ * @param {string} level - 'Low', 'Medium' or 'High'
+ * @param {number} max - Top of the numeric scale
+ * @returns {number|null} Value on the scale, or null for unknown levels
+ */
+export const mapLevelToScale = (level, max) => {
+  if (level === 'Low') return 1
+  if (level === 'Medium') return Math.ceil(max / 2)
+  if (level === 'High') return max
+  return null
+}
+
+/**
+ * Intensity as shown to staff, e.g. 'High' or '7/10'.
+ *
+ * @param {Object} log - Sensory log
+ * @returns {string} Formatted intensity ('' without one)
+ */
+export const formatIntensity = (log) => {
+  if (typeof log.intensity === 'number') return log.intensityMax ? `${log.intensity}/${log.intensityMax}` : String(log.intensity)
+  return log.intensity || ''
+}
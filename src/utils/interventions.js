@@ -0,0 +1,60 @@
+/**
+ * Interventions
+ *
+ * Support strategies staff try with a student are recorded as `intervention`
+ * logs: the `strategy` used (picked from the student's strategy library),
+ * optionally the ID of the log that prompted it (`promptedBy`) and, once it
+ * is known, whether it helped (`outcome`, one of `INTERVENTION_OUTCOMES`).
+ *
+ * Each student has their own library (`student.strategies`, a list of
+ * names); students without one get `DEFAULT_STRATEGIES`. Renaming or
+ * removing a strategy leaves existing logs as they are.
+ *
+ * @module interventions
+ */
+
+export const DEFAULT_STRATEGIES = [
+  'Weighted blanket',
+  'Dimmed the lights',
+  'Noise-cancelling headphones',
+  'Movement break',
+  'Quiet corner',
+  'Deep breathing'
+]
+
+/** Follow-up ratings of whether an intervention helped, best first. */
+export const INTERVENTION_OUTCOMES = ['Helped', 'Partly helped', 'Did not help']
+
+/** Minutes after an intervention in which a feeling counts as the mood that followed. */
+export const MOOD_WINDOWS = [30, 60, 120]
+
+export const DEFAULT_MOOD_WINDOW = 60
+
+/**
+ * The strategy library of a student.
+ *
+ * @param {Object} [student] - Student
+ * @returns {Array<string>} Strategy names
+ */
+export const getStrategies = (student) => {
+  return student && Array.isArray(student.strategies) && student.strategies.length > 0
+    ? student.strategies
+    : DEFAULT_STRATEGIES
+}
+
+/**
+ * Checks a strategy library before it is saved.
+ *
+ * @param {Array<string>} strategies - Strategy names
+ * @returns {Array<string>} Error messages; empty if the library is valid
+ */
+export const validateStrategies = (strategies) => {
+  const errors = []
+  if (strategies.length === 0) errors.push('Add at least one strategy.')
+  if (strategies.some(strategy => strategy.trim() === '')) errors.push('Every strategy needs a name.')
+  const names = strategies.map(strategy => strategy.trim().toLowerCase())
+  if (names.some((name, index) => name !== '' && names.indexOf(name) !== index)) {
+    errors.push('Strategy names must be unique.')
+  }
+  return errors
+}
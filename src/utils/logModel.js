@@ -0,0 +1,273 @@
+/**
+ * Log Model
+ *
+ * The single definition of a log entry: the vocabulary, a registry of log
+ * types, factories that build validated logs with UUID IDs, runtime
+ * validation, and accessors for reading logs. Components create and read
+ * logs only through this module.
+ *
+ * Every log has `id`, `type` and `timestamp` (Unix milliseconds), and
+ * optionally `notes` and `environmentalFactors`; the fields specific to a
+ * type are described by its entry in `LOG_TYPES`. A new kind of log is added
+ * by registering it there.
+ *
+ * @module logModel
+ */
+
+import { DEFAULT_EMOTIONS } from './emotions'
+import { SENSORY_SYSTEM_NAMES } from './sensorySystems'
+import { INTENSITY_LEVELS, INTENSITY_SCALES, formatIntensity } from './intensityScales'
+import { INCIDENT_SEVERITIES } from './incidents'
+import { INTERVENTION_OUTCOMES } from './interventions'
+
+// Default feelings; the vocabulary can be changed globally or per student
+export const FEELINGS = DEFAULT_EMOTIONS.map(emotion => emotion.label)
+// All sensory systems; which ones are offered is set per student
+export const SENSORY_CATEGORIES = SENSORY_SYSTEM_NAMES
+// Levels of the default intensity scale; numeric scales are in intensityScales.js
+export const INTENSITIES = INTENSITY_LEVELS
+
+const INTENSITY_MAXIMUMS = Object.values(INTENSITY_SCALES).map(scale => scale.max).filter(Boolean)
+
+/** Optional free-text fields any log may have. */
+export const LOG_TEXT_FIELDS = ['notes', 'environmentalFactors']
+
+const isText = (value) => typeof value === 'string' && value.trim() !== ''
+const isOptionalValue = (value) => value === undefined || value === null
+const isOptionalString = (value) => isOptionalValue(value) || typeof value === 'string'
+
+/**
+ * Log types by `type`. Each defines a label, its own fields, a `validate`
+ * function returning error messages for those fields and a one-line
+ * `describe` for lists. Logs migrated from old
+ * formats that could not be fully parsed are flagged `needsReview` and are
+ * allowed to lack type-specific fields.
+ */
+export const LOG_TYPES = {
+  feeling: {
+    label: 'Feeling',
+    fields: ['value'],
+    validate: (log) => (isText(log.value) ? [] : ['has no feeling value']),
+    describe: (log) => `Feeling: ${log.value}`
+  },
+  sensory: {
+    label: 'Sensory',
+    // Numeric intensities carry the top of their scale in `intensityMax`
+    fields: ['category', 'intensity', 'intensityMax'],
+    validate: (log) => {
+      const errors = []
+      if (!isText(log.category) && !log.needsReview) errors.push('has no sensory category')
+      if (typeof log.intensity === 'number') {
+        if (!INTENSITY_MAXIMUMS.includes(log.intensityMax)) {
+          errors.push(`has no valid intensity scale (intensityMax ${log.intensityMax})`)
+        } else if (!Number.isInteger(log.intensity) || log.intensity < 1 || log.intensity > log.intensityMax) {
+          errors.push(`has intensity ${log.intensity} outside 1-${log.intensityMax}`)
+        }
+      } else if (log.intensity !== undefined && log.intensity !== null && !INTENSITIES.includes(log.intensity)) {
+        errors.push(`has unknown intensity "${log.intensity}"`)
+      }
+      return errors
+    },
+    // Unparsed legacy sensory logs only have a `value`
+    describe: (log) => `Sensory: ${log.category || log.value}${formatIntensity(log) ? ` - ${formatIntensity(log)}` : ''}`
+  },
+  // Behavioral incident in the ABC format, see incidents.js
+  incident: {
+    label: 'Incident',
+    fields: ['antecedent', 'behavior', 'consequence', 'severity', 'durationMinutes', 'staffInvolved', 'deescalated'],
+    validate: (log) => {
+      const errors = []
+      // Retention rules remove the behavior along with other free text
+      if (!isText(log.behavior) && !log.freeTextRemovedAt) errors.push('has no behavior')
+      if (!isText(log.severity)) errors.push('has no severity')
+      else if (!INCIDENT_SEVERITIES.includes(log.severity)) errors.push(`has unknown severity "${log.severity}"`)
+      if (!isOptionalString(log.antecedent)) errors.push('has an antecedent that is not text')
+      if (!isOptionalString(log.consequence)) errors.push('has a consequence that is not text')
+      if (!isOptionalValue(log.durationMinutes) && !(Number.isFinite(log.durationMinutes) && log.durationMinutes > 0)) {
+        errors.push(`has an invalid duration (${log.durationMinutes})`)
+      }
+      if (!isOptionalValue(log.staffInvolved) && !(Array.isArray(log.staffInvolved) && log.staffInvolved.every(isText))) {
+        errors.push('has a staff list that is not a list of names')
+      }
+      if (!isOptionalValue(log.deescalated) && typeof log.deescalated !== 'boolean') {
+        errors.push('has a de-escalation outcome that is not true or false')
+      }
+      return errors
+    },
+    describe: (log) => `Incident (${log.severity})${log.behavior ? `: ${log.behavior}` : ''}`
+  },
+  // Support strategy tried with the student, see interventions.js
+  intervention: {
+    label: 'Intervention',
+    fields: ['strategy', 'promptedBy', 'outcome'],
+    validate: (log) => {
+      const errors = []
+      if (!isText(log.strategy)) errors.push('has no strategy')
+      if (!isOptionalValue(log.promptedBy) && !isId(log.promptedBy)) errors.push('has an invalid promptedBy log ID')
+      if (!isOptionalValue(log.outcome) && !INTERVENTION_OUTCOMES.includes(log.outcome)) {
+        errors.push(`has unknown outcome "${log.outcome}"`)
+      }
+      return errors
+    },
+    describe: (log) => `Intervention: ${log.strategy}${log.outcome ? ` - ${log.outcome}` : ''}`
+  }
+}
+
+/**
+ * Generates a collision-free log ID (a random UUID). Falls back to building
+ * a version 4 UUID from random bytes where `crypto.randomUUID` is missing
+ * (pages served over plain HTTP).
+ *
+ * @returns {string} UUID
+ */
+export const createLogId = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID()
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+const isId = (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value !== '')
+const isOptionalTime = (value) => isOptionalValue(value) || Number.isFinite(value)
+
+/**
+ * Checks a log against the model.
+ *
+ * @param {Object} log - Log entry
+ * @param {string} [path='Log'] - How the log is named in messages, e.g. 'students[0].logs[3]'
+ * @returns {Array<string>} Error messages; empty if the log is valid
+ */
+export const validateLog = (log, path = 'Log') => {
+  if (!log || typeof log !== 'object') return [`${path} is not an object`]
+  const errors = []
+  if (!isId(log.id)) errors.push(`${path} has no valid id`)
+  // Migration keeps unparseable timestamps as null, flagged for review
+  if (!Number.isFinite(log.timestamp) && !(log.timestamp === null && log.needsReview)) {
+    errors.push(`${path} has no valid timestamp`)
+  }
+  const definition = LOG_TYPES[log.type]
+  if (!definition) {
+    errors.push(`${path} has unknown type "${log.type}"`)
+  } else {
+    definition.validate(log).forEach(message => errors.push(`${path} ${message}`))
+  }
+  LOG_TEXT_FIELDS.forEach(field => {
+    if (!isOptionalString(log[field])) errors.push(`${path}.${field} is not text`)
+  })
+  if (!isOptionalTime(log.trashedAt)) errors.push(`${path}.trashedAt is not a time`)
+  if (!isOptionalTime(log.freeTextRemovedAt)) errors.push(`${path}.freeTextRemovedAt is not a time`)
+  if (log.revisions !== undefined && !Array.isArray(log.revisions)) errors.push(`${path}.revisions is not a list`)
+  return errors
+}
+
+/**
+ * Checks when a log happened against the current time: logs can be
+ * backdated, but not placed in the future.
+ *
+ * @param {Object} log - Log entry
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<string>} Error messages; empty if the time is acceptable
+ */
+export const validateLogTime = (log, now = Date.now()) => {
+  return Number.isFinite(log.timestamp) && log.timestamp > now ? ['Log time is in the future'] : []
+}
+
+/**
+ * Creates a new log with a fresh ID. Free-text fields that are empty are
+ * left out.
+ *
+ * @param {Object} fields - `type` plus the log's fields; `timestamp`
+ *   defaults to now
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time used when no timestamp is given
+ * @returns {Object} Valid log entry
+ * @throws {Error} With an `errors` list if the fields do not form a valid log
+ */
+export const createLog = ({ type, timestamp, ...fields }, { now = Date.now() } = {}) => {
+  const log = { id: createLogId(), type, timestamp: timestamp ?? now }
+  const definition = LOG_TYPES[type]
+  const allowed = [...(definition ? definition.fields : []), ...LOG_TEXT_FIELDS]
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!allowed.includes(field)) return
+    if (typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null) {
+      log[field] = typeof value === 'string' ? value.trim() : value
+    }
+  })
+  const errors = validateLog(log)
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid log: ${errors.join('; ')}`), { errors })
+  }
+  return log
+}
+
+/**
+ * Creates a feeling log.
+ *
+ * @param {Object} fields - `value` (e.g. 'Happy'), optional `notes`,
+ *   `environmentalFactors` and `timestamp`
+ * @returns {Object} Valid log entry
+ * @throws {Error} If the fields are invalid
+ */
+export const createFeelingLog = (fields) => createLog({ ...fields, type: 'feeling' })
+
+/**
+ * Creates a sensory log.
+ *
+ * @param {Object} fields - `category` (e.g. 'Visual'), `intensity` (a level
+ *   or a number with `intensityMax`), optional `notes`,
+ *   `environmentalFactors` and `timestamp`
+ * @returns {Object} Valid log entry
+ * @throws {Error} If the fields are invalid
+ */
+export const createSensoryLog = (fields) => createLog({ ...fields, type: 'sensory' })
+
+/**
+ * Creates an incident log.
+ *
+ * @param {Object} fields - `behavior` and `severity` (e.g. 'Moderate'),
+ *   optional `antecedent`, `consequence`, `durationMinutes`, `staffInvolved`
+ *   (list of names), `deescalated`, `notes`, `environmentalFactors` and
+ *   `timestamp`
+ * @returns {Object} Valid log entry
+ * @throws {Error} If the fields are invalid
+ */
+export const createIncidentLog = (fields) => createLog({ ...fields, type: 'incident' })
+
+/**
+ * Creates an intervention log.
+ *
+ * @param {Object} fields - `strategy` (e.g. 'Weighted blanket'), optional
+ *   `promptedBy` (ID of the log that prompted it), `outcome`, `notes`,
+ *   `environmentalFactors` and `timestamp`
+ * @returns {Object} Valid log entry
+ * @throws {Error} If the fields are invalid
+ */
+export const createInterventionLog = (fields) => createLog({ ...fields, type: 'intervention' })
+
+/**
+ * When a log was recorded, in Unix milliseconds. Handles logs stored before
+ * timestamps were numeric, falling back to the old time-based numeric IDs.
+ *
+ * @param {Object} log - Log entry
+ * @returns {number} Unix milliseconds (NaN if unknown)
+ */
+export const getLogTimestamp = (log) => {
+  if (typeof log.timestamp === 'number') return log.timestamp
+  if (typeof log.timestamp === 'string') return new Date(log.timestamp).getTime()
+  return typeof log.id === 'number' ? log.id : NaN
+}
+
+/**
+ * One-line description of a log, e.g. "Feeling: Happy", "Sensory: Visual - High",
+ * "Sensory: Auditory - 7/10", "Incident (Moderate): Threw a chair" or
+ * "Intervention: Weighted blanket - Helped".
+ *
+ * @param {Object} log - Log entry
+ * @returns {string} Description
+ */
+export const describeLog = (log) => {
+  const definition = LOG_TYPES[log.type]
+  return definition ? definition.describe(log) : `${log.type}: ${log.value}`
+}
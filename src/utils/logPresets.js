@@ -0,0 +1,99 @@
+/**
+ * Log Presets
+ *
+ * Saved combinations that staff log over and over ("Auditory High – fire
+ * alarm", "Anxious – transition to lunch"), shown as one-tap chips in the
+ * logger. A preset is
+ * `{ id, label, type: 'feeling' | 'sensory', value?, category?, intensity?,
+ * intensityMax?, notes?, environmentalFactors? }`, holding the fields of the
+ * log it creates.
+ *
+ * Presets shared by all students are kept in `settings.logPresets`; a
+ * student's own presets in `student.logPresets`. A student sees both.
+ * A sensory preset keeps the intensity scale it was saved with.
+ *
+ * @module logPresets
+ */
+
+import { createLogId, createFeelingLog, createSensoryLog } from './logModel'
+import { findEmotion } from './emotions'
+import { formatIntensity } from './intensityScales'
+
+/** Log fields a preset can fill in, besides its type. */
+export const PRESET_FIELDS = ['value', 'category', 'intensity', 'intensityMax', 'notes', 'environmentalFactors']
+
+export const PRESET_SCOPES = {
+  SHARED: 'shared',
+  STUDENT: 'student'
+}
+
+/**
+ * Suggested label for a preset, e.g. 'Anxious – transition to lunch' or
+ * 'Auditory High – fire alarm'.
+ *
+ * @param {Object} fields - Preset fields
+ * @returns {string} Label
+ */
+export const suggestPresetLabel = (fields) => {
+  const name = fields.type === 'feeling' ? fields.value : `${fields.category} ${formatIntensity(fields)}`
+  const detail = [fields.notes, fields.environmentalFactors].find(text => text && text.trim())
+  return detail ? `${name} – ${detail.trim()}` : name
+}
+
+/**
+ * Creates a preset with a fresh ID. Empty fields are left out.
+ *
+ * @param {Object} fields - `label`, `type` and the log fields to save
+ * @returns {Object} Preset
+ */
+export const createPreset = ({ label, type, ...fields }) => {
+  const preset = { id: createLogId(), label: label.trim(), type }
+  PRESET_FIELDS.forEach(field => {
+    const value = typeof fields[field] === 'string' ? fields[field].trim() : fields[field]
+    if (value !== undefined && value !== null && value !== '') preset[field] = value
+  })
+  return preset
+}
+
+/**
+ * Creates the log a preset stands for.
+ *
+ * @param {Object} preset - Preset
+ * @param {Object} [options]
+ * @param {number|null} [options.timestamp] - Backdated time; now if null
+ * @returns {Object} Valid log entry
+ * @throws {Error} If the preset does not form a valid log
+ */
+export const createLogFromPreset = (preset, { timestamp = null } = {}) => {
+  const fields = Object.fromEntries(PRESET_FIELDS.map(field => [field, preset[field]]))
+  return preset.type === 'feeling'
+    ? createFeelingLog({ ...fields, timestamp })
+    : createSensoryLog({ ...fields, timestamp })
+}
+
+/**
+ * The presets that fit a student: feelings in their emotion vocabulary and
+ * sensory systems they have enabled.
+ *
+ * @param {Array<Object>} presets - Presets
+ * @param {Object} options
+ * @param {Array<Object>} options.emotions - Student's emotion vocabulary
+ * @param {Array<string>} options.sensorySystems - Student's enabled sensory systems
+ * @returns {Array<Object>} Applicable presets
+ */
+export const getApplicablePresets = (presets, { emotions, sensorySystems }) => {
+  return presets.filter(preset => preset.type === 'feeling'
+    ? Boolean(findEmotion(emotions, preset.value))
+    : sensorySystems.includes(preset.category))
+}
+
+/**
+ * Checks a list of presets, e.g. from an imported bundle.
+ *
+ * @param {Array<Object>} presets - Presets
+ * @returns {boolean} True if every preset has an ID, a label and a known type
+ */
+export const isPresetList = (presets) => {
+  return Array.isArray(presets) && presets.every(preset =>
+    preset && typeof preset.label === 'string' && preset.id !== undefined && ['feeling', 'sensory'].includes(preset.type))
+}
@@ -0,0 +1,67 @@
+/**
+ * Log Revisions
+ *
+ * Logs may be quoted in IEP meetings, so edits never silently replace the
+ * original observation. Each edit appends a revision to the log's
+ * `revisions` array recording who changed what, and when:
+ *
+ * ```javascript
+ * { editedAt: 1720862400000, editor: 'Ms. Jones', changes: { notes: { from: 'Loud room', to: 'Fire drill' } } }
+ * ```
+ *
+ * Replaying the `from` values of all revisions, newest first, recovers the
+ * original log.
+ *
+ * @module logRevisions
+ */
+
+// Fields managed by the app rather than edited by staff
+const UNTRACKED_FIELDS = ['id', 'revisions', 'trashedAt']
+
+// Empty form fields and missing fields mean the same thing
+const isSameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '')
+
+/**
+ * Applies an edit to a log, recording the previous values as a revision.
+ *
+ * @param {Object} log - Log before the edit
+ * @param {Object} changes - Edited fields
+ * @param {string} editor - Name of the staff member making the edit
+ * @param {number} [editedAt=Date.now()] - Time of the edit
+ * @returns {Object} Updated log (the same object if nothing changed)
+ */
+export const applyLogEdit = (log, changes, editor, editedAt = Date.now()) => {
+  const revisionChanges = {}
+  Object.entries(changes).forEach(([field, value]) => {
+    if (UNTRACKED_FIELDS.includes(field) || isSameValue(log[field], value)) return
+    revisionChanges[field] = { from: log[field] ?? null, to: value }
+  })
+  if (Object.keys(revisionChanges).length === 0) return log
+
+  const changedValues = Object.fromEntries(
+    Object.entries(revisionChanges).map(([field, { to }]) => [field, to])
+  )
+  return {
+    ...log,
+    ...changedValues,
+    revisions: [...(log.revisions || []), { editedAt, editor, changes: revisionChanges }]
+  }
+}
+
+/**
+ * Reconstructs the log as it was first recorded.
+ *
+ * @param {Object} log - Current log
+ * @returns {Object} Original log (without revisions)
+ */
+export const getOriginalLog = (log) => {
+  const { revisions = [], ...current } = log
+  return [...revisions].reverse().reduce((original, revision) => {
+    const restored = { ...original }
+    Object.entries(revision.changes).forEach(([field, { from }]) => {
+      if (from === null) delete restored[field]
+      else restored[field] = from
+    })
+    return restored
+  }, current)
+}
@@ -0,0 +1,159 @@
+/**
+ * Pseudonymized Research Export
+ *
+ * Builds a CSV of logs for research without names or readable free text.
+ * Students are replaced by pseudonyms derived with HMAC-SHA-256 from their ID
+ * and a secret kept on this device (`kre-research-secret` in localStorage),
+ * so a student gets the same pseudonym in every export from this device but
+ * the pseudonym cannot be traced back without the secret. Notes and
+ * environmental factors are removed or replaced by keyed hashes (equal texts
+ * get equal hashes), and timestamps are coarsened to the hour, day, ISO week
+ * or month in the school's timezone.
+ *
+ * A separate key file maps the pseudonyms back to the students; it is meant
+ * to stay with the school and is never part of the research file.
+ *
+ * @module researchExport
+ */
+
+import { escapeCsvValue, filterLogsByRange, getZonedParts } from './csvExport'
+
+const SECRET_KEY = 'kre-research-secret'
+const SECRET_BYTES = 32
+// Hex characters kept from the HMAC for pseudonyms and text hashes
+const PSEUDONYM_LENGTH = 10
+const TEXT_HASH_LENGTH = 16
+
+/** How precisely times are exported. */
+export const TIME_GRANULARITIES = {
+  hour: { label: 'Hour', example: '2024-05-01T10:00' },
+  day: { label: 'Day', example: '2024-05-01' },
+  week: { label: 'Week', example: '2024-W18' },
+  month: { label: 'Month', example: '2024-05' }
+}
+
+/** What happens to notes and environmental factors. */
+export const FREE_TEXT_MODES = {
+  STRIP: 'strip',
+  HASH: 'hash'
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+
+// ISO 8601 week-numbering year and week of a calendar date
+const getIsoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  // Thursday of the same week decides the year the week belongs to
+  date.setUTCDate(day + 3 - (date.getUTCDay() + 6) % 7)
+  const weekYear = date.getUTCFullYear()
+  const dayOfYear = (date - Date.UTC(weekYear, 0, 1)) / 86400000
+  return { weekYear, week: Math.floor(dayOfYear / 7) + 1 }
+}
+
+/**
+ * Formats a timestamp at a reduced precision in a timezone.
+ *
+ * @param {number|null} timestamp - Unix milliseconds
+ * @param {string} granularity - `TIME_GRANULARITIES` key
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} e.g. '2024-05-01' for 'day', or '' without a timestamp
+ */
+export const coarsenTimestamp = (timestamp, granularity, timeZone) => {
+  if (!Number.isFinite(timestamp)) return ''
+  const { year, month, day, hour } = getZonedParts(timestamp, timeZone)
+  if (granularity === 'week') {
+    const { weekYear, week } = getIsoWeek(year, month, day)
+    return `${pad(weekYear, 4)}-W${pad(week)}`
+  }
+  if (granularity === 'month') return `${pad(year, 4)}-${pad(month)}`
+  const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`
+  return granularity === 'hour' ? `${date}T${pad(hour)}:00` : date
+}
+
+/**
+ * Reads this device's research secret, creating it on first use.
+ *
+ * @returns {string} Secret as hex
+ */
+export const getResearchSecret = () => {
+  const saved = localStorage.getItem(SECRET_KEY)
+  if (saved) return saved
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)))
+  localStorage.setItem(SECRET_KEY, secret)
+  return secret
+}
+
+/**
+ * Creates keyed hash functions for pseudonyms and free text.
+ *
+ * @param {string} secret - Research secret as hex
+ * @returns {Promise<{pseudonym: function(number|string): Promise<string>, hashText: function(string): Promise<string>}>}
+ */
+export const createPseudonymizer = async (secret) => {
+  const keyBytes = Uint8Array.from(secret.match(/../g), byte => parseInt(byte, 16))
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  // Domain prefixes keep a student ID and a note with the same text apart
+  const hmac = async (text) => toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text)))
+  return {
+    pseudonym: async (studentId) => `P-${(await hmac(`student:${studentId}`)).slice(0, PSEUDONYM_LENGTH)}`,
+    hashText: async (text) => `H-${(await hmac(`text:${text.trim()}`)).slice(0, TEXT_HASH_LENGTH)}`
+  }
+}
+
+/**
+ * Builds the pseudonymized research CSV and its key file. Log IDs are left
+ * out since they encode the exact creation time.
+ *
+ * @param {Array<Object>} students - Students whose logs are exported
+ * @param {Object} options
+ * @param {{from: number|null, to: number|null}} options.range - Time range
+ * @param {string} options.timeZone - IANA timezone for coarsened times
+ * @param {string} options.granularity - `TIME_GRANULARITIES` key
+ * @param {string} options.freeText - One of `FREE_TEXT_MODES`
+ * @param {string} options.secret - Research secret
+ * @returns {Promise<{csv: string, keyCsv: string, rowCount: number}>} Research
+ *   CSV, key file CSV (pseudonym, student ID, name) and number of logs
+ */
+export const buildResearchCsv = async (students, { range, timeZone, granularity, freeText, secret }) => {
+  const { pseudonym, hashText } = await createPseudonymizer(secret)
+  const pseudonyms = new Map()
+  for (const student of students) {
+    pseudonyms.set(student.id, await pseudonym(student.id))
+  }
+
+  const rows = students
+    .flatMap(student => filterLogsByRange(student.logs, range).map(log => ({ student, log })))
+    .sort((a, b) => (a.log.timestamp ?? 0) - (b.log.timestamp ?? 0))
+
+  const withText = freeText === FREE_TEXT_MODES.HASH
+  const header = ['Participant', 'Time', 'Type', 'Feeling', 'Sensory Category', 'Intensity', 'Intensity Max',
+    ...(withText ? ['Notes (hashed)', 'Environmental Factors (hashed)'] : [])]
+  const hashed = async (text) => (text && text.trim() ? hashText(text) : '')
+
+  const lines = [header.join(',')]
+  for (const { student, log } of rows) {
+    const cells = [
+      pseudonyms.get(student.id),
+      coarsenTimestamp(log.timestamp, granularity, timeZone),
+      log.type,
+      log.type === 'feeling' ? log.value : '',
+      log.type === 'sensory' ? log.category : '',
+      log.intensity,
+      log.intensityMax,
+      ...(withText ? [await hashed(log.notes), await hashed(log.environmentalFactors)] : [])
+    ]
+    lines.push(cells.map(escapeCsvValue).join(','))
+  }
+
+  const keyLines = [
+    'Pseudonym,Student ID,Student Name',
+    ...students.map(student => [pseudonyms.get(student.id), student.id, student.name].map(escapeCsvValue).join(','))
+  ]
+
+  return {
+    csv: `${lines.join('\r\n')}\r\n`,
+    keyCsv: `${keyLines.join('\r\n')}\r\n`,
+    rowCount: rows.length
+  }
+}
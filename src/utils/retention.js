@@ -0,0 +1,208 @@
+/**
+ * Data Retention
+ *
+ * Rules that limit how long identifiable well-being data is kept, e.g.
+ * "delete notes older than 12 months" or "anonymize students archived more
+ * than 24 months ago". Rules are stored in the settings as
+ * `{ id, action, months }` and applied when the app starts and on demand.
+ *
+ * `planRetention` is a dry run: it returns what the rules would change as
+ * storage mutations plus a per-rule summary, so the same plan is previewed
+ * and then applied. Each run that changes anything is recorded in a purge
+ * log (counts only, never names or notes) in the `kre-retention-log`
+ * localStorage entry.
+ *
+ * Restore points hold copies of the data, so the rules are applied to them as
+ * well (see `applyRetentionRules`).
+ *
+ * Students are archived (`archivedAt`) when they leave; archived students
+ * are hidden like trashed ones but are kept until a rule anonymizes them.
+ *
+ * @module retention
+ */
+
+import { subMonths } from 'date-fns'
+import { applyMutation } from './studentUpdates'
+
+const PURGE_LOG_KEY = 'kre-retention-log'
+const MAX_PURGE_LOG_ENTRIES = 100
+
+// Free-text fields that may identify a student or describe them in detail,
+// including the ABC description and staff names of incidents
+const FREE_TEXT_FIELDS = ['notes', 'environmentalFactors', 'antecedent', 'behavior', 'consequence', 'staffInvolved']
+
+/** Actions a retention rule can take, keyed by `rule.action`. */
+export const RETENTION_ACTIONS = {
+  'delete-notes': {
+    label: 'Delete notes',
+    describe: (months) => `Delete notes and other free text of logs older than ${months} months`
+  },
+  'delete-logs': {
+    label: 'Delete logs',
+    describe: (months) => `Delete logs older than ${months} months`
+  },
+  'anonymize-archived': {
+    label: 'Anonymize archived students',
+    describe: (months) => `Anonymize students archived more than ${months} months ago`
+  }
+}
+
+export const isArchived = (student) => Boolean(student.archivedAt)
+
+/**
+ * Removes archived students.
+ *
+ * @param {Array<Object>} students - Students
+ * @returns {Array<Object>} Students that are not archived
+ */
+export const withoutArchived = (students) => students.filter(student => !isArchived(student))
+
+/**
+ * Describes a rule in a sentence, e.g. for the preview and the purge log.
+ *
+ * @param {Object} rule - `{ action, months }`
+ * @returns {string} Description
+ */
+export const describeRule = (rule) => RETENTION_ACTIONS[rule.action].describe(rule.months)
+
+// Staff names are a list
+const hasText = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value))
+
+const hasFreeText = (log) => FREE_TEXT_FIELDS.some(field => hasText(log[field])) ||
+  (log.revisions || []).some(revision => FREE_TEXT_FIELDS.some(field => hasText(revision.changes[field])))
+
+/**
+ * Removes free text from a log, including earlier versions kept in its
+ * revision history. Revisions that only changed free text are dropped.
+ * The log is marked with `freeTextRemovedAt`, which lets an incident stay
+ * valid without its behavior description.
+ *
+ * @param {Object} log - Log entry
+ * @param {number} [now=Date.now()] - Time of removal
+ * @returns {Object} Log without notes, environmental factors or incident details
+ */
+export const scrubFreeText = (log, now = Date.now()) => {
+  const scrubbed = { ...log, freeTextRemovedAt: now }
+  FREE_TEXT_FIELDS.forEach(field => delete scrubbed[field])
+  if (log.revisions) {
+    scrubbed.revisions = log.revisions
+      .map(revision => {
+        const changes = { ...revision.changes }
+        FREE_TEXT_FIELDS.forEach(field => delete changes[field])
+        return { ...revision, changes }
+      })
+      .filter(revision => Object.keys(revision.changes).length > 0)
+  }
+  return scrubbed
+}
+
+/**
+ * Works out what the retention rules would change, without changing anything.
+ *
+ * @param {Array<Object>} students - All students, including trashed and archived ones
+ * @param {Array<Object>} rules - Retention rules
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{mutations: Array<Object>, results: Array<{rule: Object, count: number, students: Array<string>}>}}
+ *   Storage mutations that apply the rules, and per rule the number of
+ *   records affected and the names of the students they belong to
+ */
+export const planRetention = (students, rules, now = Date.now()) => {
+  const cutoff = (rule) => subMonths(now, rule.months).getTime()
+  const results = rules.map(rule => ({ rule, count: 0, students: [] }))
+  const countFor = (index, student) => {
+    results[index].count++
+    if (!results[index].students.includes(student.name)) results[index].students.push(student.name)
+  }
+  const mutations = []
+  let anonymizedCount = students.filter(student => student.anonymizedAt).length
+
+  students.forEach(student => {
+    const anonymizeIndex = rules.findIndex(rule => rule.action === 'anonymize-archived' &&
+      isArchived(student) && !student.anonymizedAt && student.archivedAt <= cutoff(rule))
+
+    student.logs.forEach(log => {
+      // Logs without a known time (`needsReview` after migration) are left
+      // for staff to fix rather than treated as infinitely old
+      const isOlderThan = (rule) => Number.isFinite(log.timestamp) && log.timestamp < cutoff(rule)
+      const deleteIndex = rules.findIndex(rule => rule.action === 'delete-logs' && isOlderThan(rule))
+      if (deleteIndex !== -1) {
+        countFor(deleteIndex, student)
+        mutations.push({ method: 'deleteLog', args: [student.id, log.id] })
+        return
+      }
+      if (!hasFreeText(log)) return
+      const notesIndex = rules.findIndex(rule => rule.action === 'delete-notes' && isOlderThan(rule))
+      if (notesIndex !== -1) countFor(notesIndex, student)
+      if (notesIndex !== -1 || anonymizeIndex !== -1) {
+        mutations.push({ method: 'addLog', args: [student.id, scrubFreeText(log, now)] })
+      }
+    })
+
+    if (anonymizeIndex !== -1) {
+      countFor(anonymizeIndex, student)
+      anonymizedCount++
+      mutations.push({
+        method: 'updateStudent',
+        args: [student.id, { name: `Anonymized student ${anonymizedCount}`, savedInsight: null, anonymizedAt: now }]
+      })
+    }
+  })
+
+  return { mutations, results }
+}
+
+/**
+ * Applies retention rules to a dataset directly, e.g. to a restore point.
+ *
+ * @param {Array<Object>} students - All students of the dataset
+ * @param {Array<Object>} rules - Retention rules
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<Object>} Students after the rules; the same array if
+ *   nothing changed
+ */
+export const applyRetentionRules = (students, rules, now = Date.now()) => {
+  const { mutations } = planRetention(students, rules, now)
+  return mutations.length > 0 ? mutations.reduce(applyMutation, students) : students
+}
+
+/**
+ * Reads the purge log, newest run first.
+ *
+ * @returns {Array<{ranAt: number, trigger: string, results: Array<{rule: string, count: number}>, restorePoints?: number}>}
+ */
+export const loadPurgeLog = () => {
+  try {
+    const saved = localStorage.getItem(PURGE_LOG_KEY)
+    return saved ? JSON.parse(saved) : []
+  } catch (error) {
+    console.error('Error reading purge log:', error)
+    return []
+  }
+}
+
+/**
+ * Records an applied plan in the purge log. Only rule descriptions and counts
+ * are kept, so the log itself holds no personal data.
+ *
+ * @param {Array<Object>} results - `results` of the applied plan
+ * @param {string} trigger - 'startup' or 'manual'
+ * @param {Object} [options]
+ * @param {number} [options.restorePoints=0] - Number of restore points changed
+ * @param {number} [options.ranAt=Date.now()] - Time the rules were applied
+ * @returns {Array<Object>} Updated purge log
+ */
+export const appendPurgeLog = (results, trigger, { restorePoints = 0, ranAt = Date.now() } = {}) => {
+  const entry = {
+    ranAt,
+    trigger,
+    results: results.filter(result => result.count > 0).map(result => ({ rule: describeRule(result.rule), count: result.count })),
+    ...(restorePoints > 0 && { restorePoints })
+  }
+  const purgeLog = [entry, ...loadPurgeLog()].slice(0, MAX_PURGE_LOG_ENTRIES)
+  try {
+    localStorage.setItem(PURGE_LOG_KEY, JSON.stringify(purgeLog))
+  } catch (error) {
+    console.error('Error saving purge log:', error)
+  }
+  return purgeLog
+}
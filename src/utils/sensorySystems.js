@@ -0,0 +1,64 @@
+/**
+ * Sensory Systems
+ *
+ * The seven sensory systems a sensory log can be about, with the color used
+ * for each in the logger and charts. Each student has a list of enabled
+ * systems (`student.sensorySystems`, names in any order); students without
+ * one get `DEFAULT_SENSORY_SYSTEMS`. Logs of systems that were disabled
+ * later are kept and still analyzed.
+ *
+ * @module sensorySystems
+ */
+
+export const SENSORY_SYSTEMS = [
+  { name: 'Visual', description: 'Light, color, visual clutter', color: '#3b82f6' },        // blue-500
+  { name: 'Auditory', description: 'Sound, noise, voices', color: '#ec4899' },              // pink-500
+  { name: 'Tactile', description: 'Touch, textures, physical contact', color: '#14b8a6' },  // teal-500
+  { name: 'Olfactory', description: 'Smells and scents', color: '#f97316' },                // orange-500
+  { name: 'Gustatory', description: 'Taste, food, oral input', color: '#eab308' },          // yellow-500
+  { name: 'Vestibular', description: 'Balance, movement, spatial orientation', color: '#6366f1' }, // indigo-500
+  { name: 'Proprioception', description: 'Body position, muscle and joint feedback', color: '#84cc16' } // lime-500
+]
+
+export const SENSORY_SYSTEM_NAMES = SENSORY_SYSTEMS.map(system => system.name)
+
+export const DEFAULT_SENSORY_SYSTEMS = ['Visual', 'Auditory', 'Tactile']
+
+// Color of categories that are not a known sensory system
+const UNKNOWN_SYSTEM_COLOR = '#6b7280'
+
+/**
+ * The sensory systems enabled for a student, in the standard order.
+ *
+ * @param {Object} [student] - Student
+ * @returns {Array<string>} System names
+ */
+export const getSensorySystems = (student) => {
+  const enabled = student && Array.isArray(student.sensorySystems) && student.sensorySystems.length > 0
+    ? student.sensorySystems
+    : DEFAULT_SENSORY_SYSTEMS
+  return SENSORY_SYSTEM_NAMES.filter(name => enabled.includes(name))
+}
+
+/**
+ * The systems to analyze: the enabled ones plus any other system that has
+ * logs, so data recorded before a system was disabled is not hidden.
+ *
+ * @param {Array<string>} systems - Enabled system names
+ * @param {Array<Object>} logs - Logs being analyzed
+ * @returns {Array<string>} System names in the standard order
+ */
+export const withLoggedSystems = (systems, logs) => {
+  const logged = new Set(logs.filter(log => log.type === 'sensory').map(log => log.category))
+  return SENSORY_SYSTEM_NAMES.filter(name => systems.includes(name) || logged.has(name))
+}
+
+/**
+ * Color of a sensory system.
+ *
+ * @param {string} category - System name, e.g. 'Visual'
+ * @returns {string} Hex color, gray for unknown categories
+ */
+export const getSensorySystemColor = (category) => {
+  return SENSORY_SYSTEMS.find(system => system.name === category)?.color || UNKNOWN_SYSTEM_COLOR
+}
@@ -0,0 +1,54 @@
+/**
+ * App Settings
+ *
+ * Preferences that apply to the whole dashboard on this device, stored in
+ * the `kre-settings` localStorage entry. Missing keys fall back to
+ * `DEFAULT_SETTINGS`, so new settings can be added without a migration.
+ *
+ * @module settings
+ */
+
+const SETTINGS_KEY = 'kre-settings'
+
+export const DEFAULT_SETTINGS = {
+  // Days a trashed student or log is kept before it is purged automatically
+  trashRetentionDays: 30,
+  // Name used to sign log edits, remembered from the last edit
+  editorName: '',
+  // School's IANA timezone for exported timestamps; empty uses the device's
+  timeZone: '',
+  // Data retention rules (see utils/retention.js); none by default
+  retentionRules: [],
+  // Shared emotion vocabulary (see utils/emotions.js); null uses the defaults
+  emotions: null,
+  // Quick-log presets shared by all students (see utils/logPresets.js)
+  logPresets: []
+}
+
+/**
+ * Reads the saved settings merged over the defaults.
+ *
+ * @returns {Object} Settings
+ */
+export const loadSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY)
+    return { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) }
+  } catch (error) {
+    console.error('Error reading settings:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+/**
+ * Saves settings for this device.
+ *
+ * @param {Object} settings - Complete settings object
+ */
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Error saving settings:', error)
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Immutable Student Updates
+ *
+ * Pure functions that apply a single change to a students array and return a
+ * new array. They are shared by React state updates in `App.jsx`, the
+ * localStorage storage fallback and the reference REST server, so every layer
+ * applies edits in exactly the same way.
+ *
+ * IDs are compared loosely as strings because they may round-trip through
+ * URLs (REST paths) where numeric IDs become strings.
+ *
+ * @module studentUpdates
+ */
+
+export const sameId = (a, b) => String(a) === String(b)
+
+// Applies `update` to the student with the given ID, leaving others untouched
+const updateStudentById = (students, studentId, update) => {
+  return students.map(student => sameId(student.id, studentId) ? update(student) : student)
+}
+
+/**
+ * Appends a new student (with an empty log list if none is provided).
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {Object} student - Student to add
+ * @returns {Array<Object>} Updated students
+ */
+export const addStudent = (students, student) => {
+  return [...students, { logs: [], ...student }]
+}
+
+/**
+ * Adds a student, or merges the given fields into an existing student with
+ * the same ID. Existing logs are kept unless the update provides its own.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {Object} student - Student record to store
+ * @returns {Array<Object>} Updated students
+ */
+export const upsertStudent = (students, student) => {
+  if (students.some(s => sameId(s.id, student.id))) {
+    return updateStudentById(students, student.id, existing => ({ ...existing, ...student }))
+  }
+  return addStudent(students, student)
+}
+
+/**
+ * Merges field changes into a student (e.g. a new name).
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - ID of the student to update
+ * @param {Object} changes - Fields to merge
+ * @returns {Array<Object>} Updated students
+ */
+export const updateStudent = (students, studentId, changes) => {
+  return updateStudentById(students, studentId, student => ({ ...student, ...changes }))
+}
+
+/**
+ * Removes a student together with their logs and schedule.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - ID of the student to remove
+ * @returns {Array<Object>} Updated students
+ */
+export const deleteStudent = (students, studentId) => {
+  return students.filter(student => !sameId(student.id, studentId))
+}
+
+/**
+ * Prepends a log to a student's logs (newest first).
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - Owner of the log
+ * @param {Object} log - Log entry to add
+ * @returns {Array<Object>} Updated students
+ */
+export const addLog = (students, studentId, log) => {
+  return updateStudentById(students, studentId, student => ({
+    ...student,
+    logs: [log, ...student.logs]
+  }))
+}
+
+/**
+ * Adds a log, or replaces an existing log with the same ID. Unlike `addLog`,
+ * the log is inserted by timestamp rather than prepended, since logs arriving
+ * from other devices are not necessarily the newest.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - Owner of the log
+ * @param {Object} log - Log entry to store
+ * @returns {Array<Object>} Updated students
+ */
+export const upsertLog = (students, studentId, log) => {
+  return updateStudentById(students, studentId, student => {
+    const others = student.logs.filter(existing => !sameId(existing.id, log.id))
+    const index = others.findIndex(existing => (existing.timestamp ?? -Infinity) < (log.timestamp ?? -Infinity))
+    const logs = index === -1 ? [...others, log] : [...others.slice(0, index), log, ...others.slice(index)]
+    return { ...student, logs }
+  })
+}
+
+/**
+ * Merges field changes into one of a student's logs.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - Owner of the log
+ * @param {number|string} logId - ID of the log to update
+ * @param {Object} changes - Fields to merge
+ * @returns {Array<Object>} Updated students
+ */
+export const updateLog = (students, studentId, logId, changes) => {
+  return updateStudentById(students, studentId, student => ({
+    ...student,
+    logs: student.logs.map(log => sameId(log.id, logId) ? { ...log, ...changes } : log)
+  }))
+}
+
+/**
+ * Removes one of a student's logs.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - Owner of the log
+ * @param {number|string} logId - ID of the log to remove
+ * @returns {Array<Object>} Updated students
+ */
+export const deleteLog = (students, studentId, logId) => {
+  return updateStudentById(students, studentId, student => ({
+    ...student,
+    logs: student.logs.filter(log => !sameId(log.id, logId))
+  }))
+}
+
+/**
+ * Replaces a student's schedule.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {number|string} studentId - Owner of the schedule
+ * @param {Array<Object>} schedule - Schedule periods ({ start, end, subject })
+ * @returns {Array<Object>} Updated students
+ */
+export const setSchedule = (students, studentId, schedule) => {
+  return updateStudentById(students, studentId, student => ({ ...student, schedule }))
+}
+
+// How each storage adapter method maps onto the helpers above
+const MUTATIONS = {
+  save: (students, next) => next,
+  addStudent: upsertStudent,
+  updateStudent,
+  deleteStudent,
+  addLog: upsertLog,
+  updateLog,
+  deleteLog,
+  saveSchedule: setSchedule
+}
+
+/**
+ * Applies a mutation described as a storage adapter call, e.g.
+ * `{ method: 'deleteLog', args: [studentId, logId] }`. Such descriptions are
+ * plain data, so they can be broadcast to other tabs or kept in the undo history.
+ *
+ * @param {Array<Object>} students - Current students
+ * @param {Object} mutation - `{ method, args }` naming an adapter method
+ * @returns {Array<Object>} Updated students (unchanged for unknown methods)
+ */
+export const applyMutation = (students, { method, args }) => {
+  const apply = MUTATIONS[method]
+  return apply ? apply(students, ...args) : students
+}
@@ -0,0 +1,73 @@
+/**
+ * Trash Helpers
+ *
+ * Deleting a student or log only stamps it with `trashedAt` (a soft delete);
+ * the record stays in storage until it is purged from the Trash view or
+ * expires. Everything that displays or analyzes data works on
+ * `withoutTrashed(students)` so trashed records never show up.
+ *
+ * @module trash
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const isTrashed = (record) => Boolean(record.trashedAt)
+
+/**
+ * Removes trashed students, and trashed logs of the remaining students.
+ *
+ * @param {Array<Object>} students - All students
+ * @returns {Array<Object>} Students and logs that are not in the trash
+ */
+export const withoutTrashed = (students) => {
+  return students
+    .filter(student => !isTrashed(student))
+    .map(student => student.logs.some(isTrashed)
+      ? { ...student, logs: student.logs.filter(log => !isTrashed(log)) }
+      : student)
+}
+
+/**
+ * Lists everything in the trash, most recently trashed first. Logs of a
+ * trashed student are not listed separately since they are restored or
+ * purged together with the student.
+ *
+ * @param {Array<Object>} students - All students
+ * @returns {{students: Array<Object>, logs: Array<{student: Object, log: Object}>}}
+ */
+export const getTrashedItems = (students) => {
+  const byTrashedAt = (a, b) => b.trashedAt - a.trashedAt
+  return {
+    students: students.filter(isTrashed).sort(byTrashedAt),
+    logs: students
+      .filter(student => !isTrashed(student))
+      .flatMap(student => student.logs.filter(isTrashed).map(log => ({ student, log })))
+      .sort((a, b) => byTrashedAt(a.log, b.log))
+  }
+}
+
+/**
+ * Time at which a trashed record is purged automatically.
+ *
+ * @param {Object} record - Trashed student or log
+ * @param {number} retentionDays - Days trashed records are kept
+ * @returns {number} Expiry time in milliseconds
+ */
+export const getExpiryTime = (record, retentionDays) => record.trashedAt + retentionDays * DAY_MS
+
+/**
+ * Finds trashed records whose retention period has passed.
+ *
+ * @param {Array<Object>} students - All students
+ * @param {number} retentionDays - Days trashed records are kept
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{students: Array<Object>, logs: Array<{student: Object, log: Object}>}}
+ */
+export const getExpiredItems = (students, retentionDays, now = Date.now()) => {
+  const trashed = getTrashedItems(students)
+  const isExpired = (record) => getExpiryTime(record, retentionDays) <= now
+  return {
+    students: trashed.students.filter(isExpired),
+    logs: trashed.logs.filter(({ log }) => isExpired(log))
+  }
+}